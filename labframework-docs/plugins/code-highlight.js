@@ -0,0 +1,48 @@
+import rehypeShiki from '@shikijs/rehype'
+import {
+  transformerMetaHighlight,
+  transformerNotationDiff,
+  transformerNotationHighlight,
+} from '@shikijs/transformers'
+
+export const CODE_LANGUAGES = ['csharp', 'bash', 'json', 'xml']
+
+// `// [!code ++]` style markers are stripped by shiki; strip them for plain-text consumers too
+const NOTATION_PATTERN = /\s*(?:\/\/|#|<!--)\s*\[!code [^\]]+\]\s*(?:-->)?/g
+
+export const stripCodeNotation = (code) => code.replace(NOTATION_PATTERN, '')
+
+const TITLE_PATTERN = /title="([^"]*)"/
+
+// Exposes the fence language and `title="Plugin.cs"` meta to the CodeBlock component;
+// line ranges such as `{3-5}` are handled by transformerMetaHighlight
+const transformerCodeBlockData = () => ({
+  name: 'labframework:code-block-data',
+  pre(node) {
+    node.properties['data-language'] = this.options.lang
+    const title = this.options.meta?.__raw?.match(TITLE_PATTERN)?.[1]
+    if (title) {
+      node.properties['data-title'] = title
+    }
+  },
+})
+
+// Build-time highlighting for fenced code in MDX, rendered with both light and dark themes
+export default function codeHighlight() {
+  return [
+    rehypeShiki,
+    {
+      themes: { light: 'github-light', dark: 'github-dark' },
+      defaultColor: 'light',
+      langs: CODE_LANGUAGES,
+      langAlias: { cs: 'csharp', sh: 'bash', csproj: 'xml' },
+      fallbackLanguage: 'text',
+      transformers: [
+        transformerNotationDiff(),
+        transformerNotationHighlight(),
+        transformerMetaHighlight(),
+        transformerCodeBlockData(),
+      ],
+    },
+  ]
+}
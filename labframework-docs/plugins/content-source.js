@@ -0,0 +1,38 @@
+import fs from 'fs'
+import path from 'path'
+import { unified } from 'unified'
+import remarkParse from 'remark-parse'
+import remarkFrontmatter from 'remark-frontmatter'
+import remarkGfm from 'remark-gfm'
+import remarkMdx from 'remark-mdx'
+import { parse as parseYaml } from 'yaml'
+
+const processor = unified().use(remarkParse).use(remarkFrontmatter).use(remarkGfm).use(remarkMdx)
+
+// Mirrors src/lib/content.js: content/<locale>/<slug>.mdx is served at /<slug>
+export const listContentFiles = (contentDir) =>
+  fs
+    .readdirSync(contentDir, { recursive: true })
+    .filter((file) => file.endsWith('.mdx'))
+    .map((file) => path.join(contentDir, file))
+
+export const readContentFile = (contentDir, file) => {
+  const [dirLocale, ...rest] = path.relative(contentDir, file).split(path.sep)
+  const slug = rest.join('/').replace(/\.mdx$/, '').replace(/(^|\/)index$/, '')
+  const tree = processor.parse(fs.readFileSync(file, 'utf8'))
+  const yamlNode = tree.children.find((node) => node.type === 'yaml')
+  const frontmatter = yamlNode ? parseYaml(yamlNode.value) ?? {} : {}
+
+  return {
+    file,
+    slug,
+    path: `/${slug}`,
+    locale: frontmatter.locale ?? dirLocale,
+    title: frontmatter.title ?? slug,
+    frontmatter,
+    tree,
+  }
+}
+
+export const readContent = (contentDir) =>
+  listContentFiles(contentDir).map((file) => readContentFile(contentDir, file))
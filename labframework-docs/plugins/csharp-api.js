@@ -0,0 +1,881 @@
+import fs from 'fs'
+import path from 'path'
+import { MANIFEST_FILE, archivedReleases, readSnapshotApi, readVersions, snapshotDir } from './versions.js'
+
+const VIRTUAL_ID = 'virtual:api-reference'
+const RESOLVED_ID = `\0${VIRTUAL_ID}`
+
+const PROJECT_PATTERN = /^LabFramework\./
+const IGNORED_DIRS = new Set(['bin', 'obj'])
+
+const MODIFIERS = new Set([
+  'public', 'private', 'protected', 'internal', 'static', 'abstract', 'virtual', 'override',
+  'sealed', 'readonly', 'async', 'extern', 'unsafe', 'new', 'partial', 'const', 'volatile',
+  'required', 'implicit', 'explicit', 'event', 'file',
+])
+
+const TYPE_KEYWORDS = new Set(['class', 'interface', 'struct', 'enum', 'record', 'delegate'])
+
+const OPENERS = { '(': ')', '[': ']', '<': '>', '{': '}' }
+const CLOSERS = new Set(Object.values(OPENERS))
+
+// -- Source scanning --------------------------------------------------------
+
+// Produces two views of a file with identical offsets: `text` has comments blanked,
+// `mask` additionally blanks string and char literal contents so braces inside them
+// do not count. `///` doc comments are collected separately with their positions.
+export const scanSource = (source) => {
+  const text = source.replace(/^\uFEFF/, '').split('')
+  const mask = [...text]
+  const docs = []
+  const blank = (from, to, views) => {
+    for (let i = from; i < to; i++) {
+      if (text[i] === '\n') continue
+      for (const view of views) view[i] = ' '
+    }
+  }
+
+  // Skips a string literal starting at `i` (pointing at its opening quote); returns the index after it
+  const skipString = (i, { verbatim, interpolated }) => {
+    let j = i + 1
+    while (j < text.length) {
+      const char = text[j]
+      if (verbatim && char === '"' && text[j + 1] === '"') {
+        j += 2
+      } else if (!verbatim && char === '\\') {
+        j += 2
+      } else if (char === '"') {
+        return j + 1
+      } else if (interpolated && char === '{' && text[j + 1] === '{') {
+        j += 2
+      } else if (interpolated && char === '{') {
+        j = skipHole(j + 1)
+      } else if (!verbatim && char === '\n') {
+        return j
+      } else {
+        j++
+      }
+    }
+    return j
+  }
+
+  // Skips an interpolation hole `{ ... }`, including nested string literals
+  const skipHole = (i) => {
+    let depth = 1
+    let j = i
+    while (j < text.length && depth > 0) {
+      const char = text[j]
+      if (char === '"' || (char === '@' && text[j + 1] === '"') || (char === '$' && (text[j + 1] === '"' || text[j + 1] === '@'))) {
+        j = skipLiteral(j)
+        continue
+      }
+      if (char === '{') depth++
+      if (char === '}') depth--
+      j++
+    }
+    return j
+  }
+
+  // Skips any literal prefix (`$`, `@`, `$@`, `@$`) plus the string itself
+  const skipLiteral = (i) => {
+    let j = i
+    let verbatim = false
+    let interpolated = false
+    while (text[j] === '$' || text[j] === '@') {
+      if (text[j] === '$') interpolated = true
+      if (text[j] === '@') verbatim = true
+      j++
+    }
+    return skipString(j, { verbatim, interpolated })
+  }
+
+  let i = 0
+  let lineStart = true
+  while (i < text.length) {
+    const char = text[i]
+    const next = text[i + 1]
+
+    if (lineStart && char === '#') {
+      const end = text.indexOf('\n', i)
+      const to = end === -1 ? text.length : end
+      blank(i, to, [text, mask])
+      i = to
+      continue
+    }
+    if (char === '/' && next === '/') {
+      const end = text.indexOf('\n', i)
+      const to = end === -1 ? text.length : end
+      if (text[i + 2] === '/' && text[i + 3] !== '/') {
+        docs.push({ position: i, text: text.slice(i + 3, to).join('') })
+      }
+      blank(i, to, [text, mask])
+      i = to
+      continue
+    }
+    if (char === '/' && next === '*') {
+      const end = text.join('').indexOf('*/', i + 2)
+      const to = end === -1 ? text.length : end + 2
+      blank(i, to, [text, mask])
+      i = to
+      continue
+    }
+    if (char === '"' || ((char === '$' || char === '@') && (next === '"' || next === '$' || next === '@'))) {
+      const to = skipLiteral(i)
+      const open = text.indexOf('"', i)
+      blank(open + 1, Math.max(open + 1, to - 1), [mask])
+      i = to
+      lineStart = false
+      continue
+    }
+    if (char === "'") {
+      let j = i + 1
+      while (j < text.length && text[j] !== "'" && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1
+      blank(i + 1, j, [mask])
+      i = j + 1
+      lineStart = false
+      continue
+    }
+
+    if (char === '\n') lineStart = true
+    else if (char !== ' ' && char !== '\t' && char !== '\r') lineStart = false
+    i++
+  }
+
+  return { text: text.join(''), mask: mask.join(''), docs }
+}
+
+// -- XML documentation ------------------------------------------------------
+
+const decodeXml = (value) =>
+  value
+    .replace(/<see\s+(?:cref|langword|href)="(?:[A-Z]:)?([^"]+)"\s*\/>/g, '$1')
+    .replace(/<(?:paramref|typeparamref)\s+name="([^"]+)"\s*\/>/g, '$1')
+    .replace(/<\/?(?:c|code|para|b|i)>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+const parseDoc = (lines) => {
+  if (lines.length === 0) return {}
+  const xml = lines.join('\n')
+  const tag = (name) => {
+    const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`))
+    return match ? decodeXml(match[1]) : undefined
+  }
+  const named = (name) =>
+    Object.fromEntries(
+      [...xml.matchAll(new RegExp(`<${name}\\s+name="([^"]+)"\\s*>([\\s\\S]*?)</${name}>`, 'g'))].map(
+        ([, key, value]) => [key, decodeXml(value)]
+      )
+    )
+
+  return {
+    summary: tag('summary'),
+    remarks: tag('remarks'),
+    returns: tag('returns'),
+    params: named('param'),
+    typeParams: named('typeparam'),
+  }
+}
+
+// -- Declaration parsing ----------------------------------------------------
+
+// Splits `value` at `separator` characters that are not nested in brackets,
+// using `mask` (same length, literals blanked) to find the split points
+export const splitTopLevel = (value, mask, separator) => {
+  const parts = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < mask.length; i++) {
+    const char = mask[i]
+    if (char in OPENERS) depth++
+    else if (CLOSERS.has(char) && !(char === '>' && mask[i - 1] === '=')) depth--
+    else if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+      parts.push([value.slice(start, i), mask.slice(start, i)])
+      start = i + 1
+    }
+  }
+  parts.push([value.slice(start), mask.slice(start)])
+  return parts.filter(([part]) => part.trim() !== '')
+}
+
+// Index of the first top-level occurrence of `char` in `mask`, or -1
+const indexOfTopLevel = (mask, char, from = 0) => {
+  let depth = 0
+  for (let i = from; i < mask.length; i++) {
+    const current = mask[i]
+    if (current === char && depth === 0) return i
+    if (current in OPENERS && !(current === '<' && char === '<')) depth++
+    else if (CLOSERS.has(current) && !(current === '>' && mask[i - 1] === '=')) depth--
+  }
+  return -1
+}
+
+// Index of the top-level `=` that starts an initializer (not `=>`, `==`, `<=`, `>=` or `!=`)
+const indexOfAssignment = (mask) => {
+  let depth = 0
+  for (let i = 0; i < mask.length; i++) {
+    const char = mask[i]
+    if (char in OPENERS) depth++
+    else if (CLOSERS.has(char) && !(char === '>' && mask[i - 1] === '=')) depth--
+    else if (
+      char === '=' && depth === 0 &&
+      mask[i + 1] !== '=' && mask[i + 1] !== '>' && !'=!<>'.includes(mask[i - 1])
+    ) {
+      return i
+    }
+  }
+  return -1
+}
+
+const squash = (value) =>
+  value
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([<>(),[\]])\s*/g, (match, char) => (char === ',' ? ', ' : char))
+    .replace(/, ([\]>])/g, '$1')
+    .trim()
+
+// Strips leading `[Attribute]` groups; returns their text and the remaining declaration
+const takeAttributes = (value, mask) => {
+  const attributes = []
+  let rest = value
+  let restMask = mask
+  for (;;) {
+    const offset = restMask.search(/\S/)
+    if (offset === -1 || restMask[offset] !== '[') break
+    let depth = 0
+    let end = offset
+    for (; end < restMask.length; end++) {
+      if (restMask[end] === '[') depth++
+      if (restMask[end] === ']' && --depth === 0) break
+    }
+    attributes.push(squash(rest.slice(offset + 1, end)))
+    rest = rest.slice(end + 1)
+    restMask = restMask.slice(end + 1)
+  }
+  return { attributes, value: rest, mask: restMask }
+}
+
+const takeModifiers = (value, mask) => {
+  const modifiers = []
+  let rest = value
+  let restMask = mask
+  for (;;) {
+    const match = restMask.match(/^\s*([A-Za-z]+)\b/)
+    if (!match || !MODIFIERS.has(match[1])) break
+    modifiers.push(match[1])
+    rest = rest.slice(match[0].length)
+    restMask = restMask.slice(match[0].length)
+  }
+  return { modifiers, value: rest, mask: restMask }
+}
+
+const parseParameters = (value, mask) =>
+  splitTopLevel(value, mask, ',').map(([part, partMask]) => {
+    const { attributes, value: declaration, mask: declarationMask } = takeAttributes(part, partMask)
+    const assignment = indexOfAssignment(declarationMask)
+    const head = assignment === -1 ? declaration : declaration.slice(0, assignment)
+    const headMask = assignment === -1 ? declarationMask : declarationMask.slice(0, assignment)
+    const words = splitTopLevel(head, headMask, ' ').map(([word]) => word.trim())
+    const name = words.pop()
+    const modifiers = words.filter((word) => ['params', 'ref', 'out', 'in', 'this'].includes(word))
+    const type = words.filter((word) => !modifiers.includes(word)).join(' ')
+
+    return {
+      name,
+      type: squash(type),
+      ...(modifiers.length > 0 && { modifiers }),
+      ...(assignment !== -1 && { defaultValue: squash(declaration.slice(assignment + 1)) }),
+      ...(attributes.length > 0 && { attributes }),
+    }
+  })
+
+// `Name<T, U>` -> { name, typeParameters }
+const parseName = (value) => {
+  const match = value.trim().match(/^(@?[A-Za-z_][\w.]*)\s*(?:<([\s\S]*)>)?$/)
+  if (!match) return { name: value.trim(), typeParameters: [] }
+  const typeParameters = match[2]
+    ? match[2].split(',').map((parameter) => parameter.trim().replace(/^(?:in|out)\s+/, ''))
+    : []
+  return { name: match[1], typeParameters }
+}
+
+const parseConstraints = (value) =>
+  value
+    .split(/\bwhere\b/)
+    .slice(1)
+    .map((constraint) => squash(constraint))
+    .filter(Boolean)
+
+// Parses `class Name<T> : Base, IFoo where T : class` (modifiers already removed)
+const parseTypeHeader = (value, mask) => {
+  const keyword = mask.match(/^\s*(record\s+(?:class|struct)|[a-z]+)\b/)[1].replace(/\s+/g, ' ')
+  const offset = mask.indexOf(keyword.split(' ').pop()) + keyword.split(' ').pop().length
+  const rest = value.slice(offset)
+  const restMask = mask.slice(offset)
+
+  const whereAt = restMask.search(/\bwhere\b/)
+  const beforeWhere = whereAt === -1 ? rest : rest.slice(0, whereAt)
+  const beforeWhereMask = whereAt === -1 ? restMask : restMask.slice(0, whereAt)
+  const constraints = whereAt === -1 ? [] : parseConstraints(rest.slice(whereAt))
+
+  const colon = indexOfTopLevel(beforeWhereMask, ':')
+  const declaration = colon === -1 ? beforeWhere : beforeWhere.slice(0, colon)
+  const declarationMask = colon === -1 ? beforeWhereMask : beforeWhereMask.slice(0, colon)
+  const baseTypes = colon === -1
+    ? []
+    : splitTopLevel(beforeWhere.slice(colon + 1), beforeWhereMask.slice(colon + 1), ',').map(([base]) => squash(base))
+
+  const paren = indexOfTopLevel(declarationMask, '(')
+  const { name, typeParameters } = parseName(paren === -1 ? declaration : declaration.slice(0, paren))
+  const parameters = paren === -1
+    ? undefined
+    : parseParameters(declaration.slice(paren + 1, declaration.lastIndexOf(')')), declarationMask.slice(paren + 1, declarationMask.lastIndexOf(')')))
+
+  return { kind: keyword === 'record class' ? 'record' : keyword, name, typeParameters, baseTypes, constraints, parameters }
+}
+
+// Parses `delegate Task EventHandler<in T>(T eventArgs) where T : IEvent` (modifiers already removed)
+const parseDelegateHeader = (value, mask) => {
+  const offset = mask.indexOf('delegate') + 'delegate'.length
+  const method = parseMethod(value.slice(offset), mask.slice(offset))
+  return {
+    kind: 'delegate',
+    name: method.name,
+    typeParameters: method.typeParameters,
+    baseTypes: [],
+    constraints: method.constraints,
+    parameters: method.parameters,
+    returnType: method.returnType,
+  }
+}
+
+// Parses `ReturnType Name<T>(params) where ...` or `Name(params)` for constructors
+const parseMethod = (value, mask) => {
+  const paren = indexOfTopLevel(mask, '(')
+  const close = indexOfTopLevel(mask, ')', paren + 1)
+  const head = value.slice(0, paren)
+  const headMask = mask.slice(0, paren)
+  const words = splitTopLevel(head, headMask, ' ').map(([word]) => word)
+  const { name, typeParameters } = parseName(words.pop())
+
+  return {
+    name,
+    typeParameters,
+    returnType: words.length > 0 ? squash(words.join(' ')) : undefined,
+    parameters: parseParameters(value.slice(paren + 1, close), mask.slice(paren + 1, close)),
+    constraints: parseConstraints(value.slice(close + 1)),
+  }
+}
+
+// `{ get; private set; }` from the raw accessor block of a property
+const parseAccessors = (body) => {
+  let flat = body
+  while (/\{[^{}]*\}/.test(flat)) flat = flat.replace(/\{[^{}]*\}/g, ';')
+  return flat
+    .replace(/=>[^;]*;/g, ';')
+    .split(';')
+    .map((accessor) => squash(accessor))
+    .filter((accessor) => /\b(?:get|set|init|add|remove)$/.test(accessor))
+}
+
+const isVisible = (modifiers, scope) => {
+  if (scope.kind === 'interface' || scope.kind === 'enum') {
+    return !modifiers.includes('private')
+  }
+  if (modifiers.includes('private')) return false
+  return modifiers.includes('public') || modifiers.includes('protected')
+}
+
+const formatParameters = (parameters) =>
+  parameters
+    .map((parameter) =>
+      [
+        ...(parameter.attributes ?? []).map((attribute) => `[${attribute}]`),
+        ...(parameter.modifiers ?? []),
+        parameter.type,
+        parameter.name,
+        ...(parameter.defaultValue !== undefined ? ['=', parameter.defaultValue] : []),
+      ].join(' ')
+    )
+    .join(', ')
+
+const formatTypeParameters = (typeParameters) =>
+  typeParameters.length > 0 ? `<${typeParameters.join(', ')}>` : ''
+
+const formatConstraints = (constraints) =>
+  constraints.map((constraint) => ` where ${constraint}`).join('')
+
+const typeSignature = (type) => {
+  const head = [...type.modifiers, type.kind === 'record' ? 'record' : type.kind].join(' ')
+  if (type.kind === 'delegate') {
+    return `${head} ${type.returnType} ${type.name}${formatTypeParameters(type.typeParameters)}(${formatParameters(type.parameters)})${formatConstraints(type.constraints)}`
+  }
+  const parameters = type.parameters ? `(${formatParameters(type.parameters)})` : ''
+  const bases = type.baseTypes.length > 0 ? ` : ${type.baseTypes.join(', ')}` : ''
+  return `${head} ${type.name}${formatTypeParameters(type.typeParameters)}${parameters}${bases}${formatConstraints(type.constraints)}`
+}
+
+const memberSignature = (member) => {
+  const modifiers = member.modifiers.length > 0 ? `${member.modifiers.join(' ')} ` : ''
+  switch (member.kind) {
+    case 'constructor':
+      return `${modifiers}${member.name}(${formatParameters(member.parameters)})`
+    case 'method':
+    case 'operator':
+      return `${modifiers}${member.returnType} ${member.name}${formatTypeParameters(member.typeParameters)}(${formatParameters(member.parameters)})${formatConstraints(member.constraints)}`
+    case 'property':
+      return `${modifiers}${member.type} ${member.name} { ${member.accessors.map((accessor) => `${accessor};`).join(' ')} }`
+    case 'indexer':
+      return `${modifiers}${member.type} this[${formatParameters(member.parameters)}] { ${member.accessors.map((accessor) => `${accessor};`).join(' ')} }`
+    default:
+      return `${modifiers}${member.type} ${member.name}`
+  }
+}
+
+// Classifies a member declaration (attributes and modifiers already removed)
+const parseMember = (value, mask, { terminator, typeName }) => {
+  const arrow = mask.indexOf('=>')
+  const declaration = arrow === -1 ? value : value.slice(0, arrow)
+  const declarationMask = arrow === -1 ? mask : mask.slice(0, arrow)
+  const assignment = indexOfAssignment(declarationMask)
+  const head = assignment === -1 ? declaration : declaration.slice(0, assignment)
+  const headMask = assignment === -1 ? declarationMask : declarationMask.slice(0, assignment)
+
+  if (/\boperator\b/.test(headMask)) {
+    const method = parseMethod(head.replace(/\boperator\s*/, 'operator_'), headMask.replace(/\boperator\s*/, 'operator_'))
+    return { kind: 'operator', ...method, name: method.name.replace('operator_', 'operator ') }
+  }
+
+  const indexer = headMask.search(/\bthis\s*\[/)
+  if (indexer !== -1) {
+    const open = headMask.indexOf('[', indexer)
+    const close = indexOfTopLevel(headMask, ']', open + 1)
+    return {
+      kind: 'indexer',
+      name: 'this[]',
+      type: squash(head.slice(0, indexer)),
+      parameters: parseParameters(head.slice(open + 1, close), headMask.slice(open + 1, close)),
+    }
+  }
+
+  if (indexOfTopLevel(headMask, '(') !== -1) {
+    const method = parseMethod(head, headMask)
+    if (!method.returnType && method.name === typeName) return { kind: 'constructor', ...method }
+    if (!method.returnType) return null
+    return { kind: 'method', ...method }
+  }
+
+  const words = splitTopLevel(head, headMask, ' ').map(([word]) => word)
+  if (words.length < 2) return null
+  const name = words.pop().trim()
+  const type = squash(words.join(' '))
+
+  if (assignment === -1 && (terminator === '{' || terminator === '=>' || arrow !== -1)) {
+    return { kind: 'property', name, type, accessors: terminator === '{' ? [] : ['get'] }
+  }
+
+  // `public int A, B;` declares several fields
+  const names = splitTopLevel(value, mask, ',').length > 1
+    ? splitTopLevel(value, mask, ',').map(([part], index) =>
+        index === 0 ? name : part.split('=')[0].trim()
+      )
+    : [name]
+  return { kind: 'field', name, names, type, ...(assignment !== -1 && { value: squash(declaration.slice(assignment + 1)) }) }
+}
+
+// -- File parsing -----------------------------------------------------------
+
+const parseEnumBody = (text, mask, from, to, docsBetween) => {
+  const values = []
+  let start = from
+  let implicit = 0
+  const entries = splitTopLevel(text.slice(from, to), mask.slice(from, to), ',')
+  let offset = from
+  for (const [entry] of entries) {
+    const relative = text.indexOf(entry, offset)
+    start = relative + entry.search(/\S/)
+    const doc = parseDoc(docsBetween(offset, start))
+    offset = relative + entry.length
+    const { attributes, value: rest } = takeAttributes(entry, entry)
+    const [name, explicitValue] = rest.split('=').map((part) => part.trim())
+    if (!name) continue
+    const value = explicitValue ?? String(implicit)
+    const numeric = Number(value)
+    implicit = Number.isNaN(numeric) ? implicit + 1 : numeric + 1
+    values.push({
+      name,
+      value: squash(value),
+      ...(doc.summary && { summary: doc.summary }),
+      ...(attributes.length > 0 && { attributes }),
+    })
+  }
+  return values
+}
+
+export const parseCSharpFile = (source, { file, assembly }) => {
+  const { text, mask, docs } = scanSource(source)
+  const types = []
+  const lineOf = (position) => text.slice(0, position).split('\n').length
+
+  let docIndex = 0
+  const docsBetween = (from, to) => {
+    const lines = []
+    while (docIndex < docs.length && docs[docIndex].position < from) docIndex++
+    while (docIndex < docs.length && docs[docIndex].position < to) {
+      lines.push(docs[docIndex].text)
+      docIndex++
+    }
+    return lines
+  }
+
+  // Scope stack entries: { kind: 'root' | 'namespace' | 'type' | 'body', ... }
+  const scopes = [{ kind: 'root', namespace: '' }]
+  let fileNamespace = ''
+  let headerStart = 0
+
+  const currentNamespace = () => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (scopes[i].namespace !== undefined) return scopes[i].namespace
+    }
+    return fileNamespace
+  }
+  const currentType = () => {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      if (scopes[i].kind === 'type') return scopes[i].type
+    }
+    return null
+  }
+  const hiddenByParent = () => scopes.some((scope) => scope.hidden)
+
+  const registerType = (header, position, doc, attributes, modifiers) => {
+    const parent = currentType()
+    const namespace = parent ? parent.namespace : currentNamespace() || fileNamespace
+    const declaringName = parent ? `${parent.name}.` : ''
+    const arity = header.typeParameters.length > 0 ? `-${header.typeParameters.length}` : ''
+    const type = {
+      id: `${namespace ? `${namespace}.` : ''}${declaringName}${header.name}${arity}`,
+      name: `${declaringName}${header.name}`,
+      namespace,
+      assembly,
+      kind: header.kind,
+      modifiers,
+      typeParameters: header.typeParameters,
+      baseTypes: header.baseTypes,
+      constraints: header.constraints,
+      ...(header.parameters && { parameters: header.parameters }),
+      ...(header.returnType && { returnType: header.returnType }),
+      ...(attributes.length > 0 && { attributes }),
+      ...(parent && { declaringType: parent.id }),
+      summary: doc.summary,
+      remarks: doc.remarks,
+      returns: doc.returns,
+      params: doc.params,
+      typeParams: doc.typeParams,
+      source: { file, line: lineOf(position) },
+      members: [],
+      ...(header.kind === 'enum' && { values: [] }),
+    }
+    type.signature = typeSignature(type)
+    return type
+  }
+
+  const handleHeader = (end, terminator) => {
+    const raw = text.slice(headerStart, end)
+    const rawMask = mask.slice(headerStart, end)
+    const offset = rawMask.search(/\S/)
+    const scope = scopes[scopes.length - 1]
+    const position = headerStart + Math.max(offset, 0)
+    const doc = parseDoc(docsBetween(headerStart, end))
+    if (offset === -1) return { kind: 'block' }
+
+    const { attributes, value: afterAttributes, mask: afterAttributesMask } = takeAttributes(raw, rawMask)
+    if (afterAttributesMask.trim() === '') return { kind: 'block' }
+    const { modifiers, value, mask: valueMask } = takeModifiers(afterAttributes, afterAttributesMask)
+    const keyword = valueMask.match(/^\s*([a-z]+)\b/)?.[1]
+
+    if (keyword === 'using' && (scope.kind === 'root' || scope.kind === 'namespace')) {
+      return { kind: 'block' }
+    }
+    if (keyword === 'namespace') {
+      const name = squash(value.replace(/^\s*namespace\s+/, ''))
+      if (terminator === ';') fileNamespace = name
+      return { kind: 'namespace', name }
+    }
+    if (scope.kind === 'body') return { kind: 'block' }
+
+    if (TYPE_KEYWORDS.has(keyword)) {
+      const header = keyword === 'delegate' ? parseDelegateHeader(value, valueMask) : parseTypeHeader(value, valueMask)
+      const parent = currentType()
+      const visible = parent ? isVisible(modifiers, parent) : modifiers.includes('public')
+      const type = registerType(header, position, doc, attributes, modifiers)
+      const hidden = !visible || hiddenByParent()
+      if (!hidden) types.push(type)
+      return { kind: keyword === 'delegate' ? 'block' : 'type', type, hidden }
+    }
+
+    const type = currentType()
+    if (!type || scope.kind !== 'type' || type.kind === 'enum') return { kind: 'block' }
+
+    const member = parseMember(value, valueMask, { terminator, typeName: type.name.split('.').pop() })
+    if (!member || !isVisible(modifiers, type)) return { kind: 'member-body' }
+
+    const { names = [member.name], ...declaration } = member
+    const created = names.map((name) => {
+      const result = {
+        ...declaration,
+        name,
+        ...(declaration.kind === 'field' && modifiers.includes('event') && { kind: 'event' }),
+        modifiers,
+        ...(attributes.length > 0 && { attributes }),
+        summary: doc.summary,
+        remarks: doc.remarks,
+        returns: doc.returns,
+        params: doc.params,
+        typeParams: doc.typeParams,
+        source: { file, line: lineOf(position) },
+      }
+      type.members.push(result)
+      return result
+    })
+    return { kind: 'member-body', member: created[0] }
+  }
+
+  const finishMember = (member) => {
+    if (member) member.signature = memberSignature(member)
+  }
+
+  for (let i = 0; i < mask.length; i++) {
+    const char = mask[i]
+    const scope = scopes[scopes.length - 1]
+
+    if (scope.kind === 'body') {
+      if (char === '{') scope.depth++
+      else if (char === '}' && --scope.depth === 0) {
+        scopes.pop()
+        if (scope.member && (scope.member.kind === 'property' || scope.member.kind === 'indexer') && scope.member.accessors.length === 0) {
+          scope.member.accessors = parseAccessors(mask.slice(scope.start + 1, i))
+        }
+        finishMember(scope.member)
+        headerStart = i + 1
+      }
+      continue
+    }
+
+    if (scope.kind === 'enum-body') {
+      if (char === '}') {
+        scope.type.values = parseEnumBody(text, mask, scope.start + 1, i, docsBetween)
+        scopes.pop()
+        headerStart = i + 1
+      }
+      continue
+    }
+
+    if (char === '{') {
+      const result = handleHeader(i, '{')
+      if (result.kind === 'namespace') {
+        scopes.push({ kind: 'namespace', namespace: result.name })
+      } else if (result.kind === 'type' && result.type.kind === 'enum') {
+        scopes.push({ kind: 'enum-body', type: result.type, start: i })
+      } else if (result.kind === 'type') {
+        scopes.push({ kind: 'type', type: result.type, hidden: result.hidden })
+      } else {
+        scopes.push({ kind: 'body', depth: 1, member: result.member, start: i })
+      }
+      headerStart = i + 1
+    } else if (char === ';') {
+      const result = handleHeader(i, ';')
+      if (result.kind === 'member-body') finishMember(result.member)
+      headerStart = i + 1
+    } else if (char === '}') {
+      scopes.pop()
+      headerStart = i + 1
+    } else if (char === '=' && mask[i + 1] === '>') {
+      // Expression-bodied members end at the next top-level `;`
+      const result = handleHeader(i, '=>')
+      let depth = 0
+      let j = i + 2
+      for (; j < mask.length; j++) {
+        if (mask[j] === '(' || mask[j] === '{' || mask[j] === '[') depth++
+        else if (mask[j] === ')' || mask[j] === '}' || mask[j] === ']') depth--
+        else if (mask[j] === ';' && depth === 0) break
+      }
+      finishMember(result.member)
+      i = j
+      headerStart = j + 1
+    }
+  }
+
+  for (const type of types) {
+    type.members.sort((a, b) => a.source.line - b.source.line)
+  }
+  return types
+}
+
+// -- Project scanning -------------------------------------------------------
+
+const listSourceFiles = (directory) =>
+  fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(directory, entry.name)
+    if (entry.isDirectory()) return IGNORED_DIRS.has(entry.name) ? [] : listSourceFiles(full)
+    return entry.name.endsWith('.cs') ? [full] : []
+  })
+
+// Lists every `LabFramework.*/**/*.cs` file under `sourceDir`
+export const listApiSourceFiles = (sourceDir, { exclude = [] } = {}) =>
+  fs
+    .readdirSync(sourceDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && PROJECT_PATTERN.test(entry.name))
+    .flatMap((entry) => listSourceFiles(path.join(sourceDir, entry.name)))
+    .filter((file) => !exclude.some((pattern) => pattern.test(path.relative(sourceDir, file).split(path.sep).join('/'))))
+    .sort()
+
+const parameterTypes = (member) => (member.parameters ?? []).map((parameter) => parameter.type).join(',')
+
+// Members without their own XML docs inherit them from the base class or interface they implement
+const inheritDocs = (types) => {
+  const byName = new Map()
+  for (const type of types) {
+    const key = type.name.replace(/-\d+$/, '')
+    if (!byName.has(key) || byName.get(key).namespace !== type.namespace) byName.set(key, type)
+  }
+  const baseTypesOf = (type, seen = new Set()) =>
+    type.baseTypes
+      .map((base) => byName.get(base.replace(/<.*$/, '')))
+      .filter((base) => base && !seen.has(base.id) && seen.add(base.id))
+      .flatMap((base) => [base, ...baseTypesOf(base, seen)])
+
+  for (const type of types) {
+    const bases = baseTypesOf(type)
+    for (const member of type.members) {
+      if (member.summary || member.kind === 'constructor') continue
+      for (const base of bases) {
+        const match = base.members.find(
+          (candidate) =>
+            candidate.kind === member.kind &&
+            candidate.name === member.name &&
+            parameterTypes(candidate) === parameterTypes(member) &&
+            candidate.summary
+        )
+        if (match) {
+          Object.assign(member, {
+            summary: match.summary,
+            remarks: member.remarks ?? match.remarks,
+            returns: member.returns ?? match.returns,
+            params: { ...match.params, ...member.params },
+            typeParams: { ...match.typeParams, ...member.typeParams },
+            inheritedDoc: base.id,
+          })
+          break
+        }
+      }
+    }
+  }
+}
+
+// Stable, unique URL fragment per member; overloads get a numeric suffix
+const assignAnchors = (type) => {
+  const seen = new Map()
+  for (const member of type.members) {
+    const base = member.kind === 'constructor' ? 'ctor' : member.name.replace(/\W+/g, '-').toLowerCase()
+    const count = (seen.get(base) ?? 0) + 1
+    seen.set(base, count)
+    member.anchor = count === 1 ? base : `${base}-${count}`
+  }
+}
+
+// Builds the API model: every public type grouped by namespace
+export const extractApi = (sourceDir, options = {}) => {
+  const types = listApiSourceFiles(sourceDir, options).flatMap((file) => {
+    const relative = path.relative(sourceDir, file).split(path.sep).join('/')
+    return parseCSharpFile(fs.readFileSync(file, 'utf8'), {
+      file: relative,
+      assembly: relative.split('/')[0],
+    })
+  })
+
+  types.sort((a, b) => a.id.localeCompare(b.id))
+  inheritDocs(types)
+  types.forEach(assignAnchors)
+  const namespaces = [...new Set(types.map((type) => type.namespace))]
+    .sort()
+    .map((name) => ({ name, types: types.filter((type) => type.namespace === name).map((type) => type.id) }))
+
+  return { namespaces, types: JSON.parse(JSON.stringify(types)) }
+}
+
+// Identifies a member across releases: overloads differ by their parameter types
+const memberKey = (type, member) =>
+  `${type.id}#${member.kind} ${member.name}(${(member.parameters ?? []).map((parameter) => parameter.type).join(', ')})`
+
+// Marks types and members with the release that introduced them (`since`) and the first
+// later release that no longer has them (`removedIn`). Nothing in the oldest release gets
+// a `since`. `releases` is ordered oldest first: [{ version, api }]
+export const annotateVersions = (releases) => {
+  const keys = releases.map(({ api }) =>
+    new Set(api.types.flatMap((type) => [type.id, ...type.members.map((member) => memberKey(type, member))])))
+
+  const annotate = (entry, key, index) => {
+    const since = keys.findIndex((set) => set.has(key))
+    const removed = keys.findIndex((set, later) => later > index && !set.has(key))
+    if (since > 0) entry.since = releases[since].version
+    if (removed > 0) entry.removedIn = releases[removed].version
+  }
+
+  releases.forEach(({ api }, index) => {
+    for (const type of api.types) {
+      annotate(type, type.id, index)
+      type.members.forEach((member) => annotate(member, memberKey(type, member), index))
+    }
+  })
+  return releases
+}
+
+// Exposes the models of every release as `virtual:api-reference`, keyed by version: the
+// current release is extracted from the sources, archived ones come from their snapshots.
+// Builds emit the current model as `api.json` and archived ones as `v/<version>/api.json`.
+export default function csharpApi({ sourceDir, exclude = [], versionsDir }) {
+  const root = path.resolve(sourceDir)
+  const versionsRoot = path.resolve(versionsDir)
+
+  const extract = () => {
+    const manifest = readVersions(versionsRoot)
+    const releases = archivedReleases(manifest)
+      .reverse()
+      .map(({ version }) => ({ version, api: readSnapshotApi(versionsRoot, version) }))
+    releases.push({ version: manifest.current, api: extractApi(root, { exclude }), isCurrent: true })
+    return annotateVersions(releases)
+  }
+
+  return {
+    name: 'labframework-csharp-api',
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return
+      listApiSourceFiles(root, { exclude }).forEach((file) => this.addWatchFile(file))
+      const releases = extract()
+      releases.forEach(({ version, isCurrent }) => {
+        if (!isCurrent) this.addWatchFile(path.join(snapshotDir(versionsRoot, version), 'api.json'))
+      })
+      this.addWatchFile(path.join(versionsRoot, MANIFEST_FILE))
+      return `export default ${JSON.stringify(Object.fromEntries(releases.map(({ version, api }) => [version, api])))}`
+    },
+    generateBundle() {
+      for (const { version, api, isCurrent } of extract()) {
+        const fileName = isCurrent ? 'api.json' : `v/${version}/api.json`
+        this.emitFile({ type: 'asset', fileName, source: JSON.stringify(api, null, 2) })
+      }
+    },
+    handleHotUpdate({ file, server }) {
+      const isApiSource = file.endsWith('.cs') && file.startsWith(root)
+      const isSnapshot = file.startsWith(versionsRoot) && file.endsWith('.json')
+      if (!isApiSource && !isSnapshot) return
+      const module = server.moduleGraph.getModuleById(RESOLVED_ID)
+      if (module) server.moduleGraph.invalidateModule(module)
+    },
+  }
+}
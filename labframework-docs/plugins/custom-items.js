@@ -0,0 +1,125 @@
+import fs from 'fs'
+import path from 'path'
+import { listApiSourceFiles, scanSource, splitTopLevel } from './csharp-api.js'
+import { callArguments, stringLiteral } from './permission-nodes.js'
+
+const VIRTUAL_ID = 'virtual:custom-items'
+const RESOLVED_ID = `\0${VIRTUAL_ID}`
+
+// `var healingPotion = new CustomItemDefinition {`, with or without `()`
+const DEFINITION_PATTERN = /\b(\w+)\s*=\s*new\s+CustomItemDefinition\s*(?:\(\s*\))?\s*\{/g
+
+const STRING_FIELDS = new Set(['Id', 'Name', 'Description', 'BaseItemType', 'IconPath', 'ModelPath'])
+const INTEGER_FIELDS = new Set(['MaxDurability', 'MaxStackSize'])
+const WIDENINGS = { int: ['float', 'double'], float: ['double'] }
+
+// C# literal to the property type SetProperty<T> infers from it; null for anything else
+const typedLiteral = (value) => {
+  const text = value.trim()
+  if (text === 'true' || text === 'false') return { Type: 'bool', Value: text === 'true' }
+  if (/^-?\d+$/.test(text)) return { Type: 'int', Value: Number(text) }
+  if (/^-?(?:\d+\.?\d*|\.\d+)[fF]$/.test(text)) return { Type: 'float', Value: Number(text.slice(0, -1)) }
+  if (/^-?(?:\d*\.\d+|\d+\.)$/.test(text)) return { Type: 'double', Value: Number(text) }
+  if (/^-?(?:\d+\.?\d*|\.\d+)[dD]$/.test(text)) return { Type: 'double', Value: Number(text.slice(0, -1)) }
+  const string = stringLiteral(text)
+  return string === null ? null : { Type: 'string', Value: string }
+}
+
+const initializerValue = (field, value) => {
+  const text = value.trim()
+  if (STRING_FIELDS.has(field)) return stringLiteral(text)
+  if (INTEGER_FIELDS.has(field)) return /^-?\d+$/.test(text) ? Number(text) : null
+  if (field === 'IsStackable') return text === 'true' ? true : text === 'false' ? false : null
+  if (field === 'BehaviorType') return text.match(/^typeof\s*\(\s*([\w.]+)\s*\)$/)?.[1] ?? null
+  return null
+}
+
+// Index of the brace closing the one at `open`
+const closingBrace = (mask, open) => {
+  let depth = 0
+  for (let i = open; i < mask.length; i++) {
+    if (mask[i] === '{') depth++
+    else if (mask[i] === '}' && --depth === 0) return i
+  }
+  return -1
+}
+
+// Definitions built in one C# file: the object initializer, then the SetProperty and AddTag
+// calls on the same variable. Values that are not literals are left out.
+const scanDefinitions = (code, file) => {
+  const { text, mask } = scanSource(code)
+  const definitions = []
+
+  for (const match of mask.matchAll(DEFINITION_PATTERN)) {
+    const [, variable] = match
+    const open = match.index + match[0].length - 1
+    const close = closingBrace(mask, open)
+    if (close === -1) continue
+
+    const definition = {}
+    for (const [part] of splitTopLevel(text.slice(open + 1, close), mask.slice(open + 1, close), ',')) {
+      const assignment = part.match(/^\s*(\w+)\s*=\s*([\s\S]*)$/)
+      const value = assignment && initializerValue(assignment[1], assignment[2])
+      if (value !== null && value !== undefined) definition[assignment[1]] = value
+    }
+    if (typeof definition.Id !== 'string') continue
+    definition.Properties = {}
+    definition.Tags = []
+
+    // Calls up to the next definition assigned to the same variable
+    const next = mask.slice(close).search(new RegExp(`\\b${variable}\\s*=\\s*new\\s+CustomItemDefinition\\b`))
+    const end = next === -1 ? mask.length : close + next
+    const callPattern = new RegExp(`\\b${variable}\\s*\\.\\s*(SetProperty|AddTag)\\s*(?:<\\s*(\\w+)\\s*>)?\\s*\\(`, 'g')
+    for (const call of mask.slice(close, end).matchAll(callPattern)) {
+      const parsed = callArguments(text, mask, close + call.index + call[0].length - 1)
+      if (!parsed) continue
+      const [first, second] = parsed.args.map(([value]) => value)
+      if (call[1] === 'AddTag') {
+        const tag = first && stringLiteral(first)
+        if (tag) definition.Tags.push(tag)
+        continue
+      }
+      const key = first && stringLiteral(first)
+      const value = second && typedLiteral(second)
+      if (!key || !value) continue
+      // An explicit SetProperty<double>(key, 1) widens the literal; narrowing does not compile
+      if (!call[2] || call[2] === value.Type) definition.Properties[key] = value
+      else if (WIDENINGS[value.Type]?.includes(call[2])) definition.Properties[key] = { ...value, Type: call[2] }
+    }
+
+    definitions.push({ definition, source: { file, line: text.slice(0, match.index).split('\n').length } })
+  }
+  return definitions
+}
+
+// Every CustomItemDefinition built in the C# sources, e.g. the items of
+// CustomItemService.RegisterDefaultItems:
+//   [{ definition: { Id: 'healing_potion', ..., Properties: { HealAmount: { Type: 'int', Value: 50 } }, Tags: [...], BehaviorType: 'HealingPotionBehavior' },
+//      source: { file: 'LabFramework.CustomItems/CustomItemService.cs', line: 322 } }]
+export const collectCustomItems = (api) =>
+  listApiSourceFiles(api.sourceDir, api).flatMap((file) => {
+    const relative = path.relative(api.sourceDir, file).split(path.sep).join('/')
+    return scanDefinitions(fs.readFileSync(file, 'utf8'), relative)
+  })
+
+// Exposes the definitions as `virtual:custom-items`, rebuilt whenever a C# source changes
+export default function customItems({ api }) {
+  const apiSource = { ...api, sourceDir: path.resolve(api.sourceDir) }
+
+  return {
+    name: 'labframework-custom-items',
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return
+      listApiSourceFiles(apiSource.sourceDir, apiSource).forEach((file) => this.addWatchFile(file))
+      return `export default ${JSON.stringify(collectCustomItems(apiSource))}`
+    },
+    handleHotUpdate({ file, server }) {
+      if (!file.endsWith('.cs') || !file.startsWith(apiSource.sourceDir)) return
+      const module = server.moduleGraph.getModuleById(RESOLVED_ID)
+      if (module) server.moduleGraph.invalidateModule(module)
+    },
+  }
+}
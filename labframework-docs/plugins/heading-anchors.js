@@ -0,0 +1,55 @@
+import GithubSlugger from 'github-slugger'
+import { toString } from 'hast-util-to-string'
+import { valueToEstree } from 'estree-util-value-to-estree'
+import { visit } from 'unist-util-visit'
+
+// Headings that get an anchor and a table of contents entry
+export const TOC_DEPTHS = [2, 3]
+
+// Slugs in document order, `-1`, `-2`... for repeats. The search index slugs the same
+// headings with it so its results can link to a section.
+export const createHeadingSlugger = () => {
+  const slugger = new GithubSlugger()
+  return (text) => slugger.slug(text)
+}
+
+// Gives every h2/h3 in MDX a stable id and exports the page outline from the module:
+//   export const toc = [{ depth: 2, id: 'installation', title: 'Installation' }, ...]
+export default function headingAnchors() {
+  return () => (tree) => {
+    const slug = createHeadingSlugger()
+    const toc = []
+
+    visit(tree, 'element', (node) => {
+      const depth = Number(node.tagName.match(/^h([1-6])$/)?.[1])
+      if (!TOC_DEPTHS.includes(depth)) return
+      const title = toString(node).trim()
+      node.properties.id = slug(title)
+      toc.push({ depth, id: node.properties.id, title })
+    })
+
+    tree.children.unshift({
+      type: 'mdxjsEsm',
+      value: '',
+      data: {
+        estree: {
+          type: 'Program',
+          sourceType: 'module',
+          body: [
+            {
+              type: 'ExportNamedDeclaration',
+              specifiers: [],
+              declaration: {
+                type: 'VariableDeclaration',
+                kind: 'const',
+                declarations: [
+                  { type: 'VariableDeclarator', id: { type: 'Identifier', name: 'toc' }, init: valueToEstree(toc) },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    })
+  }
+}
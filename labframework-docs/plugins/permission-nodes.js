@@ -0,0 +1,194 @@
+import fs from 'fs'
+import path from 'path'
+import { listContentFiles, readContent } from './content-source.js'
+import { stripCodeNotation } from './code-highlight.js'
+import { listApiSourceFiles, scanSource, splitTopLevel } from './csharp-api.js'
+
+const VIRTUAL_ID = 'virtual:permission-nodes'
+const RESOLVED_ID = `\0${VIRTUAL_ID}`
+
+const CSHARP_LANGUAGES = new Set(['csharp', 'cs', 'c#'])
+
+// A fenced code block of a Markdown file, its language and the text between the fences
+const FENCE_PATTERN = /^```([^\s`]*)[^\n]*\n([\s\S]*?)^```/gm
+
+// [Command(...)] or [CommandAttribute(...)], alone or in an attribute list
+const COMMAND_PATTERN = /\bCommand(?:Attribute)?\s*\(/g
+
+// Permission checks taking node string literals after the user id
+const CHECK_PATTERN = /\b(HasPermissionAsync|HasAnyPermissionAsync|HasAllPermissionsAsync)\s*\(/g
+
+// Grants in code (the default groups, plugins setting up permissions) and the position of their node argument
+const GRANT_ARGUMENTS = { AddPermission: 0, SetUserPermissionAsync: 1 }
+const GRANT_PATTERN = /\b(AddPermission|SetUserPermissionAsync)\s*\(/g
+
+// CommandAttribute(name, description, permission, consoleOnly, playerOnly, params aliases)
+const COMMAND_PARAMETERS = ['name', 'description', 'permission', 'consoleOnly', 'playerOnly']
+
+// Name of the method following an attribute list
+const METHOD_PATTERN = /^\s*(?:\[[^\]]*\]\s*)*(?:(?:public|private|protected|internal|static|async|override|virtual|new)\s+)*[\w<>[\],.?]+\s+(\w+)\s*\(/
+
+const STRING_PATTERN = /@"(?:[^"]|"")*"|"(?:[^"\\\n]|\\.)*"/g
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', "'": "'", '\\': '\\' }
+
+// Value of a plain or verbatim string literal, null for anything else (constants, nameof...)
+export const stringLiteral = (value) => {
+  const text = value.trim()
+  if (/^@"(?:[^"]|"")*"$/.test(text)) return text.slice(2, -1).replace(/""/g, '"')
+  if (/^"(?:[^"\\\n]|\\.)*"$/.test(text)) return text.slice(1, -1).replace(/\\(.)/g, (match, char) => ESCAPES[char] ?? char)
+  return null
+}
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length
+
+// Text between the parenthesis opening at `open` and its match, as [value, mask] pairs
+export const callArguments = (text, mask, open) => {
+  let depth = 0
+  for (let i = open; i < mask.length; i++) {
+    if (mask[i] === '(') depth++
+    else if (mask[i] === ')' && --depth === 0) {
+      return { args: splitTopLevel(text.slice(open + 1, i), mask.slice(open + 1, i), ','), close: i }
+    }
+  }
+  return null
+}
+
+const parseCommand = (args) => {
+  const command = { name: null, description: null, permission: null, consoleOnly: false, playerOnly: false, aliases: [] }
+  args.forEach(([value], index) => {
+    const named = value.trim().match(/^(\w+)\s*:\s*([\s\S]*)$/)
+    const [parameter, argument] = named ? [named[1], named[2]] : [COMMAND_PARAMETERS[index] ?? 'aliases', value]
+
+    if (parameter === 'aliases') {
+      command.aliases.push(...[...argument.matchAll(STRING_PATTERN)].map(([literal]) => stringLiteral(literal)))
+    } else if (parameter === 'consoleOnly' || parameter === 'playerOnly') {
+      command[parameter] = argument.trim() === 'true'
+    } else if (parameter in command) {
+      command[parameter] = stringLiteral(argument)
+    }
+  })
+  return command
+}
+
+// Commands, permission checks and grants in one piece of C#. `source` describes where it comes
+// from; files get the line of each match added, counted from `source.line` for a code block
+// inside a file.
+const scanCode = (code, source, { commands, checks, grants }) => {
+  const { text, mask } = scanSource(code)
+  const locate = (index) => (source.file ? { ...source, line: (source.line ?? 0) + lineAt(text, index) } : source)
+
+  for (const match of text.matchAll(COMMAND_PATTERN)) {
+    const before = mask.slice(0, match.index).trimEnd()
+    if (!before.endsWith('[') && !before.endsWith(',')) continue
+    const call = callArguments(text, mask, match.index + match[0].length - 1)
+    if (!call) continue
+
+    const command = parseCommand(call.args)
+    if (!command.name) continue
+    const listEnd = mask.indexOf(']', call.close)
+    command.method = listEnd === -1 ? null : text.slice(listEnd + 1).match(METHOD_PATTERN)?.[1] ?? null
+    commands.push({ ...command, source: locate(match.index) })
+  }
+
+  for (const match of text.matchAll(CHECK_PATTERN)) {
+    const call = callArguments(text, mask, match.index + match[0].length - 1)
+    if (!call) continue
+    for (const [value] of call.args.slice(1)) {
+      const node = stringLiteral(value)
+      if (node) checks.push({ node, call: match[1], source: locate(match.index) })
+    }
+  }
+
+  for (const match of text.matchAll(GRANT_PATTERN)) {
+    const call = callArguments(text, mask, match.index + match[0].length - 1)
+    const argument = call?.args[GRANT_ARGUMENTS[match[1]]]
+    const node = argument && stringLiteral(argument[0])
+    if (node) grants.push({ node, call: match[1], source: locate(match.index) })
+  }
+}
+
+// The same snippet appears once per locale, so entries that only differ in where they
+// were found are merged, keeping every location
+const mergeSources = (entries, key) => {
+  const merged = new Map()
+  for (const { source, ...entry } of entries) {
+    const id = key(entry)
+    if (!merged.has(id)) merged.set(id, { ...entry, sources: [] })
+    merged.get(id).sources.push(source)
+  }
+  return [...merged.values()]
+}
+
+// Every command declaration, permission check and grant in the C# sources and the C#
+// code blocks of the docs and of the repository README (its quick-start snippets), e.g.
+//   commands: [{ name: 'kick', permission: 'admin.kick', aliases: [], ..., sources: [{ locale: 'en', path: '/examples', title: 'Examples' }] }]
+//   checks: [{ node: 'admin.ban', call: 'HasPermissionAsync', sources: [{ file: 'LabFramework.Console/Program.cs', line: 42 }] }]
+//   grants: [{ node: 'basic.chat', call: 'AddPermission', sources: [{ file: 'LabFramework.Permissions/PermissionService.cs', line: 192 }] }]
+export const collectPermissionNodes = (contentDir, api, readme) => {
+  const found = { commands: [], checks: [], grants: [] }
+
+  if (api) {
+    for (const file of listApiSourceFiles(api.sourceDir, api)) {
+      const relative = path.relative(api.sourceDir, file).split(path.sep).join('/')
+      scanCode(fs.readFileSync(file, 'utf8'), { file: relative }, found)
+    }
+  }
+
+  for (const page of readContent(contentDir)) {
+    const walk = (nodes) => {
+      for (const node of nodes) {
+        if (node.type === 'code' && CSHARP_LANGUAGES.has(node.lang)) {
+          scanCode(stripCodeNotation(node.value), { locale: page.locale, path: page.path, title: page.title }, found)
+        } else if (node.children) {
+          walk(node.children)
+        }
+      }
+    }
+    walk(page.tree.children)
+  }
+
+  if (readme && fs.existsSync(readme)) {
+    const markdown = fs.readFileSync(readme, 'utf8')
+    for (const match of markdown.matchAll(FENCE_PATTERN)) {
+      if (!CSHARP_LANGUAGES.has(match[1])) continue
+      scanCode(match[2], { file: path.basename(readme), line: lineAt(markdown, match.index) }, found)
+    }
+  }
+
+  return {
+    commands: mergeSources(found.commands, (command) =>
+      JSON.stringify([command.name, command.description, command.permission, command.consoleOnly, command.playerOnly, command.aliases, command.method]),
+    ),
+    checks: mergeSources(found.checks, (check) => `${check.call}:${check.node}`),
+    grants: mergeSources(found.grants, (grant) => `${grant.call}:${grant.node}`),
+  }
+}
+
+// Exposes the registry as `virtual:permission-nodes`, rebuilt whenever content, C# sources or
+// the README change
+export default function permissionNodes({ contentDir, api, readme }) {
+  const root = path.resolve(contentDir)
+  const apiSource = api && { ...api, sourceDir: path.resolve(api.sourceDir) }
+  const readmeFile = readme && path.resolve(readme)
+
+  return {
+    name: 'labframework-permission-nodes',
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return
+      listContentFiles(root).forEach((file) => this.addWatchFile(file))
+      if (apiSource) listApiSourceFiles(apiSource.sourceDir, apiSource).forEach((file) => this.addWatchFile(file))
+      if (readmeFile && fs.existsSync(readmeFile)) this.addWatchFile(readmeFile)
+      return `export default ${JSON.stringify(collectPermissionNodes(root, apiSource, readmeFile))}`
+    },
+    handleHotUpdate({ file, server }) {
+      const isApiSource = apiSource && file.endsWith('.cs') && file.startsWith(apiSource.sourceDir)
+      if (!file.startsWith(root) && !isApiSource && file !== readmeFile) return
+      const module = server.moduleGraph.getModuleById(RESOLVED_ID)
+      if (module) server.moduleGraph.invalidateModule(module)
+    },
+  }
+}
@@ -0,0 +1,177 @@
+import path from 'path'
+import { toString } from 'mdast-util-to-string'
+import { listContentFiles, readContent } from './content-source.js'
+import { stripCodeNotation } from './code-highlight.js'
+import { TOC_DEPTHS, createHeadingSlugger } from './heading-anchors.js'
+import { extractApi, listApiSourceFiles } from './csharp-api.js'
+
+const VIRTUAL_ID = 'virtual:search-index'
+const RESOLVED_ID = `\0${VIRTUAL_ID}`
+
+// Type.Member references such as EventBus.Subscribe or CommandResult.Failed
+const SYMBOL_PATTERN = /(?<![\w.])([A-Z][A-Za-z0-9]*)\.([A-Z][A-Za-z0-9]*)\b/g
+
+// JSX blocks whose title attribute acts as a heading for their children
+const TITLED_BLOCKS = new Set(['Step', 'Example'])
+
+const blockAttribute = (node, name) =>
+  node.attributes?.find((attribute) => attribute.name === name)?.value
+
+const collectSymbols = (code, page, symbols) => {
+  for (const line of code.split('\n')) {
+    for (const [name] of line.matchAll(SYMBOL_PATTERN)) {
+      const key = `${page.locale}:${name}`
+      if (!symbols.has(key)) {
+        symbols.set(key, {
+          type: 'symbol',
+          locale: page.locale,
+          path: page.path,
+          title: name,
+          heading: page.title,
+          text: line.trim(),
+        })
+      }
+    }
+  }
+}
+
+const indexPage = (page, entries, symbols) => {
+  const slug = createHeadingSlugger()
+  let heading = ''
+  let anchor = ''
+  let text = []
+
+  const flush = () => {
+    if (text.length > 0 || heading) {
+      entries.push({
+        type: 'page',
+        locale: page.locale,
+        path: page.path + anchor,
+        title: page.title,
+        heading,
+        text: text.join(' '),
+      })
+    }
+    text = []
+  }
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'yaml':
+        case 'mdxjsEsm':
+          break
+        case 'heading':
+          flush()
+          heading = toString(node)
+          if (TOC_DEPTHS.includes(node.depth)) anchor = `#${slug(heading.trim())}`
+          break
+        case 'code': {
+          const code = stripCodeNotation(node.value)
+          entries.push({
+            type: 'code',
+            locale: page.locale,
+            path: page.path + anchor,
+            title: page.title,
+            heading,
+            lang: node.lang ?? '',
+            text: code,
+          })
+          collectSymbols(code, page, symbols)
+          break
+        }
+        case 'mdxJsxFlowElement':
+          if (TITLED_BLOCKS.has(node.name) && typeof blockAttribute(node, 'title') === 'string') {
+            flush()
+            heading = blockAttribute(node, 'title')
+            if (typeof blockAttribute(node, 'description') === 'string') {
+              text.push(blockAttribute(node, 'description'))
+            }
+          }
+          walk(node.children)
+          break
+        default:
+          if (node.type === 'paragraph' || node.type === 'list' || node.type === 'table') {
+            collectSymbols(toString(node), page, symbols)
+            text.push(toString(node))
+          } else if (node.children) {
+            walk(node.children)
+          }
+      }
+    }
+  }
+
+  walk(page.tree.children)
+  flush()
+}
+
+// API reference entries are shared by every locale (locale: null); they replace
+// snippet symbols of the same name so results point at the reference page
+const indexApi = (model, symbols) => {
+  const entries = []
+  for (const type of model.types) {
+    entries.push({
+      type: 'symbol',
+      locale: null,
+      path: `/api/${type.id}`,
+      title: type.name,
+      heading: type.namespace,
+      text: type.summary ?? type.signature,
+    })
+    for (const member of type.members) {
+      const title = `${type.name}.${member.kind === 'constructor' ? type.name.split('.').pop() : member.name}`
+      if (entries.some((entry) => entry.title === title)) continue
+      entries.push({
+        type: 'symbol',
+        locale: null,
+        path: `/api/${type.id}#${member.anchor}`,
+        title,
+        heading: type.id,
+        text: member.summary ?? member.signature,
+      })
+    }
+  }
+
+  const titles = new Set(entries.map((entry) => entry.title))
+  for (const [key, symbol] of symbols) {
+    if (titles.has(symbol.title)) symbols.delete(key)
+  }
+  return entries
+}
+
+export const buildSearchIndex = (contentDir, api) => {
+  const entries = []
+  const symbols = new Map()
+
+  for (const page of readContent(contentDir)) {
+    indexPage(page, entries, symbols)
+  }
+  const apiEntries = api ? indexApi(extractApi(api.sourceDir, api), symbols) : []
+
+  return [...entries, ...symbols.values(), ...apiEntries].map((entry, id) => ({ id, ...entry }))
+}
+
+// Exposes the index as `virtual:search-index`, rebuilt whenever content or API sources change
+export default function searchIndex({ contentDir, api }) {
+  const root = path.resolve(contentDir)
+  const apiSource = api && { ...api, sourceDir: path.resolve(api.sourceDir) }
+
+  return {
+    name: 'labframework-search-index',
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) return
+      listContentFiles(root).forEach((file) => this.addWatchFile(file))
+      if (apiSource) listApiSourceFiles(apiSource.sourceDir, apiSource).forEach((file) => this.addWatchFile(file))
+      return `export default ${JSON.stringify(buildSearchIndex(root, apiSource))}`
+    },
+    handleHotUpdate({ file, server }) {
+      const isApiSource = apiSource && file.endsWith('.cs') && file.startsWith(apiSource.sourceDir)
+      if (!file.startsWith(root) && !isApiSource) return
+      const module = server.moduleGraph.getModuleById(RESOLVED_ID)
+      if (module) server.moduleGraph.invalidateModule(module)
+    },
+  }
+}
@@ -0,0 +1,11 @@
+// Inputs shared by the Vite plugins and scripts/, relative to the docs project root
+
+export const contentDir = 'content'
+
+export const versionsDir = 'versions'
+
+// C# sources the API reference is generated from; Class1.cs files are project template placeholders
+export const apiSource = { sourceDir: '..', exclude: [/(^|\/)Class1\.cs$/] }
+
+// The repository README, whose quick-start snippets use permission nodes too
+export const readmeFile = '../README.md'
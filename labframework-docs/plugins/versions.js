@@ -0,0 +1,23 @@
+import fs from 'fs'
+import path from 'path'
+
+// versions/versions.json names the release the live content/ tree and C# sources
+// describe (`current`) and lists every release newest first. Each release other
+// than the current one is archived in versions/<version>/ with its own content/
+// tree and api.json, as written by scripts/docs-version.js.
+
+export const MANIFEST_FILE = 'versions.json'
+
+export const readVersions = (versionsDir) =>
+  JSON.parse(fs.readFileSync(path.join(versionsDir, MANIFEST_FILE), 'utf8'))
+
+export const writeVersions = (versionsDir, manifest) =>
+  fs.writeFileSync(path.join(versionsDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`)
+
+export const archivedReleases = (manifest) =>
+  manifest.releases.filter((release) => release.version !== manifest.current)
+
+export const snapshotDir = (versionsDir, version) => path.join(versionsDir, version)
+
+export const readSnapshotApi = (versionsDir, version) =>
+  JSON.parse(fs.readFileSync(path.join(snapshotDir(versionsDir, version), 'api.json'), 'utf8'))
@@ -0,0 +1,79 @@
+// Archives the docs of the current release and starts documenting the next one:
+//
+//   pnpm docs:version <next-version> [--date YYYY-MM-DD]
+//
+// Copies content/ and the API extracted from the C# sources into versions/<current>/,
+// then records <next-version> as the current release in versions/versions.json.
+// Run it once the current release has shipped, before the sources move on.
+//
+// Release dates come from the commit of the release's git tag (v1.0.0 or 1.0.0), so
+// re-running for an older release does not stamp it with today. <next-version> takes
+// --date when given, then its tag, then today; the archived release keeps its recorded
+// date unless it has a tag.
+
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import path from 'path'
+import { extractApi } from '../plugins/csharp-api.js'
+import { apiSource, contentDir, versionsDir } from '../plugins/sources.js'
+import { readVersions, snapshotDir, writeVersions } from '../plugins/versions.js'
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const fail = (message) => {
+  console.error(`docs:version: ${message}`)
+  process.exit(1)
+}
+
+// YYYY-MM-DD of the commit tagged for `version`, null without a tag
+const tagDate = (version) => {
+  for (const tag of [`v${version}`, version]) {
+    try {
+      const date = execFileSync('git', ['log', '-1', '--format=%cI', `refs/tags/${tag}`], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      })
+      if (date.trim()) return date.trim().slice(0, 10)
+    } catch {
+      // No such tag, or not a git checkout
+    }
+  }
+  return null
+}
+
+const [next, flag, flagDate] = process.argv.slice(2)
+
+if (!next || !VERSION_PATTERN.test(next)) fail('usage: pnpm docs:version <next-version> [--date YYYY-MM-DD]')
+if (flag !== undefined && flag !== '--date') fail(`unknown option ${flag}`)
+if (flag !== undefined && !DATE_PATTERN.test(flagDate ?? '')) fail('--date needs a date like 2025-01-31')
+
+const manifest = readVersions(versionsDir)
+const archived = manifest.current
+const target = snapshotDir(versionsDir, archived)
+
+if (manifest.releases.some((release) => release.version === next)) fail(`${next} is already a release`)
+if (fs.existsSync(target)) fail(`${target} already exists`)
+
+fs.cpSync(contentDir, path.join(target, 'content'), { recursive: true })
+fs.writeFileSync(
+  path.join(target, 'api.json'),
+  `${JSON.stringify(extractApi(path.resolve(apiSource.sourceDir), apiSource), null, 2)}\n`,
+)
+
+const date = flagDate ?? tagDate(next) ?? new Date().toISOString().slice(0, 10)
+const archivedDate = tagDate(archived)
+
+writeVersions(versionsDir, {
+  ...manifest,
+  current: next,
+  releases: [
+    { version: next, date },
+    ...manifest.releases.map((release) =>
+      release.version === archived && archivedDate ? { ...release, date: archivedDate } : release,
+    ),
+  ],
+})
+
+console.log(`Archived v${archived} in ${target}; v${next} is now current.`)
@@ -0,0 +1,80 @@
+// Prerenders every route to static HTML once the client and server bundles are built:
+//
+//   vite build && vite build --ssr src/entry-server.jsx --outDir dist/server && node scripts/prerender.js
+//
+// Writes <route>/index.html for each page, meta-refresh pages for index routes that only
+// redirect, 404.html (the bare app shell static hosts serve for unknown paths, where the
+// client router takes over) and sitemap.xml. Canonical URLs, og:url and the sitemap need
+// the public origin of the site: SITE_URL=https://docs.example.org pnpm build
+
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+
+const distDir = path.resolve(process.argv[2] ?? 'dist')
+const serverDir = path.join(distDir, 'server')
+const siteUrl = (process.env.SITE_URL ?? '').replace(/\/$/, '')
+
+const { getRoutes, render, renderNotFound } = await import(
+  pathToFileURL(path.join(serverDir, 'entry-server.js')).href
+)
+const template = fs.readFileSync(path.join(distDir, 'index.html'), 'utf8')
+
+// Replacements are functions so `$` in rendered code samples is not read as a pattern
+const fillTemplate = ({ html, head, lang, dir }) =>
+  template
+    .replace(/<html lang="[^"]*">/, () => `<html lang="${lang}" dir="${dir}">`)
+    .replace(/<title>.*<\/title>/, () => head)
+    .replace('<div id="root"></div>', () => `<div id="root">${html}</div>`)
+
+const redirectPage = (target) => `<!doctype html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="robots" content="noindex" />
+    <meta http-equiv="refresh" content="0; url=${target}" />
+    <title>${target}</title>
+  </head>
+  <body>
+    <a href="${target}">${target}</a>
+  </body>
+</html>
+`
+
+const writePage = (route, contents) => {
+  const file = path.join(distDir, route, 'index.html')
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, contents)
+}
+
+const sitemap = (routes) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${routes
+  .map((route) => [
+    '  <url>',
+    `    <loc>${siteUrl}${route.path}</loc>`,
+    ...route.alternates.map(
+      (alternate) => `    <xhtml:link rel="alternate" hreflang="${alternate.locale}" href="${siteUrl}${alternate.path}" />`,
+    ),
+    '  </url>',
+  ].join('\n'))
+  .join('\n')}
+</urlset>
+`
+
+const routes = getRoutes()
+const pages = routes.filter((route) => !route.redirect)
+
+for (const route of routes) {
+  writePage(route.path, route.redirect ? redirectPage(route.redirect) : fillTemplate(render(route.path, { siteUrl })))
+}
+fs.writeFileSync(path.join(distDir, '404.html'), fillTemplate(renderNotFound()))
+
+if (siteUrl) {
+  fs.writeFileSync(path.join(distDir, 'sitemap.xml'), sitemap(pages))
+} else {
+  console.warn('prerender: SITE_URL is not set, skipping sitemap.xml and canonical URLs')
+}
+
+fs.rmSync(serverDir, { recursive: true, force: true })
+console.log(`Prerendered ${pages.length} pages and ${routes.length - pages.length} redirects into ${distDir}`)
@@ -0,0 +1,200 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { useVersion } from '@/hooks/use-version.js';
+import { apiPath, getApiType, groupMembers, resolveTypeName } from '@/lib/api-reference.js';
+
+const IDENTIFIER = /([A-Za-z_][A-Za-z0-9_]*)/;
+
+// Signature Component
+// Renders a C# signature with every known framework type linked to its reference page
+export const Signature = ({ text, namespace, currentId, className = '' }) => {
+  const { localePath } = useLocale();
+  const { version } = useVersion();
+
+  return (
+    <pre
+      dir="ltr"
+      className={`overflow-x-auto rounded-md bg-gray-100 dark:bg-gray-800 px-4 py-3 text-sm font-mono whitespace-pre-wrap ${className}`}
+    >
+      <code>
+        {text.split(IDENTIFIER).map((part, index) => {
+          const type = index % 2 === 1 ? resolveTypeName(part, namespace, version) : null;
+          if (!type || type.id === currentId) return part;
+          return (
+            <Link key={index} to={localePath(apiPath(type))} className="text-blue-600 dark:text-blue-400 hover:underline">
+              {part}
+            </Link>
+          );
+        })}
+      </code>
+    </pre>
+  );
+};
+
+// Linked type name, or plain code when the type is not part of the framework
+export const TypeName = ({ name, namespace }) => {
+  const { localePath } = useLocale();
+  const { version } = useVersion();
+  const type = resolveTypeName(name.replace(/<.*$/, '').replace(/\[\]$/, ''), namespace, version);
+
+  return type ? (
+    <Link to={localePath(apiPath(type))} className="font-mono text-blue-600 dark:text-blue-400 hover:underline" dir="ltr">
+      {name}
+    </Link>
+  ) : (
+    <code dir="ltr">{name}</code>
+  );
+};
+
+export const ApiSummary = ({ text }) => {
+  const { t } = useLocale();
+
+  return text ? (
+    <p className="text-gray-700 dark:text-gray-300" dir="ltr" lang="en">{text}</p>
+  ) : (
+    <p className="text-sm italic text-gray-500 dark:text-gray-400">{t('api.noSummary')}</p>
+  );
+};
+
+export const ParameterTable = ({ parameters, docs = {}, namespace }) => {
+  const { t } = useLocale();
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead className="text-start">{t('api.name')}</TableHead>
+          <TableHead className="text-start">{t('api.type')}</TableHead>
+          <TableHead className="text-start">{t('api.default')}</TableHead>
+          <TableHead className="text-start">{t('api.description')}</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {parameters.map((parameter) => (
+          <TableRow key={parameter.name}>
+            <TableCell><code dir="ltr">{parameter.name}</code></TableCell>
+            <TableCell><TypeName name={parameter.type} namespace={namespace} /></TableCell>
+            <TableCell>{parameter.defaultValue !== undefined && <code dir="ltr">{parameter.defaultValue}</code>}</TableCell>
+            <TableCell className="whitespace-normal" dir="ltr" lang="en">{docs[parameter.name]}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+export const EnumValueTable = ({ values }) => {
+  const { t } = useLocale();
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead className="text-start">{t('api.name')}</TableHead>
+          <TableHead className="text-start">{t('api.value')}</TableHead>
+          <TableHead className="text-start">{t('api.description')}</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {values.map((value) => (
+          <TableRow key={value.name}>
+            <TableCell><code dir="ltr">{value.name}</code></TableCell>
+            <TableCell><code dir="ltr">{value.value}</code></TableCell>
+            <TableCell className="whitespace-normal" dir="ltr" lang="en">{value.summary}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+// "since vX" / "removed in vY" markers from plugins/csharp-api.js annotateVersions
+export const VersionBadges = ({ entry }) => {
+  const { t } = useLocale();
+
+  return (
+    <>
+      {entry.since && (
+        <Badge variant="outline" className="border-green-300 text-green-700 dark:border-green-800 dark:text-green-400">
+          {t('versions.since', { version: entry.since })}
+        </Badge>
+      )}
+      {entry.removedIn && (
+        <Badge variant="outline" className="border-red-300 text-red-700 dark:border-red-800 dark:text-red-400">
+          {t('versions.removedIn', { version: entry.removedIn })}
+        </Badge>
+      )}
+    </>
+  );
+};
+
+// Member Entry Component
+export const MemberEntry = ({ type, member }) => {
+  const { t } = useLocale();
+  const inheritedFrom = member.inheritedDoc && getApiType(member.inheritedDoc, type.version);
+
+  return (
+    <section id={member.anchor} className="scroll-mt-24 border-t border-gray-200 dark:border-gray-700 pt-6 space-y-3">
+      <h4 className="flex flex-wrap items-center gap-2 text-lg font-semibold text-gray-900 dark:text-white">
+        <code dir="ltr">{member.kind === 'constructor' ? type.name.split('.').pop() : member.name}</code>
+        {member.modifiers.includes('static') && <Badge variant="secondary">static</Badge>}
+        {member.modifiers.includes('abstract') && <Badge variant="secondary">abstract</Badge>}
+        {member.modifiers.includes('protected') && <Badge variant="outline">protected</Badge>}
+        <VersionBadges entry={member} />
+      </h4>
+      <Signature text={member.signature} namespace={type.namespace} currentId={type.id} />
+      <ApiSummary text={member.summary} />
+      {inheritedFrom && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {t('api.inheritedFrom')} <TypeName name={inheritedFrom.name} namespace={inheritedFrom.namespace} />
+        </p>
+      )}
+      {member.parameters?.length > 0 && (
+        <ParameterTable parameters={member.parameters} docs={member.params} namespace={type.namespace} />
+      )}
+      {member.returns && (
+        <p className="text-sm">
+          <span className="font-semibold">{t('api.returns')}: </span>
+          <span dir="ltr" lang="en">{member.returns}</span>
+        </p>
+      )}
+    </section>
+  );
+};
+
+// Type Summary Component
+// Compact member overview used from MDX, e.g. <ApiTypeSummary id="LabFramework.Core.BasePlugin" />
+export const ApiTypeSummary = ({ id }) => {
+  const { t, localePath } = useLocale();
+  const { version } = useVersion();
+  const type = getApiType(id, version);
+  if (!type) return null;
+
+  return (
+    <div className="my-4 space-y-3">
+      <Signature text={type.signature} namespace={type.namespace} currentId={type.id} />
+      {type.values && <EnumValueTable values={type.values} />}
+      {groupMembers(type).map((group) => (
+        <div key={group.kind}>
+          <h4 className="mb-1 text-sm font-semibold text-gray-900 dark:text-white">{t(`api.kinds.${group.kind}`)}</h4>
+          <ul className="space-y-1 text-sm" dir="ltr">
+            {group.members.map((member) => (
+              <li key={member.anchor} className="flex flex-wrap items-center gap-2">
+                <Link to={localePath(apiPath(type, member))} className="font-mono text-blue-600 dark:text-blue-400 hover:underline">
+                  {member.signature}
+                </Link>
+                <VersionBadges entry={member} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+      <Link to={localePath(apiPath(type))} className="inline-block text-sm text-blue-600 dark:text-blue-400 hover:underline">
+        {t('api.fullReference', { name: type.name })}
+      </Link>
+    </div>
+  );
+};
@@ -0,0 +1,115 @@
+import React, { Children, cloneElement, isValidElement, useEffect, useRef, useState } from 'react';
+import { Check, Copy, FileCode } from 'lucide-react';
+import { Button } from '@/components/ui/button.jsx';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { cn } from '@/lib/utils.js';
+
+// Text of a highlighted block as it should be pasted: removed diff lines are left out
+const getCodeText = (pre) => {
+  const lines = pre.querySelectorAll('.line');
+  if (lines.length === 0) return pre.textContent;
+  return [...lines]
+    .filter((line) => !line.classList.contains('remove'))
+    .map((line) => line.textContent)
+    .join('\n');
+};
+
+const CopyButton = ({ targetRef, className }) => {
+  const { t } = useLocale();
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const copy = async () => {
+    if (!targetRef.current) return;
+    await navigator.clipboard.writeText(getCodeText(targetRef.current));
+    setCopied(true);
+  };
+
+  return (
+    <Button
+      variant="ghost"
+      size="icon"
+      className={cn('size-7 text-gray-500 hover:text-gray-900 dark:hover:text-gray-100', className)}
+      onClick={copy}
+      aria-label={copied ? t('code.copied') : t('code.copy')}
+      title={copied ? t('code.copied') : t('code.copy')}
+    >
+      {copied ? <Check className="size-4 text-green-600" /> : <Copy className="size-4" />}
+    </Button>
+  );
+};
+
+// CodeBlock Component
+// Renders a `pre` produced by the build-time highlighter (plugins/code-highlight.js)
+export const CodeBlock = ({
+  'data-title': title,
+  'data-language': language,
+  className,
+  style,
+  children,
+  ...props
+}) => {
+  const preRef = useRef(null);
+
+  return (
+    <div
+      className="group relative my-4 overflow-hidden rounded-lg border border-gray-200 bg-gray-50 dark:border-gray-700 dark:bg-gray-800"
+      dir="ltr"
+    >
+      {title && (
+        <div className="flex items-center justify-between gap-2 border-b border-gray-200 px-4 py-1.5 text-xs text-gray-600 dark:border-gray-700 dark:text-gray-300">
+          <span className="flex items-center gap-2 font-mono">
+            <FileCode className="size-3.5" />
+            {title}
+          </span>
+          <CopyButton targetRef={preRef} />
+        </div>
+      )}
+      {!title && (
+        <CopyButton
+          targetRef={preRef}
+          className="absolute top-2 end-2 opacity-0 transition-opacity group-hover:opacity-100 focus-visible:opacity-100"
+        />
+      )}
+      <pre
+        ref={preRef}
+        className={cn('code-block overflow-x-auto py-4 text-sm', className)}
+        style={{ ...style, backgroundColor: undefined }}
+        data-language={language}
+        {...props}
+      >
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+// CodeTabs Component
+// Groups several titled code blocks behind filename tabs
+export const CodeTabs = ({ children }) => {
+  const blocks = Children.toArray(children).filter(isValidElement);
+  const titleOf = (block, index) => block.props['data-title'] ?? block.props['data-language'] ?? `${index + 1}`;
+
+  return (
+    <Tabs defaultValue={titleOf(blocks[0], 0)} className="my-4 gap-0" dir="ltr">
+      <TabsList className="h-auto flex-wrap justify-start font-mono">
+        {blocks.map((block, index) => (
+          <TabsTrigger key={titleOf(block, index)} value={titleOf(block, index)} className="text-xs">
+            {titleOf(block, index)}
+          </TabsTrigger>
+        ))}
+      </TabsList>
+      {blocks.map((block, index) => (
+        <TabsContent key={titleOf(block, index)} value={titleOf(block, index)}>
+          {cloneElement(block, { 'data-title': undefined })}
+        </TabsContent>
+      ))}
+    </Tabs>
+  );
+};
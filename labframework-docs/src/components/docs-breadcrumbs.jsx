@@ -0,0 +1,37 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbList,
+  BreadcrumbPage,
+  BreadcrumbSeparator,
+} from '@/components/ui/breadcrumb.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+
+export const DocsBreadcrumbs = ({ section, page, rootTitle, rootPath = '/docs' }) => {
+  const { t, localePath } = useLocale();
+
+  return (
+    <Breadcrumb className="mb-6">
+      <BreadcrumbList>
+        <BreadcrumbItem>
+          <BreadcrumbLink asChild>
+            <Link to={localePath(rootPath)}>{rootTitle ?? t('docs.title')}</Link>
+          </BreadcrumbLink>
+        </BreadcrumbItem>
+        <BreadcrumbSeparator className="rtl:[&>svg]:rotate-180" />
+        <BreadcrumbItem>
+          <BreadcrumbLink asChild>
+            <Link to={localePath(section.pages[0].path)}>{section.title}</Link>
+          </BreadcrumbLink>
+        </BreadcrumbItem>
+        <BreadcrumbSeparator className="rtl:[&>svg]:rotate-180" />
+        <BreadcrumbItem>
+          <BreadcrumbPage>{page.navTitle}</BreadcrumbPage>
+        </BreadcrumbItem>
+      </BreadcrumbList>
+    </Breadcrumb>
+  );
+};
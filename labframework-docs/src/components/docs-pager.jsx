@@ -0,0 +1,47 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { useLocale } from '@/hooks/use-locale.js';
+
+const PagerLink = ({ page, label, align, children }) => {
+  const { localePath } = useLocale();
+
+  return (
+    <Link
+      to={localePath(page.path)}
+      className={`flex-1 rounded-lg border border-gray-200 dark:border-gray-700 p-4 hover:border-blue-600 transition-colors ${align}`}
+    >
+      <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">{label}</div>
+      <div className="font-medium text-gray-900 dark:text-white">{children}</div>
+    </Link>
+  );
+};
+
+export const DocsPager = ({ previous, next }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="mt-12 flex gap-4">
+      {previous ? (
+        <PagerLink page={previous} label={t('docs.previous')} align="text-start">
+          <span className="inline-flex items-center gap-1">
+            <ChevronLeft className="w-4 h-4 rtl:rotate-180" />
+            {previous.navTitle}
+          </span>
+        </PagerLink>
+      ) : (
+        <div className="flex-1" />
+      )}
+      {next ? (
+        <PagerLink page={next} label={t('docs.next')} align="text-end">
+          <span className="inline-flex items-center gap-1">
+            {next.navTitle}
+            <ChevronRight className="w-4 h-4 rtl:rotate-180" />
+          </span>
+        </PagerLink>
+      ) : (
+        <div className="flex-1" />
+      )}
+    </div>
+  );
+};
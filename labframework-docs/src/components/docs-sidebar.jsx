@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDown } from 'lucide-react';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+
+const SidebarSection = ({ section, activeSlug }) => {
+  const { localePath } = useLocale();
+  const [open, setOpen] = useState(true);
+
+  return (
+    <Collapsible open={open} onOpenChange={setOpen}>
+      <CollapsibleTrigger className="flex w-full items-center justify-between px-2 py-1.5 text-sm font-semibold text-gray-900 dark:text-white">
+        {section.title}
+        <ChevronDown className={`w-4 h-4 transition-transform ${open ? '' : '-rotate-90 rtl:rotate-90'}`} />
+      </CollapsibleTrigger>
+      <CollapsibleContent>
+        <ul className="mt-1 mb-3 space-y-1 border-s border-gray-200 dark:border-gray-700 ms-2">
+          {section.pages.map((page) => (
+            <li key={page.slug}>
+              <Link
+                to={localePath(page.path)}
+                className={`block -ms-px border-s ps-4 py-1 text-sm transition-colors ${
+                  page.slug === activeSlug
+                    ? 'border-blue-600 text-blue-600 font-medium'
+                    : 'border-transparent text-gray-600 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400'
+                }`}
+              >
+                {page.navTitle}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </CollapsibleContent>
+    </Collapsible>
+  );
+};
+
+export const DocsSidebar = ({ tree, activeSlug }) => {
+  const { t } = useLocale();
+
+  return (
+    <nav aria-label={t('docs.title')} className="space-y-1">
+      {tree.map((section) => (
+        <SidebarSection key={section.slug} section={section} activeSlug={activeSlug} />
+      ))}
+    </nav>
+  );
+};
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { LOCALES } from '@/lib/i18n.js';
+
+// Shown above content rendered from another locale because no translation exists
+export const FallbackNotice = ({ page }) => {
+  const { t } = useLocale();
+
+  if (!page?.isFallback) return null;
+
+  return (
+    <Alert className="mb-6 border-amber-300 bg-amber-50 text-amber-900 dark:border-amber-800 dark:bg-amber-900/20 dark:text-amber-200">
+      <Languages />
+      <AlertTitle>{t('docs.fallbackTitle')}</AlertTitle>
+      <AlertDescription>
+        {t('docs.fallbackDescription', { language: LOCALES[page.locale].label })}
+      </AlertDescription>
+    </Alert>
+  );
+};
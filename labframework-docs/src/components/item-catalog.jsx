@@ -0,0 +1,101 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Outlet } from 'react-router-dom';
+import { AlertCircle, AlertTriangle, FileUp, X } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import { ItemCatalogContext, useItemCatalog } from '@/hooks/use-item-catalog.js';
+import { useLocale } from '@/hooks/use-locale.js';
+import { buildItemCatalog, parseItemCatalogJson } from '@/lib/custom-items/catalog.js';
+import { CustomItemDefinitionError } from '@/lib/custom-items/definition.js';
+
+// Item Catalog Layout Component
+// Keeps the imported definitions while moving between the catalog, item and pack pages
+export const ItemCatalogLayout = () => {
+  const [text, setText] = useState('');
+
+  const value = useMemo(() => {
+    try {
+      return { text, setText, catalog: buildItemCatalog(parseItemCatalogJson(text)), error: null };
+    } catch (error) {
+      if (!(error instanceof CustomItemDefinitionError)) throw error;
+      return { text, setText, catalog: buildItemCatalog([]), error };
+    }
+  }, [text]);
+
+  return (
+    <ItemCatalogContext.Provider value={value}>
+      <Outlet />
+    </ItemCatalogContext.Provider>
+  );
+};
+
+// Item Catalog Card Component
+// Editor for the definitions added to the built-in items: paste or load a JSON file
+export const ItemCatalogCard = () => {
+  const { t } = useLocale();
+  const { text, setText, catalog, error } = useItemCatalog();
+  const fileInput = useRef(null);
+
+  const loadFile = async (event) => {
+    const [file] = event.target.files;
+    if (file) setText(await file.text());
+    event.target.value = '';
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.itemCatalog.definitions')}</CardTitle>
+        <CardDescription>{t('tools.itemCatalog.definitionsDescription')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" size="sm" onClick={() => fileInput.current.click()}>
+            <FileUp className="w-4 h-4 me-2" />
+            {t('tools.itemCatalog.load')}
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setText('')} disabled={!text}>
+            <X className="w-4 h-4 me-2" />
+            {t('tools.itemCatalog.clear')}
+          </Button>
+          <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={loadFile} />
+          <Badge variant="secondary" className="ms-auto">
+            {t('tools.itemCatalog.summary', { items: catalog.items.length })}
+          </Badge>
+        </div>
+        <Textarea
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          rows={8}
+          spellCheck={false}
+          dir="ltr"
+          placeholder='[{ "Id": "my_item", "Name": "My Item", "Tags": ["consumable"] }]'
+          aria-label={t('tools.itemCatalog.definitions')}
+          className="font-mono text-xs"
+        />
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle />
+            <AlertTitle>{t('tools.itemCatalog.invalid')}</AlertTitle>
+            <AlertDescription>
+              <p dir="ltr" className="font-mono text-xs">{error.message}</p>
+            </AlertDescription>
+          </Alert>
+        )}
+        {catalog.duplicates.length > 0 && (
+          <Alert>
+            <AlertTriangle />
+            <AlertTitle>{t('tools.itemCatalog.duplicates')}</AlertTitle>
+            <AlertDescription>
+              <p>{t('tools.itemCatalog.duplicatesDescription')}</p>
+              <p dir="ltr" className="font-mono text-xs">{catalog.duplicates.map((definition) => definition.id).join(', ')}</p>
+            </AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,101 @@
+import React, { useRef, useState } from 'react';
+import { AlertCircle, FileUp, Sparkles, X } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { CustomItemDefinitionError, parseItemDefinitionJson } from '@/lib/custom-items/definition.js';
+import { BUILT_IN_ITEMS } from '@/lib/custom-items/registry.js';
+
+// Item Definition Card Component
+// Picks the definition a custom item tool works on: a built-in item or a definition JSON file.
+// `onClear` makes the definition optional; `children` go below the summary.
+export const ItemDefinitionCard = ({ title, description, empty, definition, onLoad, onClear, children }) => {
+  const { t } = useLocale();
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const load = (next) => {
+    onLoad(next);
+    setError(null);
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      load(parseItemDefinitionJson(await file.text()));
+    } catch (caught) {
+      if (!(caught instanceof CustomItemDefinitionError)) throw caught;
+      setError(caught.message);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{title}</CardTitle>
+        {description && <CardDescription>{description}</CardDescription>}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          {BUILT_IN_ITEMS.map((item) => (
+            <Button key={item.id} type="button" variant="outline" size="sm" onClick={() => load(item)}>
+              <Sparkles className="w-4 h-4 me-2" />
+              {item.name}
+            </Button>
+          ))}
+          <Button type="button" variant="outline" size="sm" onClick={() => fileInput.current.click()}>
+            <FileUp className="w-4 h-4 me-2" />
+            {t('tools.itemDefinition.import')}
+          </Button>
+          <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle />
+            <AlertTitle>{t('tools.itemDefinition.importFailed')}</AlertTitle>
+            <AlertDescription>
+              <p dir="ltr" className="font-mono text-xs">{error}</p>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {definition ? (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-medium">{definition.name || definition.id}</span>
+            <code className="font-mono text-xs text-gray-500" dir="ltr">{definition.id}</code>
+            {definition.properties.map((property) => (
+              <Badge key={property.key} variant="secondary" className="font-mono font-normal" dir="ltr">
+                {`${property.key}: ${property.type}`}
+              </Badge>
+            ))}
+            {onClear && (
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                className="size-7"
+                onClick={() => {
+                  onClear();
+                  setError(null);
+                }}
+                aria-label={t('tools.itemDefinition.clear')}
+                title={t('tools.itemDefinition.clear')}
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            )}
+          </div>
+        ) : (
+          empty && <p className="text-sm text-gray-500 dark:text-gray-400">{empty}</p>
+        )}
+
+        {children}
+      </CardContent>
+    </Card>
+  );
+};
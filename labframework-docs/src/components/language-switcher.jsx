@@ -0,0 +1,39 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Check, Languages } from 'lucide-react';
+import { Button } from '@/components/ui/button.jsx';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { LOCALES, localizePath, splitLocalePath } from '@/lib/i18n.js';
+
+export const LanguageSwitcher = () => {
+  const location = useLocation();
+  const { locale, t } = useLocale();
+  const { path } = splitLocalePath(location.pathname);
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="sm" aria-label={t('nav.language')}>
+          <Languages className="w-4 h-4" />
+          <span className="hidden lg:inline">{LOCALES[locale].label}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+          <DropdownMenuItem key={code} asChild>
+            <Link to={localizePath(code, path) + location.hash} lang={code} className="justify-between gap-4">
+              {label}
+              {code === locale && <Check className="w-4 h-4" />}
+            </Link>
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
@@ -0,0 +1,48 @@
+import React, { useEffect } from 'react';
+import { Navigate, Outlet, useLocation, useParams } from 'react-router-dom';
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  LocaleContext,
+  detectLocale,
+  isLocale,
+  localizePath,
+  splitLocalePath,
+} from '@/lib/i18n.js';
+
+// Sends unprefixed paths (/, /docs/...) to the visitor's preferred locale and
+// unknown paths under a valid locale back to that locale's home page.
+export const LocaleRedirect = () => {
+  const location = useLocation();
+  const { locale } = splitLocalePath(location.pathname);
+  const target = locale
+    ? localizePath(locale)
+    : localizePath(detectLocale(), location.pathname) + location.hash;
+
+  return <Navigate to={target} replace />;
+};
+
+// Locale Layout Component
+export const LocaleLayout = () => {
+  const { locale } = useParams();
+  const location = useLocation();
+  const valid = isLocale(locale);
+
+  useEffect(() => {
+    if (!valid) return;
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+  }, [locale, valid]);
+
+  if (!valid) {
+    return <Navigate to={localizePath(DEFAULT_LOCALE, location.pathname) + location.hash} replace />;
+  }
+
+  return (
+    <LocaleContext.Provider value={locale}>
+      <div dir={LOCALES[locale].dir} lang={locale}>
+        <Outlet />
+      </div>
+    </LocaleContext.Provider>
+  );
+};
@@ -0,0 +1,102 @@
+import React from 'react';
+import { MDXProvider } from '@mdx-js/react';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx';
+import { CodeBlock, CodeTabs } from '@/components/code-block.jsx';
+import { ApiTypeSummary } from '@/components/api-reference.jsx';
+import { Link2 } from 'lucide-react';
+import { useLocale } from '@/hooks/use-locale.js';
+
+// Numbered step card used by the quick start guide
+const Step = ({ number, title, children }) => (
+  <Card>
+    <CardHeader>
+      <CardTitle className="flex items-center">
+        <span className="bg-blue-600 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm me-3">{number}</span>
+        {title}
+      </CardTitle>
+    </CardHeader>
+    <CardContent>{children}</CardContent>
+  </Card>
+);
+
+// Titled card wrapping a single example snippet
+const Example = ({ title, description, className, children }) => (
+  <Card className={className}>
+    <CardHeader>
+      <CardTitle>{title}</CardTitle>
+      {description && <CardDescription>{description}</CardDescription>}
+    </CardHeader>
+    <CardContent>{children}</CardContent>
+  </Card>
+);
+
+const ExampleGrid = ({ children }) => (
+  <div className="grid md:grid-cols-2 gap-8">{children}</div>
+);
+
+const Callout = ({ title, children }) => (
+  <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-6">
+    {title && (
+      <h3 className="text-lg font-semibold text-green-800 dark:text-green-200 mb-2">{title}</h3>
+    )}
+    <div className="text-green-700 dark:text-green-300">{children}</div>
+  </div>
+);
+
+const HEADING_STYLES = {
+  2: 'mt-8 mb-4 text-2xl font-bold',
+  3: 'mt-6 mb-3 text-xl font-semibold',
+};
+
+// h2/h3 carrying the id from plugins/heading-anchors.js, with a link to itself on hover
+const AnchoredHeading = ({ level, id, children, ...props }) => {
+  const { t } = useLocale();
+  const Tag = `h${level}`;
+
+  return (
+    <Tag id={id} className={`group scroll-mt-24 text-gray-900 dark:text-white ${HEADING_STYLES[level]}`} {...props}>
+      {children}
+      {id && (
+        <a
+          href={`#${id}`}
+          aria-label={t('docs.headingLink')}
+          className="ms-2 inline-block align-middle text-gray-400 opacity-0 transition-opacity hover:text-blue-600 focus:opacity-100 group-hover:opacity-100"
+        >
+          <Link2 className="w-4 h-4" />
+        </a>
+      )}
+    </Tag>
+  );
+};
+
+const components = {
+  h2: (props) => <AnchoredHeading level={2} {...props} />,
+  h3: (props) => <AnchoredHeading level={3} {...props} />,
+  p: (props) => <p className="mb-4" {...props} />,
+  ul: (props) => <ul className="list-disc list-inside mb-4 space-y-1" {...props} />,
+  pre: CodeBlock,
+  Button,
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+  Badge,
+  Tabs,
+  TabsContent,
+  TabsList,
+  TabsTrigger,
+  Step,
+  Example,
+  ExampleGrid,
+  Callout,
+  CodeTabs,
+  ApiTypeSummary,
+};
+
+export const MdxProvider = ({ children }) => (
+  <MDXProvider components={components}>{children}</MDXProvider>
+);
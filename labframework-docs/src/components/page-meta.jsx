@@ -0,0 +1,42 @@
+import { useContext, useEffect, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useLocale } from '@/hooks/use-locale.js';
+import { LOCALES, localizePath, splitLocalePath } from '@/lib/i18n.js';
+import { HeadContext, SITE_NAME, headTags, tagSelector } from '@/lib/head.js';
+
+// Page Meta Component
+// Title, description and OpenGraph tags of the current page; renders nothing itself
+export const PageMeta = ({ title, description, type = 'website' }) => {
+  const head = useContext(HeadContext);
+  const { pathname } = useLocation();
+  const { locale, t } = useLocale();
+  const { path } = splitLocalePath(pathname);
+
+  const meta = useMemo(
+    () => ({
+      title: title ? `${title} | ${SITE_NAME}` : t('meta.title'),
+      description: description || t('home.tagline'),
+      type,
+      locale,
+      path: pathname,
+      alternates: Object.keys(LOCALES).map((code) => ({ locale: code, path: localizePath(code, path) })),
+    }),
+    [title, description, type, locale, pathname, path, t],
+  );
+
+  if (head) head.meta = meta;
+
+  useEffect(() => {
+    document.title = meta.title;
+    for (const entry of headTags(meta, window.location.origin)) {
+      let element = document.head.querySelector(tagSelector(entry));
+      if (!element) {
+        element = document.createElement(entry.tag);
+        document.head.append(element);
+      }
+      Object.entries(entry.attrs).forEach(([name, value]) => element.setAttribute(name, value));
+    }
+  }, [meta]);
+
+  return null;
+};
@@ -0,0 +1,109 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Outlet } from 'react-router-dom';
+import { AlertCircle, FileUp, RotateCcw } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import { PermissionDataContext, usePermissionData } from '@/hooks/use-permission-data.js';
+import { useLocale } from '@/hooks/use-locale.js';
+import { PermissionDataError, SAMPLE_PERMISSIONS, parsePermissionJson } from '@/lib/permissions/data.js';
+import { getNodeSuggestions } from '@/lib/permissions/registry.js';
+
+const SAMPLE_TEXT = JSON.stringify(SAMPLE_PERMISSIONS, null, 2);
+
+// Permission Data Layout Component
+// Keeps one data set for all permission tools, so it survives moving between them
+export const PermissionDataLayout = () => {
+  const [text, setText] = useState(SAMPLE_TEXT);
+
+  const value = useMemo(() => {
+    try {
+      return { text, setText, data: parsePermissionJson(text), error: null };
+    } catch (error) {
+      if (!(error instanceof PermissionDataError)) throw error;
+      return { text, setText, data: null, error };
+    }
+  }, [text]);
+
+  return (
+    <PermissionDataContext.Provider value={value}>
+      <Outlet />
+    </PermissionDataContext.Provider>
+  );
+};
+
+// Permission Data Card Component
+// Editor for the data set: paste or load a permissions.json, or go back to the sample
+export const PermissionDataCard = () => {
+  const { t } = useLocale();
+  const { text, setText, data, error } = usePermissionData();
+  const fileInput = useRef(null);
+
+  const loadFile = async (event) => {
+    const [file] = event.target.files;
+    if (file) setText(await file.text());
+    event.target.value = '';
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.data.title')}</CardTitle>
+        <CardDescription>{t('tools.data.description')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" size="sm" onClick={() => fileInput.current.click()}>
+            <FileUp className="w-4 h-4 me-2" />
+            {t('tools.data.load')}
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setText(SAMPLE_TEXT)} disabled={text === SAMPLE_TEXT}>
+            <RotateCcw className="w-4 h-4 me-2" />
+            {t('tools.data.reset')}
+          </Button>
+          <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={loadFile} />
+          {data && (
+            <Badge variant="secondary" className="ms-auto">
+              {t('tools.data.summary', { groups: data.groups.size, users: data.users.size })}
+            </Badge>
+          )}
+        </div>
+        <Textarea
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          rows={18}
+          spellCheck={false}
+          dir="ltr"
+          aria-label={t('tools.data.title')}
+          className="font-mono text-xs"
+        />
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle />
+            <AlertTitle>{t('tools.data.invalid')}</AlertTitle>
+            <AlertDescription>
+              <p dir="ltr" className="font-mono text-xs">{error.message}</p>
+            </AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Permission Node List Component
+// Datalist of node suggestions for inputs taking a permission node (list={id})
+export const PermissionNodeList = ({ id }) => {
+  const { data } = usePermissionData();
+  const nodes = useMemo(() => getNodeSuggestions(data), [data]);
+
+  return (
+    <datalist id={id}>
+      {nodes.map((node) => (
+        <option key={node} value={node} />
+      ))}
+    </datalist>
+  );
+};
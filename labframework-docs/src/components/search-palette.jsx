@@ -0,0 +1,131 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Braces, FileText, Search, SquareCode } from 'lucide-react';
+import { Button } from '@/components/ui/button.jsx';
+import {
+  CommandDialog,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+} from '@/components/ui/command.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { excerpt, highlight, search } from '@/lib/search.js';
+
+const GROUP_ICONS = {
+  page: FileText,
+  symbol: Braces,
+  code: SquareCode,
+};
+
+const Highlight = ({ text, query }) =>
+  highlight(text, query).map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+
+const ResultItem = ({ entry, query, onSelect }) => {
+  const Icon = GROUP_ICONS[entry.type];
+  const primary = entry.type === 'symbol' ? entry.title : entry.heading || entry.title;
+  const secondary = entry.type === 'symbol' ? entry.heading : entry.title;
+
+  return (
+    <CommandItem value={String(entry.id)} onSelect={() => onSelect(entry)} className="items-start">
+      <Icon className="w-4 h-4 mt-0.5" />
+      <div className="min-w-0 flex-1">
+        <div className="font-medium truncate">
+          <Highlight text={primary} query={query} />
+        </div>
+        {secondary !== primary && (
+          <div className="text-xs text-muted-foreground truncate">{secondary}</div>
+        )}
+        {entry.text && (
+          <div
+            className={`mt-1 text-xs text-muted-foreground line-clamp-2 ${entry.type === 'page' ? '' : 'font-mono'}`}
+            dir="auto"
+          >
+            <Highlight text={excerpt(entry.text, query)} query={query} />
+          </div>
+        )}
+      </div>
+    </CommandItem>
+  );
+};
+
+// Search Palette Component
+export const SearchPalette = () => {
+  const navigate = useNavigate();
+  const { locale, t, localePath } = useLocale();
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [index, setIndex] = useState(null);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setOpen((value) => !value);
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (open && !index) {
+      import('virtual:search-index').then((module) => setIndex(module.default));
+    }
+  }, [open, index]);
+
+  const groups = useMemo(
+    () => (index ? search(index, query, { locale }) : []),
+    [index, query, locale]
+  );
+
+  const onSelect = (entry) => {
+    setOpen(false);
+    setQuery('');
+    navigate(localePath(entry.path));
+  };
+
+  return (
+    <>
+      <Button
+        variant="outline"
+        size="sm"
+        className="text-muted-foreground gap-2"
+        onClick={() => setOpen(true)}
+      >
+        <Search className="w-4 h-4" />
+        <span className="hidden lg:inline">{t('search.button')}</span>
+        <kbd className="hidden lg:inline rounded border px-1.5 font-mono text-[10px]" dir="ltr">Ctrl K</kbd>
+      </Button>
+
+      <CommandDialog
+        open={open}
+        onOpenChange={setOpen}
+        shouldFilter={false}
+        title={t('search.title')}
+        description={t('search.description')}
+      >
+        <CommandInput value={query} onValueChange={setQuery} placeholder={t('search.placeholder')} />
+        <CommandList className="max-h-[420px]">
+          {query && <CommandEmpty>{index ? t('search.empty') : t('search.loading')}</CommandEmpty>}
+          {groups.map((group) => (
+            <CommandGroup key={group.type} heading={t(`search.groups.${group.type}`)}>
+              {group.entries.map((entry) => (
+                <ResultItem key={entry.id} entry={entry} query={query} onSelect={onSelect} />
+              ))}
+            </CommandGroup>
+          ))}
+        </CommandList>
+      </CommandDialog>
+    </>
+  );
+};
@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react';
+import { useLocale } from '@/hooks/use-locale.js';
+
+// Distance below the viewport top (sticky header plus a margin) a heading has to
+// cross before its section counts as the current one
+const ACTIVE_OFFSET = 112;
+
+// Scroll-spy: the current section is the last heading scrolled past the offset,
+// or the last heading once the page is scrolled to the bottom
+const useActiveHeading = (ids) => {
+  const [activeId, setActiveId] = useState(ids[0]);
+  const key = ids.join(' ');
+
+  useEffect(() => {
+    const headings = key ? key.split(' ') : [];
+    if (headings.length === 0) return undefined;
+
+    const update = () => {
+      const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+      const passed = headings.filter(
+        (id) => document.getElementById(id)?.getBoundingClientRect().top <= ACTIVE_OFFSET,
+      );
+      setActiveId(atBottom ? headings.at(-1) : (passed.at(-1) ?? headings[0]));
+    };
+
+    update();
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      window.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [key]);
+
+  return activeId;
+};
+
+// Table of Contents Component
+// "On this page" outline built from the `toc` export of an MDX page (plugins/heading-anchors.js)
+export const TableOfContents = ({ toc }) => {
+  const { t } = useLocale();
+  const activeId = useActiveHeading(toc.map((entry) => entry.id));
+
+  if (toc.length === 0) return null;
+
+  return (
+    <nav aria-label={t('docs.onThisPage')} className="text-sm">
+      <p className="mb-3 font-semibold text-gray-900 dark:text-white">{t('docs.onThisPage')}</p>
+      <ul className="space-y-2 border-s border-gray-200 dark:border-gray-700">
+        {toc.map((entry) => (
+          <li key={entry.id}>
+            <a
+              href={`#${entry.id}`}
+              aria-current={entry.id === activeId ? 'location' : undefined}
+              className={`-ms-px block border-s-2 ${entry.depth === 3 ? 'ps-6' : 'ps-3'} transition-colors ${
+                entry.id === activeId
+                  ? 'border-blue-600 font-medium text-blue-600 dark:text-blue-400'
+                  : 'border-transparent text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
+              }`}
+            >
+              {entry.title}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+};
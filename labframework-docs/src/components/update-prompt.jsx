@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { CloudOff, RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/button.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+
+const ServiceWorkerPrompt = () => {
+  const { t } = useLocale();
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW();
+
+  if (!needRefresh && !offlineReady) return null;
+
+  const close = () => {
+    setNeedRefresh(false);
+    setOfflineReady(false);
+  };
+  const Icon = needRefresh ? RefreshCw : CloudOff;
+
+  return (
+    <div
+      role="alert"
+      className="fixed bottom-4 end-4 z-50 w-80 max-w-[calc(100vw-2rem)] rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 p-4 shadow-lg"
+    >
+      <div className="flex gap-3">
+        <Icon className="w-5 h-5 shrink-0 text-blue-600" />
+        <div>
+          <p className="font-semibold text-gray-900 dark:text-white">
+            {t(needRefresh ? 'pwa.updateTitle' : 'pwa.offlineTitle')}
+          </p>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            {t(needRefresh ? 'pwa.updateDescription' : 'pwa.offlineDescription')}
+          </p>
+        </div>
+      </div>
+      <div className="mt-3 flex justify-end gap-2">
+        {needRefresh && (
+          <Button size="sm" onClick={() => updateServiceWorker(true)}>
+            {t('pwa.reload')}
+          </Button>
+        )}
+        <Button size="sm" variant="outline" onClick={close}>
+          {t('pwa.close')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// Update Prompt Component
+// Announces when the site is cached for offline use and when a new build is waiting.
+// The service worker is only registered in the browser, after hydration.
+export const UpdatePrompt = () => {
+  const [isMounted, setIsMounted] = useState(false);
+
+  useEffect(() => setIsMounted(true), []);
+
+  return isMounted ? <ServiceWorkerPrompt /> : null;
+};
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link, Navigate, Outlet, useLocation, useParams } from 'react-router-dom';
+import { History } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { localizePath, splitLocalePath } from '@/lib/i18n.js';
+import { CURRENT_VERSION, VersionContext, isArchivedVersion, splitVersionPath } from '@/lib/versions.js';
+
+// Shown above every page of an archived release, linking to the same page for the current one
+const ArchivedVersionNotice = ({ version, currentPath }) => {
+  const { t, localePath } = useLocale();
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-8">
+      <Alert className="border-amber-300 bg-amber-50 text-amber-900 dark:border-amber-800 dark:bg-amber-900/20 dark:text-amber-200">
+        <History />
+        <AlertTitle>{t('versions.archivedTitle', { version })}</AlertTitle>
+        <AlertDescription>
+          <p>
+            {t('versions.archivedDescription', { current: CURRENT_VERSION })}{' '}
+            <Link to={localePath(currentPath)} className="font-medium underline underline-offset-4">
+              {t('versions.viewCurrent', { current: CURRENT_VERSION })}
+            </Link>
+          </p>
+        </AlertDescription>
+      </Alert>
+    </div>
+  );
+};
+
+// Version Layout Component
+// Wraps /docs and /api for the current release and /v/:version/... for archived ones.
+// Unknown versions and /v/<current>/... go to the unversioned path.
+export const VersionLayout = () => {
+  const { version = CURRENT_VERSION } = useParams();
+  const location = useLocation();
+  const { locale, path } = splitLocalePath(location.pathname);
+  const { path: currentPath } = splitVersionPath(path);
+  const isArchived = isArchivedVersion(version);
+
+  if (version !== CURRENT_VERSION && !isArchived) {
+    return <Navigate to={localizePath(locale, currentPath) + location.hash} replace />;
+  }
+  if (version === CURRENT_VERSION && path !== currentPath) {
+    return <Navigate to={localizePath(locale, currentPath) + location.hash} replace />;
+  }
+
+  return (
+    <VersionContext.Provider value={version}>
+      {isArchived && <ArchivedVersionNotice version={version} currentPath={currentPath + location.hash} />}
+      <Outlet />
+    </VersionContext.Provider>
+  );
+};
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Check, History } from 'lucide-react';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { splitLocalePath } from '@/lib/i18n.js';
+import { CURRENT_VERSION, RELEASES, splitVersionPath, versionPrefix } from '@/lib/versions.js';
+
+// Sections that exist once per release; other pages switch to the release's docs
+const VERSIONED_SECTIONS = ['/docs', '/api'];
+
+export const VersionSwitcher = () => {
+  const location = useLocation();
+  const { t, localePath } = useLocale();
+  const { version, path } = splitVersionPath(splitLocalePath(location.pathname).path);
+  const isVersioned = VERSIONED_SECTIONS.some((section) => path === section || path.startsWith(`${section}/`));
+  const target = (release) => localePath(versionPrefix(release) + (isVersioned ? path : '/docs'));
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="sm" aria-label={t('versions.label')}>
+          <History className="w-4 h-4" />
+          <span dir="ltr">v{isVersioned ? version : CURRENT_VERSION}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuLabel>{t('versions.label')}</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {RELEASES.map((release) => (
+          <DropdownMenuItem key={release.version} asChild>
+            <Link to={target(release.version)} className="justify-between gap-4">
+              <span className="flex items-center gap-2">
+                <span dir="ltr">v{release.version}</span>
+                {release.version === CURRENT_VERSION && <Badge variant="secondary">{t('versions.current')}</Badge>}
+              </span>
+              {isVersioned && release.version === version && <Check className="w-4 h-4" />}
+            </Link>
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
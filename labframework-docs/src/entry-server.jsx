@@ -0,0 +1,86 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom';
+import App from './App.jsx';
+import { getApiTree } from '@/lib/api-reference.js';
+import { getDocsTree } from '@/lib/content.js';
+import { itemPath } from '@/lib/custom-items/catalog.js';
+import { BUILT_IN_ITEMS } from '@/lib/custom-items/registry.js';
+import { HeadContext, SITE_NAME, escapeHtml, renderHeadTags } from '@/lib/head.js';
+import { DEFAULT_LOCALE, LOCALES, localizePath, splitLocalePath, translate } from '@/lib/i18n.js';
+import { TOOLS, toolPath } from '@/lib/tools.js';
+import { RELEASES, versionPrefix } from '@/lib/versions.js';
+
+// Server entry for scripts/prerender.js, built with `vite build --ssr src/entry-server.jsx`
+
+// Imported catalog items only exist in the browser; the built-in ones get a page each
+const STATIC_PAGES = [
+  '/',
+  '/quickstart',
+  '/examples',
+  '/download',
+  '/tools',
+  ...TOOLS.map(toolPath),
+  ...BUILT_IN_ITEMS.map((definition) => itemPath(definition.id)),
+];
+
+// Unlocalized paths of every page. Index routes that only redirect (/docs, /docs/:section)
+// carry the page they redirect to.
+const getPaths = (locale) => {
+  const paths = STATIC_PAGES.map((path) => ({ path }));
+
+  for (const { version } of RELEASES) {
+    const prefix = versionPrefix(version);
+    const docs = getDocsTree(locale, version);
+
+    if (docs.length > 0) paths.push({ path: `${prefix}/docs`, redirect: docs[0].pages[0].path });
+    for (const section of docs) {
+      paths.push({ path: `${prefix}/docs/${section.slug}`, redirect: section.pages[0].path });
+      section.pages.forEach((page) => paths.push({ path: page.path }));
+    }
+
+    paths.push({ path: `${prefix}/api` });
+    getApiTree(version).forEach((namespace) => namespace.pages.forEach((page) => paths.push({ path: page.path })));
+  }
+  return paths;
+};
+
+// Every URL to prerender with its translations, e.g. { path: '/en/api', alternates: [...] }
+export const getRoutes = () =>
+  Object.keys(LOCALES).flatMap((locale) =>
+    getPaths(locale).map(({ path, redirect }) => ({
+      path: localizePath(locale, path),
+      redirect: redirect && localizePath(locale, redirect),
+      alternates: Object.keys(LOCALES).map((code) => ({ locale: code, path: localizePath(code, path) })),
+    })),
+  );
+
+export const render = (url, { siteUrl = '' } = {}) => {
+  const head = {};
+  const html = renderToString(
+    <HeadContext.Provider value={head}>
+      <StaticRouter location={url}>
+        <App />
+      </StaticRouter>
+    </HeadContext.Provider>,
+  );
+  const locale = splitLocalePath(url).locale ?? DEFAULT_LOCALE;
+
+  return {
+    html,
+    head: head.meta ? renderHeadTags(head.meta, siteUrl) : `<title>${SITE_NAME}</title>`,
+    lang: locale,
+    dir: LOCALES[locale].dir,
+  };
+};
+
+// 404.html is the unrendered shell static hosts serve for unknown paths
+export const renderNotFound = () => ({
+  html: '',
+  head: [
+    `<title>${escapeHtml(`${translate(DEFAULT_LOCALE, 'meta.notFound')} | ${SITE_NAME}`)}</title>`,
+    '<meta name="robots" content="noindex" />',
+  ].join('\n    '),
+  lang: DEFAULT_LOCALE,
+  dir: LOCALES[DEFAULT_LOCALE].dir,
+});
@@ -0,0 +1,8 @@
+import { createContext, useContext } from 'react';
+
+// The catalog the item catalog pages show, provided by ItemCatalogLayout:
+// { text, setText, catalog, error }. `text` holds the imported definitions; while it does not
+// parse, `catalog` has the built-in items only.
+export const ItemCatalogContext = createContext(null);
+
+export const useItemCatalog = () => useContext(ItemCatalogContext);
@@ -0,0 +1,11 @@
+import { useCallback, useContext } from 'react';
+import { LOCALES, LocaleContext, localizePath, translate } from '@/lib/i18n.js';
+
+export const useLocale = () => {
+  const locale = useContext(LocaleContext);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+  const localePath = useCallback((path) => localizePath(locale, path), [locale]);
+
+  return { locale, dir: LOCALES[locale].dir, t, localePath };
+};
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+
+// The data set the permission tools work on, provided by PermissionDataLayout:
+// { text, setText, data, error }. `data` is null while `text` does not parse.
+export const PermissionDataContext = createContext(null);
+
+export const usePermissionData = () => useContext(PermissionDataContext);
@@ -0,0 +1,8 @@
+import { useContext } from 'react';
+import { CURRENT_VERSION, VersionContext, versionPrefix } from '@/lib/versions.js';
+
+export const useVersion = () => {
+  const version = useContext(VersionContext);
+
+  return { version, isCurrent: version === CURRENT_VERSION, prefix: versionPrefix(version) };
+};
@@ -0,0 +1,58 @@
+import apiVersions from 'virtual:api-reference';
+import { CURRENT_VERSION, versionPrefix } from '@/lib/versions.js';
+
+// The API model is extracted from the C# sources at build time by plugins/csharp-api.js,
+// one model per release. Types are keyed by their full name (generic arity appended as
+// `-N`) and carry the release they belong to, along with `since`/`removedIn` markers.
+
+export const MEMBER_KINDS = ['constructor', 'property', 'indexer', 'field', 'event', 'method', 'operator'];
+
+const models = Object.fromEntries(
+  Object.entries(apiVersions).map(([version, api]) => {
+    const types = api.types.map((type) => ({ ...type, version }));
+    return [version, { namespaces: api.namespaces, types, typesById: new Map(types.map((type) => [type.id, type])) }];
+  }),
+);
+
+const getModel = (version = CURRENT_VERSION) => models[version] ?? models[CURRENT_VERSION];
+
+export const getApiTypes = (version) => getModel(version).types;
+
+export const getApiType = (id, version) => getModel(version).typesById.get(id);
+
+export const apiPath = (type, member) =>
+  `${versionPrefix(type.version)}/api/${type.id}${member ? `#${member.anchor}` : ''}`;
+
+// Sidebar tree in the same shape as getDocsTree: namespaces with their types
+export const getApiTree = (version) =>
+  getModel(version).namespaces.map((namespace) => ({
+    slug: namespace.name,
+    title: namespace.name,
+    pages: namespace.types.map((id) => {
+      const type = getApiType(id, version);
+      return { slug: `api/${type.id}`, path: apiPath(type), navTitle: type.name, type };
+    }),
+  }));
+
+export const getAdjacentTypes = (type) => {
+  const sequence = getApiTree(type.version).flatMap((namespace) => namespace.pages);
+  const index = sequence.findIndex((entry) => entry.type.id === type.id);
+
+  return {
+    previous: index > 0 ? sequence[index - 1] : null,
+    next: index >= 0 && index < sequence.length - 1 ? sequence[index + 1] : null,
+  };
+};
+
+export const groupMembers = (type) =>
+  MEMBER_KINDS.map((kind) => ({
+    kind,
+    members: type.members.filter((member) => member.kind === kind),
+  })).filter((group) => group.members.length > 0);
+
+// Resolves a type name as written in a signature (`EventHandler<T>`, `IEventBus`)
+// to an API type of the release, preferring the namespace it was referenced from
+export const resolveTypeName = (name, fromNamespace, version) => {
+  const matches = getApiTypes(version).filter((type) => type.name === name);
+  return matches.find((type) => type.namespace === fromNamespace) ?? matches[0];
+};
@@ -0,0 +1,97 @@
+import { DEFAULT_LOCALE } from '@/lib/i18n.js';
+import { CURRENT_VERSION, versionPrefix } from '@/lib/versions.js';
+
+// Every MDX file under /content becomes a page. The route is taken from the
+// file path (content/<locale>/<slug>.mdx), the rest comes from frontmatter.
+// Archived releases keep their own tree in /versions/<version>/content.
+const modules = import.meta.glob(['/content/**/*.mdx', '/versions/*/content/**/*.mdx'], { eager: true });
+const sectionMeta = import.meta.glob(['/content/*/docs/_meta.json', '/versions/*/content/*/docs/_meta.json'], {
+  eager: true,
+  import: 'default',
+});
+
+const CONTENT_FILE = /^\/(?:versions\/([^/]+)\/)?content\/([^/]+)\/(.+)\.mdx$/;
+
+const contentRoot = (version) => (version === CURRENT_VERSION ? '/content' : `/versions/${version}/content`);
+
+const byOrder = (a, b) => a.order - b.order || a.slug.localeCompare(b.slug);
+
+const toPage = ([file, module]) => {
+  const [, version = CURRENT_VERSION, dirLocale, name] = file.match(CONTENT_FILE);
+  const rest = name.split('/');
+  const slug = name.replace(/(^|\/)index$/, '');
+  const frontmatter = module.frontmatter ?? {};
+
+  return {
+    slug,
+    path: `${versionPrefix(version)}/${slug}`,
+    version,
+    collection: rest[0],
+    title: frontmatter.title ?? slug,
+    navTitle: frontmatter.navTitle ?? frontmatter.title ?? slug,
+    description: frontmatter.description ?? '',
+    section: frontmatter.section ?? rest[1] ?? rest[0],
+    order: frontmatter.order ?? 0,
+    locale: frontmatter.locale ?? dirLocale,
+    isFallback: false,
+    frontmatter,
+    toc: module.toc ?? [],
+    Component: module.default,
+  };
+};
+
+export const pages = Object.entries(modules).map(toPage).sort(byOrder);
+
+// One page per slug for the locale and release. Slugs that are not translated fall
+// back to the default locale (or any available translation) and are flagged isFallback.
+export const getLocalizedPages = (locale = DEFAULT_LOCALE, version = CURRENT_VERSION) => {
+  const bySlug = new Map();
+
+  for (const page of pages.filter((entry) => entry.version === version)) {
+    const current = bySlug.get(page.slug);
+    const rank = page.locale === locale ? 2 : page.locale === DEFAULT_LOCALE ? 1 : 0;
+    if (!current || rank > current.rank) bySlug.set(page.slug, { page, rank });
+  }
+
+  return [...bySlug.values()]
+    .map(({ page }) => (page.locale === locale ? page : { ...page, isFallback: true }))
+    .sort(byOrder);
+};
+
+export const getPage = (slug, locale = DEFAULT_LOCALE, version = CURRENT_VERSION) =>
+  getLocalizedPages(locale, version).find((page) => page.slug === slug);
+
+export const getSectionPages = (section, locale = DEFAULT_LOCALE, version = CURRENT_VERSION) =>
+  getLocalizedPages(locale, version).filter((page) => page.section === section);
+
+// Sidebar tree for /docs: sections from _meta.json, each with its ordered pages
+export const getDocsTree = (locale = DEFAULT_LOCALE, version = CURRENT_VERSION) => {
+  const root = contentRoot(version);
+  const meta = {
+    ...sectionMeta[`${root}/${DEFAULT_LOCALE}/docs/_meta.json`],
+    ...sectionMeta[`${root}/${locale}/docs/_meta.json`],
+  };
+  const docs = getLocalizedPages(locale, version).filter((page) => page.collection === 'docs');
+
+  return [...new Set(docs.map((page) => page.section))]
+    .map((slug) => ({
+      slug,
+      title: meta[slug]?.title ?? slug,
+      order: meta[slug]?.order ?? Number.MAX_SAFE_INTEGER,
+      pages: docs.filter((page) => page.section === slug),
+    }))
+    .sort(byOrder);
+};
+
+export const getDocsSequence = (locale = DEFAULT_LOCALE, version = CURRENT_VERSION) =>
+  getDocsTree(locale, version).flatMap((section) => section.pages);
+
+export const getAdjacentPages = (page, locale = DEFAULT_LOCALE) => {
+  const sequence = getDocsSequence(locale, page.version);
+  const index = sequence.findIndex((entry) => entry.slug === page.slug);
+
+  return {
+    previous: index > 0 ? sequence[index - 1] : null,
+    next: index >= 0 && index < sequence.length - 1 ? sequence[index + 1] : null,
+  };
+};
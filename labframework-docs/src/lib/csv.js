@@ -0,0 +1,8 @@
+// RFC 4180 CSV: fields with a comma, quote or line break are quoted, quotes doubled.
+// CRLF line endings and a byte order mark so spreadsheet apps read UTF-8 and split rows.
+const field = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => `\uFEFF${rows.map((row) => row.map(field).join(',')).join('\r\n')}\r\n`;
@@ -0,0 +1,164 @@
+import { csharpLiteral, csharpString } from '@/lib/custom-items/codegen.js';
+
+// ICustomItemBehavior classes generated from templates. A template fills some hooks with a
+// body modeled on the built-in behaviors and reads its parameters from the definition's
+// Properties with GetProperty<T>; each parameter is bound to a property key and a default.
+
+const INDENT = '    ';
+
+// In the order ICustomItemBehavior declares them
+export const BEHAVIOR_HOOKS = ['OnPickupAsync', 'OnDropAsync', 'OnUseAsync', 'OnThrowAsync', 'OnUpdateAsync'];
+
+// `async` hooks await something; the others return Task.CompletedTask, which keeps the
+// compiler from warning about async methods without await like the built-in behaviors do
+export const BEHAVIOR_TEMPLATES = {
+  blank: { parameters: [], hooks: {} },
+  // HealingPotionBehavior
+  heal: {
+    parameters: [{ name: 'healAmount', type: 'int', key: 'HealAmount', value: 25 }],
+    hooks: {
+      OnUseAsync: {
+        body: [
+          '// Heal the player',
+          'var newHealth = Math.Min(player.MaxHealth, player.Health + healAmount);',
+          'player.SetHealth(newHealth);',
+          '',
+          '// Consume the item',
+          'item.DamageItem(item.CurrentDurability);',
+          '',
+          'player.SendMessage($"You used {item.Definition.Name} and restored {healAmount} health!");',
+        ],
+      },
+    },
+  },
+  // SpeedBootsBehavior's boost, applied on use for a while instead of while worn
+  speedBuff: {
+    parameters: [
+      { name: 'speedMultiplier', type: 'float', key: 'SpeedMultiplier', value: 1.5 },
+      { name: 'duration', type: 'int', key: 'Duration', value: 30 },
+    ],
+    hooks: {
+      OnUseAsync: {
+        async: true,
+        body: [
+          '// TODO: Apply speed effect via LabAPI',
+          'player.SendMessage($"Movement speed increased by {(speedMultiplier - 1) * 100}% for {duration} seconds!");',
+          '',
+          'await Task.Delay(TimeSpan.FromSeconds(duration));',
+          '',
+          '// TODO: Remove speed effect via LabAPI',
+          'player.SendMessage("Movement speed returned to normal.");',
+        ],
+      },
+    },
+  },
+  // SpeedBootsBehavior.OnUpdateAsync
+  wear: {
+    parameters: [
+      { name: 'wearInterval', type: 'int', key: 'WearInterval', value: 10 },
+      { name: 'wearAmount', type: 'int', key: 'WearAmount', value: 1 },
+    ],
+    hooks: {
+      OnUpdateAsync: {
+        body: [
+          '// Gradually wear down the item',
+          'if (DateTime.UtcNow.Second % wearInterval == 0)',
+          '{',
+          `${INDENT}item.DamageItem(wearAmount);`,
+          '',
+          `${INDENT}if (item.IsDestroyed)`,
+          `${INDENT}{`,
+          `${INDENT}${INDENT}player.SendMessage($"Your {item.Definition.Name} wore out!");`,
+          `${INDENT}${INDENT}// TODO: Remove item from player inventory`,
+          `${INDENT}}`,
+          '}',
+        ],
+      },
+    },
+  },
+};
+
+const CSHARP_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export const isCSharpIdentifier = (name) => CSHARP_IDENTIFIER.test(name);
+
+export const isCSharpNamespace = (name) => name.split('.').every(isCSharpIdentifier);
+
+// The definition's BehaviorType, or one named after the item: healing_potion -> HealingPotionBehavior
+export const behaviorClassName = (definition) => {
+  if (definition.behaviorType) return definition.behaviorType.split('.').at(-1);
+  const words = (definition.name || definition.id).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const name = words.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+  return `${/^\d/.test(name) ? `Item${name}` : name}Behavior`;
+};
+
+// The options a template starts from: its hooks selected, its parameters on their default keys
+export const createBehaviorOptions = (template, { className = 'CustomItemBehavior', namespace = 'MyFirstPlugin' } = {}) => ({
+  className,
+  namespace,
+  template,
+  hooks: Object.keys(BEHAVIOR_TEMPLATES[template].hooks),
+  parameters: BEHAVIOR_TEMPLATES[template].parameters.map((parameter) => ({ ...parameter })),
+});
+
+const hookSignature = (hook, isAsync) => `public ${isAsync ? 'async ' : ''}Task ${hook}(PlayerWrapper player, CustomItem item)`;
+
+// OnPickupAsync -> "pickup"
+const hookAction = (hook) => hook.slice(2, -'Async'.length).toLowerCase();
+
+const hookCode = (hook, { template, hooks, parameters }) => {
+  if (!hooks.includes(hook)) return [`${hookSignature(hook, false)} => Task.CompletedTask;`];
+
+  const filled = BEHAVIOR_TEMPLATES[template].hooks[hook];
+  const body = filled?.body ?? [`// TODO: Handle ${hookAction(hook)}`];
+  // Only the parameters the body mentions are looked up
+  const lookups = filled
+    ? parameters
+        .filter((parameter) => body.some((line) => new RegExp(`\\b${parameter.name}\\b`).test(line)))
+        .map(({ name, type, key, value }) => `var ${name} = item.Definition.GetProperty<${type}>(${csharpString(key)}, ${csharpLiteral(type, value)});`)
+    : [];
+  const lines = [...lookups, ...(lookups.length > 0 ? [''] : []), ...body, ...(filled?.async ? [] : ['return Task.CompletedTask;'])];
+
+  return [
+    hookSignature(hook, filled?.async),
+    '{',
+    ...lines.map((line) => (line ? `${INDENT}${line}` : '')),
+    '}',
+  ];
+};
+
+// A complete behavior class to set as the definition's BehaviorType
+export const behaviorCode = (options) => {
+  const methods = BEHAVIOR_HOOKS.map((hook) => hookCode(hook, options));
+  // Expression-bodied hooks sit together, methods with a body get a blank line around them
+  const members = methods.reduce((lines, method, index) => {
+    const separate = index > 0 && (method.length > 1 || methods[index - 1].length > 1);
+    return [...lines, ...(separate ? [''] : []), ...method];
+  }, []);
+
+  return [
+    'using System;',
+    'using System.Threading.Tasks;',
+    'using LabFramework.CustomItems;',
+    'using LabFramework.LabAPI.Wrappers;',
+    '',
+    `namespace ${options.namespace}`,
+    '{',
+    `${INDENT}public class ${options.className} : ICustomItemBehavior`,
+    `${INDENT}{`,
+    ...members.map((line) => (line ? `${INDENT}${INDENT}${line}` : '')),
+    `${INDENT}}`,
+    '}',
+    '',
+  ].join('\n');
+};
+
+// Bindings a definition does not satisfy. GetProperty<T> returns the default both when the
+// key is missing and when the value is not exactly a T.
+export const checkBehaviorBindings = (parameters, definition) =>
+  parameters.flatMap((parameter) => {
+    const property = definition.properties.find((entry) => entry.key === parameter.key);
+    if (!property) return [{ code: 'missingProperty', parameter }];
+    if (property.type !== parameter.type) return [{ code: 'typeMismatch', parameter, property }];
+    return [];
+  });
@@ -0,0 +1,61 @@
+import { CustomItemDefinitionError, parseItemDefinition } from '@/lib/custom-items/definition.js';
+import { isItemPack, parseItemPack } from '@/lib/custom-items/pack.js';
+import { BUILT_IN_ITEMS } from '@/lib/custom-items/registry.js';
+
+// The items a server registers: the built-ins, then definitions loaded from JSON. Like
+// CustomItemService.RegisterItem, an Id that is already registered is not registered again.
+
+// A list of definitions, a single one or the items of an item pack
+export const parseItemCatalogJson = (text) => {
+  if (!text.trim()) return [];
+  let source;
+  try {
+    source = JSON.parse(text);
+  } catch (error) {
+    throw new CustomItemDefinitionError(error.message);
+  }
+  if (isItemPack(source)) return parseItemPack(source).items;
+  if (!Array.isArray(source)) return [parseItemDefinition(source)];
+  return source.map((entry, index) => parseItemDefinition(entry, `items[${index}]`));
+};
+
+// { items: [{ definition, builtIn }], duplicates: [definition] }
+export const buildItemCatalog = (imported) => {
+  const items = BUILT_IN_ITEMS.map((definition) => ({ definition, builtIn: true }));
+  const duplicates = [];
+  for (const definition of imported) {
+    if (items.some((item) => item.definition.id === definition.id)) duplicates.push(definition);
+    else items.push({ definition, builtIn: false });
+  }
+  return { items, duplicates };
+};
+
+// Tags with how many items carry them, most used first. Tags compare case-insensitively
+// like HasTag; the first spelling seen is shown.
+export const getCatalogTags = (items) => {
+  const tags = new Map();
+  for (const { definition } of items) {
+    for (const tag of new Set(definition.tags.map((entry) => entry.toLowerCase()))) {
+      const spelling = definition.tags.find((entry) => entry.toLowerCase() === tag);
+      tags.set(tag, { tag: tags.get(tag)?.tag ?? spelling, count: (tags.get(tag)?.count ?? 0) + 1 });
+    }
+  }
+  return [...tags.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+export const hasTag = (definition, tag) => definition.tags.some((entry) => entry.toLowerCase() === tag.toLowerCase());
+
+// Items carrying every selected tag whose Id, name or description contains `query`
+export const filterCatalog = (items, { tags = [], query = '' }) => {
+  const needle = query.trim().toLowerCase();
+  return items.filter(
+    ({ definition }) =>
+      tags.every((tag) => hasTag(definition, tag)) &&
+      (!needle || [definition.id, definition.name, definition.description].some((text) => text.toLowerCase().includes(needle))),
+  );
+};
+
+// Ids registered by the catalog, which pack items must not reuse
+export const getCatalogIds = (catalog) => new Set(catalog.items.map(({ definition }) => definition.id));
+
+export const itemPath = (id) => `/tools/item-catalog/${encodeURIComponent(id)}`;
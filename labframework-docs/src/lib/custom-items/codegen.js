@@ -0,0 +1,95 @@
+// C# generated from item definitions, in the style of CustomItemService.RegisterDefaultItems:
+// an object initializer for the definition, SetProperty and AddTag calls, then RegisterItem.
+
+const INDENT = '    ';
+
+// Reserved words that need an @ to be used as a local variable name
+const CSHARP_KEYWORDS = new Set(
+  (
+    'abstract as base bool break byte case catch char checked class const continue decimal default delegate do double ' +
+    'else enum event explicit extern false finally fixed float for foreach goto if implicit in int interface internal ' +
+    'is lock long namespace new null object operator out override params private protected public readonly ref return ' +
+    'sbyte sealed short sizeof stackalloc static string struct switch this throw true try typeof uint ulong unchecked ' +
+    'unsafe ushort using virtual void volatile while'
+  ).split(' '),
+);
+
+const STRING_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+// A regular C# string literal; other control characters become \uXXXX
+export const csharpString = (value) => {
+  const escape = (char) => {
+    if (STRING_ESCAPES[char]) return STRING_ESCAPES[char];
+    return char < ' ' ? `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}` : char;
+  };
+  return `"${[...value].map(escape).join('')}"`;
+};
+
+// A finite number as a C# real literal without suffix: a decimal point unless it has an
+// exponent, which is written 1E+21 rather than JavaScript's 1e+21
+const csharpReal = (value) => {
+  const [digits, exponent] = String(value).split('e');
+  if (exponent) return `${digits}E${exponent}`;
+  return digits.includes('.') ? digits : `${digits}.0`;
+};
+
+// A literal of the property's type, so SetProperty<T> infers the T that GetProperty<T> asks for
+export const csharpLiteral = (type, value) => {
+  switch (type) {
+    case 'float':
+      return `${csharpReal(value)}f`;
+    case 'double':
+      return `${csharpReal(value)}d`;
+    case 'bool':
+      return value ? 'true' : 'false';
+    case 'string':
+      return csharpString(value);
+    default:
+      return String(value);
+  }
+};
+
+// healing_potion -> healingPotion
+export const csharpVariable = (id) => {
+  const words = id.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const name = words
+    .map((word, index) => (index === 0 ? word[0].toLowerCase() + word.slice(1) : word[0].toUpperCase() + word.slice(1)))
+    .join('');
+  if (!name) return 'item';
+  if (/^\d/.test(name)) return `item${name[0].toUpperCase()}${name.slice(1)}`;
+  return CSHARP_KEYWORDS.has(name) ? `@${name}` : name;
+};
+
+// The definition block of one item, without RegisterItem
+export const definitionCode = (definition) => {
+  const variable = csharpVariable(definition.id);
+  const initializers = [
+    ['Id', csharpString(definition.id)],
+    ['Name', csharpString(definition.name)],
+    ['Description', csharpString(definition.description)],
+    ['BaseItemType', csharpString(definition.baseItemType)],
+    ['MaxDurability', String(definition.maxDurability)],
+    ['IsStackable', String(definition.isStackable)],
+    ['MaxStackSize', String(definition.maxStackSize)],
+    ...(definition.iconPath ? [['IconPath', csharpString(definition.iconPath)]] : []),
+    ...(definition.modelPath ? [['ModelPath', csharpString(definition.modelPath)]] : []),
+    ...(definition.behaviorType ? [['BehaviorType', `typeof(${definition.behaviorType})`]] : []),
+  ];
+
+  return [
+    `var ${variable} = new CustomItemDefinition`,
+    '{',
+    initializers.map(([name, value]) => `${INDENT}${name} = ${value}`).join(',\n'),
+    '};',
+    ...definition.properties.map(({ key, type, value }) => `${variable}.SetProperty(${csharpString(key)}, ${csharpLiteral(type, value)});`),
+    ...definition.tags.map((tag) => `${variable}.AddTag(${csharpString(tag)});`),
+  ].join('\n');
+};
+
+// Ready to paste into a plugin's OnLoadAsync
+export const registrationCode = (definitions) =>
+  [
+    'var customItemService = ServiceContainer.Resolve<ICustomItemService>();',
+    ...definitions.map(definitionCode),
+    definitions.map((definition) => `customItemService.RegisterItem(${csharpVariable(definition.id)});`).join('\n'),
+  ].join('\n\n') + '\n';
@@ -0,0 +1,165 @@
+// CustomItemDefinition (LabFramework.CustomItems) as the docs tools handle it. Property
+// names in JSON are PascalCase like the C# class, and BehaviorType is a type name. Properties
+// keep their C# type next to the value, { "Type": "float", "Value": 1.5 }, because
+// GetProperty<T> only returns a value of exactly T: a speed multiplier stored as an int is
+// not found by GetProperty<float>.
+
+export class CustomItemDefinitionError extends Error {
+  constructor(message, path) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'CustomItemDefinitionError';
+    this.path = path;
+  }
+}
+
+// The values the CustomItemDefinition constructor sets
+export const DEFINITION_DEFAULTS = {
+  maxDurability: 100,
+  isStackable: false,
+  maxStackSize: 1,
+};
+
+export const PROPERTY_TYPES = ['int', 'float', 'double', 'bool', 'string'];
+
+const INT_RANGE = [-2147483648, 2147483647];
+
+// float.MaxValue; a larger literal does not compile as a float
+const FLOAT_MAX = 3.4028234663852886e38;
+
+// Base item types of the built-in items first, then common game ItemType names
+export const BASE_ITEM_TYPES = [
+  'Medkit',
+  'Armor',
+  'Adrenaline',
+  'Painkillers',
+  'SCP500',
+  'SCP207',
+  'SCP268',
+  'SCP1853',
+  'ArmorLight',
+  'ArmorCombat',
+  'ArmorHeavy',
+  'Coin',
+  'Flashlight',
+  'Radio',
+  'GrenadeHE',
+  'GrenadeFlash',
+  'KeycardJanitor',
+  'KeycardScientist',
+  'KeycardGuard',
+  'KeycardO5',
+  'GunCOM15',
+  'GunE11SR',
+  'GunCrossvec',
+  'GunLogicer',
+  'Jailbird',
+];
+
+const field = (source, name) => source[name] ?? source[name[0].toLowerCase() + name.slice(1)];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Whether `value` is a valid value of a property type
+export const isPropertyValue = (type, value) => {
+  switch (type) {
+    case 'int':
+      return Number.isInteger(value) && value >= INT_RANGE[0] && value <= INT_RANGE[1];
+    case 'float':
+      return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= FLOAT_MAX;
+    case 'double':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'bool':
+      return typeof value === 'boolean';
+    case 'string':
+      return typeof value === 'string';
+    default:
+      return false;
+  }
+};
+
+// Untyped values are read the way a C# literal would be: whole numbers as int, other
+// numbers as double
+const inferType = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'boolean') return 'bool';
+  return 'string';
+};
+
+const parseProperty = (key, source, path) => {
+  const typed = isObject(source);
+  const type = typed ? field(source, 'Type') : inferType(source);
+  const value = typed ? field(source, 'Value') : source;
+  if (!PROPERTY_TYPES.includes(type)) throw new CustomItemDefinitionError(`unknown type "${type}"`, `${path}.Type`);
+  if (!isPropertyValue(type, value)) throw new CustomItemDefinitionError(`not a valid ${type}`, path);
+  return { key, type, value };
+};
+
+const optionalString = (source, name, path) => {
+  const value = field(source, name);
+  if (value == null) return '';
+  if (typeof value !== 'string') throw new CustomItemDefinitionError('expected a string', `${path}.${name}`);
+  return value;
+};
+
+const integer = (source, name, path, fallback) => {
+  const value = field(source, name) ?? fallback;
+  if (!Number.isInteger(value)) throw new CustomItemDefinitionError('expected a whole number', `${path}.${name}`);
+  return value;
+};
+
+// One definition; missing fields take the constructor defaults. `path` prefixes error
+// locations when definitions come in a list.
+export const parseItemDefinition = (source, path = 'definition') => {
+  if (!isObject(source)) throw new CustomItemDefinitionError('expected an object', path);
+  const id = field(source, 'Id');
+  if (typeof id !== 'string' || !id.trim()) throw new CustomItemDefinitionError('Id must be a non-empty string', `${path}.Id`);
+  const properties = field(source, 'Properties') ?? {};
+  if (!isObject(properties)) throw new CustomItemDefinitionError('expected an object keyed by name', `${path}.Properties`);
+  const tags = field(source, 'Tags') ?? [];
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    throw new CustomItemDefinitionError('expected a list of strings', `${path}.Tags`);
+  }
+  const isStackable = field(source, 'IsStackable') ?? DEFINITION_DEFAULTS.isStackable;
+  if (typeof isStackable !== 'boolean') throw new CustomItemDefinitionError('expected true or false', `${path}.IsStackable`);
+
+  return {
+    id,
+    name: optionalString(source, 'Name', path),
+    description: optionalString(source, 'Description', path),
+    baseItemType: optionalString(source, 'BaseItemType', path),
+    maxDurability: integer(source, 'MaxDurability', path, DEFINITION_DEFAULTS.maxDurability),
+    isStackable,
+    maxStackSize: integer(source, 'MaxStackSize', path, DEFINITION_DEFAULTS.maxStackSize),
+    properties: Object.entries(properties).map(([key, value]) => parseProperty(key, value, `${path}.Properties.${key}`)),
+    tags,
+    iconPath: optionalString(source, 'IconPath', path),
+    modelPath: optionalString(source, 'ModelPath', path),
+    behaviorType: optionalString(source, 'BehaviorType', path),
+  };
+};
+
+export const parseItemDefinitionJson = (text) => {
+  let source;
+  try {
+    source = JSON.parse(text);
+  } catch (error) {
+    throw new CustomItemDefinitionError(error.message);
+  }
+  return parseItemDefinition(source);
+};
+
+// The inverse of parseItemDefinition; empty paths and behavior are left out like null properties
+export const serializeItemDefinition = (definition) => ({
+  Id: definition.id,
+  Name: definition.name,
+  Description: definition.description,
+  BaseItemType: definition.baseItemType,
+  MaxDurability: definition.maxDurability,
+  IsStackable: definition.isStackable,
+  MaxStackSize: definition.maxStackSize,
+  Properties: Object.fromEntries(definition.properties.map(({ key, type, value }) => [key, { Type: type, Value: value }])),
+  Tags: definition.tags,
+  ...(definition.iconPath && { IconPath: definition.iconPath }),
+  ...(definition.modelPath && { ModelPath: definition.modelPath }),
+  ...(definition.behaviorType && { BehaviorType: definition.behaviorType }),
+});
@@ -0,0 +1,151 @@
+import { CustomItemDefinitionError, parseItemDefinition, serializeItemDefinition } from '@/lib/custom-items/definition.js';
+
+// Item packs share a set of definitions between servers:
+//   { "Format": 1, "Name": "Medical", "Author": "...", "Version": "1.2.0",
+//     "FrameworkVersion": "1.0.0", "Items": [{ "Id": "bandage", ... }] }
+// Format is the version of this file layout, Version the pack's own release and
+// FrameworkVersion the oldest LabFramework release the items work with.
+
+export const ITEM_PACK_FORMAT = 1;
+
+export const ITEM_PACK_EXTENSION = '.itempack.json';
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+
+export const isVersion = (value) => VERSION_PATTERN.test(value);
+
+const NUMERIC_IDENTIFIER = /^\d+$/;
+
+// Pre-release identifiers as SemVer orders them: numbers by value and before words, words
+// in ASCII order, and a list that runs out first is lower (beta < beta.2 < beta.10 < rc)
+const comparePreRelease = (a, b) => {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const numericA = NUMERIC_IDENTIFIER.test(a[i]);
+    const numericB = NUMERIC_IDENTIFIER.test(b[i]);
+    if (numericA && numericB) {
+      if (Number(a[i]) !== Number(b[i])) return Number(a[i]) - Number(b[i]);
+    } else if (numericA !== numericB) {
+      return numericA ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return a.length - b.length;
+};
+
+// Semantic version order; a pre-release sorts before its release
+export const compareVersions = (a, b) => {
+  const [coreA, preA = ''] = a.split(/-(.*)/);
+  const [coreB, preB = ''] = b.split(/-(.*)/);
+  const numbersA = coreA.split('.').map(Number);
+  const numbersB = coreB.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (numbersA[i] !== numbersB[i]) return numbersA[i] - numbersB[i];
+  }
+  if (!preA || !preB) return preA === preB ? 0 : preA ? -1 : 1;
+  return comparePreRelease(preA.split('.'), preB.split('.'));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const field = (source, name) => source[name] ?? source[name[0].toLowerCase() + name.slice(1)];
+
+export const isItemPack = (source) => isObject(source) && Array.isArray(field(source, 'Items'));
+
+const requiredString = (source, name) => {
+  const value = field(source, name);
+  if (typeof value !== 'string' || !value.trim()) throw new CustomItemDefinitionError('expected a non-empty string', `pack.${name}`);
+  return value;
+};
+
+const version = (source, name) => {
+  const value = requiredString(source, name);
+  if (!isVersion(value)) throw new CustomItemDefinitionError('expected a version like 1.0.0', `pack.${name}`);
+  return value;
+};
+
+// { format, name, author, version, frameworkVersion, items: [definition] }. A pack registers
+// all of its items, so an Id may only appear once.
+export const parseItemPack = (source) => {
+  if (!isItemPack(source)) throw new CustomItemDefinitionError('expected an object with an Items list', 'pack');
+  const format = field(source, 'Format');
+  if (!Number.isInteger(format) || format < 1) throw new CustomItemDefinitionError('expected a whole number', 'pack.Format');
+  if (format > ITEM_PACK_FORMAT) {
+    throw new CustomItemDefinitionError(`format ${format} is newer than the supported ${ITEM_PACK_FORMAT}`, 'pack.Format');
+  }
+
+  const items = field(source, 'Items').map((entry, index) => parseItemDefinition(entry, `pack.Items[${index}]`));
+  if (items.length === 0) throw new CustomItemDefinitionError('a pack needs at least one item', 'pack.Items');
+  items.forEach((item, index) => {
+    if (items.findIndex((other) => other.id === item.id) !== index) {
+      throw new CustomItemDefinitionError(`Id "${item.id}" is already used by another item`, `pack.Items[${index}].Id`);
+    }
+  });
+
+  return {
+    format,
+    name: requiredString(source, 'Name'),
+    author: requiredString(source, 'Author'),
+    version: version(source, 'Version'),
+    frameworkVersion: version(source, 'FrameworkVersion'),
+    items,
+  };
+};
+
+export const parseItemPackJson = (text) => {
+  let source;
+  try {
+    source = JSON.parse(text);
+  } catch (error) {
+    throw new CustomItemDefinitionError(error.message);
+  }
+  return parseItemPack(source);
+};
+
+// The inverse of parseItemPack, always written in the current format
+export const serializeItemPack = (pack) => ({
+  Format: ITEM_PACK_FORMAT,
+  Name: pack.name,
+  Author: pack.author,
+  Version: pack.version,
+  FrameworkVersion: pack.frameworkVersion,
+  Items: pack.items.map(serializeItemDefinition),
+});
+
+// medical-supplies.itempack.json
+export const itemPackFilename = (pack) =>
+  `${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'items'}${ITEM_PACK_EXTENSION}`;
+
+// The first free Id of bandage_2, bandage_3, ...
+export const suggestItemId = (id, taken) => {
+  for (let number = 2; ; number++) {
+    const candidate = `${id}_${number}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+};
+
+// The pack's items under the Ids they would be registered with. `renames` maps an item's
+// index to a new Id; `taken` are the Ids registered already. Each entry carries the issue
+// keeping it from registering: empty, collision (with `taken`) or duplicate (in the pack).
+export const resolvePackItems = (items, renames, taken) => {
+  const ids = items.map((item, index) => (renames[index] ?? item.id).trim());
+  return items.map((item, index) => {
+    const id = ids[index];
+    const issue = !id ? 'empty' : taken.has(id) ? 'collision' : ids.indexOf(id) !== index ? 'duplicate' : null;
+    return { definition: { ...item, id }, original: item.id, renamed: id !== item.id, issue };
+  });
+};
+
+// New Ids for the colliding entries of resolvePackItems, free of the registered Ids and of
+// the Ids the other entries use
+export const suggestRenames = (resolved, taken) => {
+  const used = new Set([...taken, ...resolved.map((item) => item.definition.id)]);
+  return Object.fromEntries(
+    resolved.flatMap((item, index) => {
+      if (item.issue !== 'collision') return [];
+      const id = suggestItemId(item.original, used);
+      used.add(id);
+      return [[index, id]];
+    }),
+  );
+};
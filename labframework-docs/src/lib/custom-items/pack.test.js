@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import { CustomItemDefinitionError } from '@/lib/custom-items/definition.js';
+import {
+  compareVersions,
+  isVersion,
+  itemPackFilename,
+  parseItemPack,
+  parseItemPackJson,
+  resolvePackItems,
+  serializeItemPack,
+  suggestRenames,
+} from '@/lib/custom-items/pack.js';
+
+const PACK = {
+  Format: 1,
+  Name: 'Medical Supplies',
+  Author: 'Lab',
+  Version: '1.2.0',
+  FrameworkVersion: '1.0.0',
+  Items: [{ Id: 'bandage', Name: 'Bandage' }, { Id: 'medkit' }],
+};
+
+describe('compareVersions', () => {
+  it('orders versions and pre-releases by the SemVer rules', () => {
+    const versions = [
+      '1.0.0',
+      '1.0.0-rc.1',
+      '1.0.0-beta.11',
+      '1.0.0-alpha.beta',
+      '1.0.0-beta',
+      '1.0.0-alpha.1',
+      '1.0.0-beta.2',
+      '1.0.0-alpha',
+      '0.9.12',
+      '1.10.0',
+      '1.2.0',
+    ];
+
+    expect([...versions].sort(compareVersions)).toEqual([
+      '0.9.12',
+      '1.0.0-alpha',
+      '1.0.0-alpha.1',
+      '1.0.0-alpha.beta',
+      '1.0.0-beta',
+      '1.0.0-beta.2',
+      '1.0.0-beta.11',
+      '1.0.0-rc.1',
+      '1.0.0',
+      '1.2.0',
+      '1.10.0',
+    ]);
+  });
+
+  it('treats equal versions as equal', () => {
+    expect(compareVersions('1.0.0-rc.1', '1.0.0-rc.1')).toBe(0);
+    expect(compareVersions('2.0.0', '2.0.0')).toBe(0);
+  });
+
+  it('accepts only three-part versions', () => {
+    expect(isVersion('1.0.0-beta.2')).toBe(true);
+    expect(isVersion('1.0')).toBe(false);
+    expect(isVersion('v1.0.0')).toBe(false);
+  });
+});
+
+describe('parseItemPack', () => {
+  it('reads a pack and round-trips it through serializeItemPack', () => {
+    const pack = parseItemPack(PACK);
+
+    expect(pack).toMatchObject({ format: 1, name: 'Medical Supplies', version: '1.2.0', frameworkVersion: '1.0.0' });
+    expect(pack.items.map((item) => item.id)).toEqual(['bandage', 'medkit']);
+    expect(parseItemPack(serializeItemPack(pack))).toEqual(pack);
+  });
+
+  it('rejects newer formats, bad versions and repeated Ids with their path', () => {
+    expect(() => parseItemPack({ ...PACK, Format: 2 })).toThrow('pack.Format: format 2 is newer than the supported 1');
+    expect(() => parseItemPack({ ...PACK, Version: '1.2' })).toThrow('pack.Version: expected a version like 1.0.0');
+    expect(() => parseItemPack({ ...PACK, Items: [{ Id: 'bandage' }, { Id: 'bandage' }] })).toThrow(
+      'pack.Items[1].Id: Id "bandage" is already used by another item',
+    );
+    expect(() => parseItemPack({ ...PACK, Items: [] })).toThrow('pack.Items: a pack needs at least one item');
+  });
+
+  it('reports JSON errors as CustomItemDefinitionError', () => {
+    expect(() => parseItemPackJson('{')).toThrow(CustomItemDefinitionError);
+  });
+});
+
+describe('itemPackFilename', () => {
+  it('derives the file name from the pack name', () => {
+    expect(itemPackFilename({ name: 'Medical Supplies!' })).toBe('medical-supplies.itempack.json');
+    expect(itemPackFilename({ name: '***' })).toBe('items.itempack.json');
+  });
+});
+
+describe('resolvePackItems', () => {
+  const items = parseItemPack(PACK).items;
+
+  it('reports collisions with registered Ids, duplicates and empty Ids', () => {
+    const resolved = resolvePackItems([...items, items[1]], { 2: '  ' }, new Set(['bandage']));
+    expect(resolved.map((item) => item.issue)).toEqual(['collision', null, 'empty']);
+
+    const duplicate = resolvePackItems(items, { 1: 'bandage' }, new Set());
+    expect(duplicate.map((item) => [item.definition.id, item.renamed, item.issue])).toEqual([
+      ['bandage', false, null],
+      ['bandage', true, 'duplicate'],
+    ]);
+  });
+
+  it('suggests renames free of registered and used Ids', () => {
+    const taken = new Set(['bandage', 'bandage_2', 'medkit']);
+    const resolved = resolvePackItems([...items, { ...items[0], id: 'bandage_3' }], {}, taken);
+
+    const renames = suggestRenames(resolved, taken);
+    expect(renames).toEqual({ 0: 'bandage_4', 1: 'medkit_2' });
+    expect(resolvePackItems([...items, { ...items[0], id: 'bandage_3' }], renames, taken).every((item) => !item.issue)).toBe(true);
+  });
+});
@@ -0,0 +1,12 @@
+import items from 'virtual:custom-items';
+import { parseItemDefinition } from '@/lib/custom-items/definition.js';
+
+// Item definitions harvested at build time by plugins/custom-items.js from the C# sources:
+// the object initializer of every `new CustomItemDefinition` with the SetProperty and AddTag
+// calls that follow it. Today these are the items CustomItemService.RegisterDefaultItems
+// registers, healing_potion and speed_boots.
+
+export const BUILT_IN_ITEMS = items.map(({ definition }, index) => parseItemDefinition(definition, `built-in[${index}]`));
+
+// Where each built-in item is defined, by Id: { file, line }
+export const getBuiltInSource = (id) => items.find(({ definition }) => definition.Id === id)?.source ?? null;
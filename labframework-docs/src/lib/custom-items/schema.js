@@ -0,0 +1,98 @@
+import { z } from 'zod';
+import { DEFINITION_DEFAULTS, PROPERTY_TYPES, isPropertyValue } from '@/lib/custom-items/definition.js';
+
+// Form model of the item designer and its zod schema. Property values are edited as text
+// and converted to their C# type with the rest of the definition.
+
+export const createProperty = () => ({ key: '', type: 'int', value: '0' });
+
+export const createItemDesignerValues = () => ({
+  id: '',
+  name: '',
+  description: '',
+  baseItemType: '',
+  ...DEFINITION_DEFAULTS,
+  properties: [],
+  tags: [],
+  iconPath: '',
+  modelPath: '',
+  behaviorType: '',
+});
+
+// Text of a property value as the form edits it, and back
+export const formatPropertyValue = (type, value) => (type === 'bool' ? String(Boolean(value)) : String(value));
+
+export const parsePropertyValue = (type, text) => {
+  if (type === 'string') return text;
+  if (type === 'bool') return text === 'true' ? true : text === 'false' ? false : null;
+  if (!text.trim() || (type === 'int' && !/^\s*-?\d+\s*$/.test(text))) return null;
+  const value = Number(text);
+  return isPropertyValue(type, value) ? value : null;
+};
+
+export const toItemDesignerValues = (definition) => ({
+  ...definition,
+  properties: definition.properties.map(({ key, type, value }) => ({ key, type, value: formatPropertyValue(type, value) })),
+});
+
+export const fromItemDesignerValues = (values) => ({
+  ...values,
+  id: values.id.trim(),
+  maxDurability: Number(values.maxDurability),
+  maxStackSize: Number(values.maxStackSize),
+  properties: values.properties.map(({ key, type, value }) => ({ key, type, value: parsePropertyValue(type, value) })),
+});
+
+// Messages come from `t` so the form reports errors in the page's language
+export const createItemDesignerSchema = (t) => {
+  const message = (key, params) => t(`tools.itemDesigner.errors.${key}`, params);
+
+  const propertySchema = z
+    .object({
+      key: z.string().trim().min(1, message('required')),
+      type: z.enum(PROPERTY_TYPES),
+      value: z.string(),
+    })
+    .superRefine((property, ctx) => {
+      if (parsePropertyValue(property.type, property.value) === null) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['value'], message: message(`invalid_${property.type}`) });
+      }
+    });
+
+  return z
+    .object({
+      // RegisterItem rejects blank ids
+      id: z.string().trim().min(1, message('required')).regex(/^\S+$/, message('noSpaces')),
+      name: z.string().trim().min(1, message('required')),
+      description: z.string(),
+      baseItemType: z.string().trim().min(1, message('required')),
+      // An instance starts at MaxDurability and IsDestroyed once it reaches 0
+      maxDurability: z.coerce.number().int(message('integer')).min(1, message('durabilityMin')),
+      isStackable: z.boolean(),
+      maxStackSize: z.coerce.number().int(message('integer')).min(1, message('stackMin')),
+      properties: z.array(propertySchema),
+      tags: z.array(z.string()),
+      iconPath: z.string(),
+      modelPath: z.string(),
+      // typeof(...) of a class name, optionally namespace-qualified
+      behaviorType: z
+        .string()
+        .trim()
+        .regex(/^(?:[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)?$/, message('typeName')),
+    })
+    .superRefine((values, ctx) => {
+      const issue = (path, key) => ctx.addIssue({ code: z.ZodIssueCode.custom, path, message: message(key) });
+
+      // AddToStack returns 0 for items that are not stackable, whatever MaxStackSize says
+      if (values.maxStackSize > 1 && !values.isStackable) issue(['maxStackSize'], 'stackRequiresStackable');
+      // IsStackFull holds from the first item, so CanStackWith never does
+      if (values.maxStackSize === 1 && values.isStackable) issue(['maxStackSize'], 'stackableNeedsSize');
+
+      // Properties is a dictionary, SetProperty on a used key overwrites it
+      const keys = new Set();
+      values.properties.forEach((property, index) => {
+        if (keys.has(property.key)) issue(['properties', index, 'key'], 'duplicateProperty');
+        keys.add(property.key);
+      });
+    });
+};
@@ -0,0 +1,245 @@
+// A player's inventory of one custom item, replaying CustomItem and CustomItemService rules:
+// durability belongs to an instance, and an instance is a whole stack. Items are numbered in
+// the order they are created, which stands in for InstanceId.
+
+export class SimulationScriptError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'SimulationScriptError';
+    this.line = line;
+  }
+}
+
+// Script commands and their arguments. `give`/`remove` go through the service, the others
+// call the CustomItem method on one instance (`use` consumes it like HealingPotionBehavior).
+export const SIMULATION_COMMANDS = {
+  give: ['amount'],
+  remove: ['amount'],
+  use: ['item'],
+  damage: ['item', 'amount'],
+  repair: ['item', 'amount'],
+  add: ['item', 'amount'],
+  take: ['item', 'amount'],
+  set: ['item', 'key', 'value'],
+};
+
+export const EXAMPLE_SCRIPT = [
+  '# Pick up items: stacks that are not full are topped up first',
+  'give 3',
+  'give 4',
+  '# AddToStack returns how many fit',
+  'add 2 10',
+  '# Use, damage and repair act on one item, i.e. a whole stack',
+  'use 1',
+  'damage 2 30',
+  'repair 2 100',
+  'set 2 Charges 3',
+  'remove 2',
+].join('\n');
+
+const parseInteger = (text, line) => {
+  if (!/^-?\d+$/.test(text)) throw new SimulationScriptError(`"${text}" is not a whole number`, line);
+  return Number(text);
+};
+
+// Instance data is typed the way a C# literal would be
+const parseDataValue = (text) => {
+  if (text === 'true' || text === 'false') return { type: 'bool', value: text === 'true' };
+  if (/^-?\d+$/.test(text)) return { type: 'int', value: Number(text) };
+  if (/^-?\d*\.\d+$/.test(text)) return { type: 'double', value: Number(text) };
+  return { type: 'string', value: text.replace(/^"(.*)"$/, '$1') };
+};
+
+// One step per line; blank lines and # comments are skipped
+export const parseSimulationScript = (text) =>
+  text.split('\n').flatMap((source, index) => {
+    const line = index + 1;
+    const command = source.replace(/#(?!\d).*$/, '').trim();
+    const words = command.split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+    const [name, ...args] = words;
+    const names = SIMULATION_COMMANDS[name.toLowerCase()];
+    if (!names) throw new SimulationScriptError(`unknown command "${name}"`, line);
+    const last = names.at(-1) === 'value';
+    if (args.length < names.length || (!last && args.length > names.length)) {
+      throw new SimulationScriptError(`expected ${name} ${names.map((arg) => `<${arg}>`).join(' ')}`, line);
+    }
+
+    const step = { line, source: command, command: name.toLowerCase() };
+    names.forEach((arg, position) => {
+      const text = arg === 'value' ? args.slice(position).join(' ') : args[position];
+      if (arg === 'item') step.item = parseInteger(text.replace(/^#/, ''), line);
+      else if (arg === 'amount') step.amount = parseInteger(text, line);
+      else if (arg === 'key') step.key = text;
+      else step.data = parseDataValue(text);
+    });
+    return [step];
+  });
+
+// CustomItem
+const isDestroyed = (item) => item.durability <= 0;
+const isStackFull = (item, definition) => item.stackSize >= definition.maxStackSize;
+
+export const durabilityPercentage = (item, definition) =>
+  definition.maxDurability > 0 ? item.durability / definition.maxDurability : 1;
+
+export const itemState = (item, definition) => ({
+  destroyed: isDestroyed(item),
+  stackFull: isStackFull(item, definition),
+});
+
+// Every item here has the definition's Id, so CanStackWith comes down to IsStackable and
+// neither stack being full
+const canStackWith = (item, other, definition) =>
+  definition.isStackable && !isStackFull(item, definition) && !isStackFull(other, definition);
+
+export const stackPartners = (inventory, item, definition) =>
+  inventory.filter((other) => other !== item && canStackWith(item, other, definition)).map((other) => other.number);
+
+const addToStack = (item, amount, definition) => {
+  if (!definition.isStackable) return 0;
+  const canAdd = Math.min(amount, definition.maxStackSize - item.stackSize);
+  item.stackSize += canAdd;
+  return canAdd;
+};
+
+const removeFromStack = (item, amount) => {
+  const canRemove = Math.min(amount, item.stackSize);
+  item.stackSize -= canRemove;
+  return canRemove;
+};
+
+// CustomItemService.GiveItemToPlayerAsync
+const give = (state, amount, definition, notes) => {
+  if (amount <= 0) {
+    notes.push({ code: 'rejected' });
+    return false;
+  }
+  let remaining = amount;
+
+  if (definition.isStackable) {
+    for (const item of state.inventory.filter((entry) => !isStackFull(entry, definition))) {
+      const added = addToStack(item, remaining, definition);
+      remaining -= added;
+      notes.push({ code: 'stacked', params: { item: item.number, added } });
+      if (remaining <= 0) break;
+    }
+  }
+
+  // The service keeps creating stacks of MaxStackSize, which never ends when that is 0
+  if (remaining > 0 && definition.isStackable && definition.maxStackSize <= 0) {
+    notes.push({ code: 'neverEnds' });
+    return null;
+  }
+
+  const created = [];
+  while (remaining > 0) {
+    const item = { number: ++state.created, durability: definition.maxDurability, stackSize: 1, data: [] };
+    if (definition.isStackable) {
+      item.stackSize = Math.min(remaining, definition.maxStackSize);
+      remaining -= item.stackSize;
+    } else {
+      remaining--;
+    }
+    state.inventory.push(item);
+    created.push(item);
+    notes.push({ code: 'created', params: { item: item.number, size: item.stackSize } });
+  }
+
+  // Only new items raise CustomItemPickedUpEvent and OnPickupAsync, and the result only says
+  // whether any were created
+  if (created.length === 0) notes.push({ code: 'noPickup', params: { amount } });
+  return created.length > 0;
+};
+
+// CustomItemService.RemoveItemFromPlayerAsync: newest stacks first, emptied stacks dropped
+const remove = (state, amount, notes) => {
+  if (amount <= 0) {
+    notes.push({ code: 'rejected' });
+    return false;
+  }
+  let remaining = amount;
+  for (let i = state.inventory.length - 1; i >= 0 && remaining > 0; i--) {
+    const item = state.inventory[i];
+    const removed = removeFromStack(item, Math.min(remaining, item.stackSize));
+    remaining -= removed;
+    notes.push({ code: 'removed', params: { item: item.number, removed } });
+    if (item.stackSize <= 0) state.inventory.splice(i, 1);
+  }
+  if (remaining > 0) notes.push({ code: 'partial', params: { removed: amount - remaining, amount } });
+  return remaining === 0;
+};
+
+const setDurability = (item, durability, definition, notes) => {
+  const wasDestroyed = isDestroyed(item);
+  item.durability = durability;
+  if (!wasDestroyed && isDestroyed(item)) {
+    notes.push({ code: 'destroyed', params: { item: item.number, size: item.stackSize } });
+  }
+  if (item.durability > definition.maxDurability) {
+    notes.push({ code: 'overMax', params: { durability: item.durability, max: definition.maxDurability } });
+  }
+};
+
+const runStep = (state, step, definition) => {
+  const notes = [];
+  if (step.command === 'give') return { returned: give(state, step.amount, definition, notes), notes };
+  if (step.command === 'remove') return { returned: remove(state, step.amount, notes), notes };
+
+  const item = state.inventory.find((entry) => entry.number === step.item);
+  if (!item) return { error: { code: 'noItem', params: { item: step.item } }, notes };
+
+  switch (step.command) {
+    case 'use':
+      // DamageItem(CurrentDurability)
+      setDurability(item, 0, definition, notes);
+      notes.push({ code: 'stays', params: { item: item.number } });
+      return { returned: null, notes };
+    case 'damage': {
+      const target = item.durability - step.amount;
+      setDurability(item, Math.max(0, target), definition, notes);
+      if (target < 0) notes.push({ code: 'clamped', params: { lost: -target } });
+      return { returned: null, notes };
+    }
+    case 'repair': {
+      const target = item.durability + step.amount;
+      setDurability(item, Math.min(definition.maxDurability, target), definition, notes);
+      if (target > definition.maxDurability) notes.push({ code: 'clamped', params: { lost: target - definition.maxDurability } });
+      return { returned: null, notes };
+    }
+    case 'add': {
+      const added = addToStack(item, step.amount, definition);
+      if (!definition.isStackable) notes.push({ code: 'notStackable' });
+      else if (added < step.amount) notes.push({ code: 'overflow', params: { left: step.amount - added } });
+      if (item.stackSize > definition.maxStackSize) notes.push({ code: 'overStack', params: { size: item.stackSize } });
+      return { returned: added, notes };
+    }
+    case 'take': {
+      const taken = removeFromStack(item, step.amount);
+      if (taken < step.amount) notes.push({ code: 'overflow', params: { left: step.amount - taken } });
+      // RemoveFromStack leaves the instance in the inventory, even when it is empty
+      if (item.stackSize <= 0) notes.push({ code: 'emptyStack', params: { item: item.number } });
+      return { returned: taken, notes };
+    }
+    default: {
+      // SetInstanceData
+      const entry = { key: step.key, ...step.data };
+      const index = item.data.findIndex((existing) => existing.key === step.key);
+      if (index >= 0) item.data[index] = entry;
+      else item.data.push(entry);
+      return { returned: null, notes };
+    }
+  }
+};
+
+// The inventory after every step. A step the service would never finish stops the run.
+export const runSimulation = (definition, steps) => {
+  const state = { created: 0, inventory: [] };
+  const results = [];
+  for (const step of steps) {
+    const result = runStep(state, step, definition);
+    results.push({ step, ...result, inventory: structuredClone(state.inventory) });
+    if (result.notes.some((note) => note.code === 'neverEnds')) break;
+  }
+  return results;
+};
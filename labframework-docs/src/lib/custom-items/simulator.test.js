@@ -0,0 +1,176 @@
+import { describe, expect, it } from 'vitest';
+import { parseItemDefinition } from '@/lib/custom-items/definition.js';
+import {
+  EXAMPLE_SCRIPT,
+  SimulationScriptError,
+  durabilityPercentage,
+  parseSimulationScript,
+  runSimulation,
+  stackPartners,
+} from '@/lib/custom-items/simulator.js';
+
+const definition = (source = {}) => parseItemDefinition({ Id: 'bandage', ...source });
+
+const stackable = definition({ IsStackable: true, MaxStackSize: 5, MaxDurability: 100 });
+
+const run = (item, script) => runSimulation(item, parseSimulationScript(script));
+
+const last = (results) => results.at(-1);
+
+const stacks = (result) => result.inventory.map((item) => [item.number, item.stackSize]);
+
+const codes = (result) => result.notes.map((note) => note.code);
+
+describe('parseSimulationScript', () => {
+  it('skips blank lines and comments and keeps line numbers', () => {
+    expect(parseSimulationScript('# pick up\n\ngive 3 # three\nuse #1')).toEqual([
+      { line: 3, source: 'give 3', command: 'give', amount: 3 },
+      { line: 4, source: 'use #1', command: 'use', item: 1 },
+    ]);
+  });
+
+  it('types instance data like C# literals and keeps spaces in strings', () => {
+    const steps = parseSimulationScript('set 1 Charges 3\nset 1 Ratio .5\nset 1 Sealed true\nset 1 Label "first aid"');
+
+    expect(steps.map((step) => step.data)).toEqual([
+      { type: 'int', value: 3 },
+      { type: 'double', value: 0.5 },
+      { type: 'bool', value: true },
+      { type: 'string', value: 'first aid' },
+    ]);
+  });
+
+  it('reports unknown commands, wrong arity and bad numbers with their line', () => {
+    expect(() => parseSimulationScript('give 1\nthrow 1')).toThrow(new SimulationScriptError('unknown command "throw"', 2));
+    expect(() => parseSimulationScript('damage 1')).toThrow('line 1: expected damage <item> <amount>');
+    expect(() => parseSimulationScript('give two')).toThrow(SimulationScriptError);
+  });
+});
+
+describe('runSimulation', () => {
+  it('tops up stacks that are not full before creating new ones', () => {
+    const results = run(stackable, 'give 3\ngive 4\ngive 5');
+
+    expect(stacks(results[1])).toEqual([[1, 5], [2, 2]]);
+    expect(stacks(results[2])).toEqual([[1, 5], [2, 5], [3, 2]]);
+    expect(results.map((result) => result.returned)).toEqual([true, true, true]);
+  });
+
+  it('returns false when the items only topped up existing stacks', () => {
+    const result = last(run(stackable, 'give 2\ngive 2'));
+
+    expect(result.returned).toBe(false);
+    expect(codes(result)).toEqual(['stacked', 'noPickup']);
+  });
+
+  it('creates one instance per non-stackable item', () => {
+    const result = last(run(definition(), 'give 3'));
+
+    expect(stacks(result)).toEqual([[1, 1], [2, 1], [3, 1]]);
+  });
+
+  it('rejects amounts below one', () => {
+    const result = last(run(stackable, 'give 0'));
+
+    expect(result).toMatchObject({ returned: false, notes: [{ code: 'rejected' }] });
+  });
+
+  it('stops the run when a stackable item has no stack size', () => {
+    const results = run(definition({ IsStackable: true, MaxStackSize: 0 }), 'give 1\ngive 1');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ returned: null, inventory: [] });
+    expect(codes(results[0])).toEqual(['neverEnds']);
+  });
+
+  it('removes from the newest stacks first and drops emptied ones', () => {
+    const result = last(run(stackable, 'give 8\nremove 4'));
+
+    expect(result.returned).toBe(true);
+    expect(stacks(result)).toEqual([[1, 4]]);
+  });
+
+  it('reports a partial removal', () => {
+    const result = last(run(stackable, 'give 2\nremove 5'));
+
+    expect(result.returned).toBe(false);
+    expect(result.notes.at(-1)).toEqual({ code: 'partial', params: { removed: 2, amount: 5 } });
+    expect(result.inventory).toEqual([]);
+  });
+
+  it('clamps damage and repair and destroys the whole stack', () => {
+    const results = run(stackable, 'give 3\ndamage 1 130\nrepair 1 250');
+
+    expect(results[1].inventory[0]).toMatchObject({ durability: 0, stackSize: 3 });
+    expect(results[1].notes).toEqual([
+      { code: 'destroyed', params: { item: 1, size: 3 } },
+      { code: 'clamped', params: { lost: 30 } },
+    ]);
+    expect(results[2].inventory[0].durability).toBe(100);
+    expect(results[2].notes).toEqual([{ code: 'clamped', params: { lost: 150 } }]);
+    expect(durabilityPercentage(results[2].inventory[0], stackable)).toBe(1);
+  });
+
+  it('keeps a used item in the inventory', () => {
+    const result = last(run(stackable, 'give 1\nuse 1'));
+
+    expect(codes(result)).toEqual(['destroyed', 'stays']);
+    expect(result.inventory).toHaveLength(1);
+  });
+
+  it('adds up to the stack size and reports the overflow', () => {
+    const result = last(run(stackable, 'give 3\nadd 1 4'));
+
+    expect(result.returned).toBe(2);
+    expect(result.notes).toEqual([{ code: 'overflow', params: { left: 2 } }]);
+  });
+
+  it('adds nothing to a non-stackable item and flags a stack above its size', () => {
+    const result = last(run(definition({ MaxStackSize: 0 }), 'give 1\nadd 1 1'));
+
+    expect(result.returned).toBe(0);
+    expect(codes(result)).toEqual(['notStackable', 'overStack']);
+  });
+
+  it('leaves an emptied stack in the inventory when taking from it', () => {
+    const result = last(run(stackable, 'give 2\ntake 1 3'));
+
+    expect(result.returned).toBe(2);
+    expect(codes(result)).toEqual(['overflow', 'emptyStack']);
+    expect(stacks(result)).toEqual([[1, 0]]);
+  });
+
+  it('replaces instance data by key', () => {
+    const result = last(run(stackable, 'give 1\nset 1 Charges 3\nset 1 Charges 2'));
+
+    expect(result.inventory[0].data).toEqual([{ key: 'Charges', type: 'int', value: 2 }]);
+  });
+
+  it('reports steps on items that do not exist', () => {
+    const result = last(run(stackable, 'give 1\nuse 2'));
+
+    expect(result.error).toEqual({ code: 'noItem', params: { item: 2 } });
+  });
+
+  it('runs the example script without errors', () => {
+    const results = run(stackable, EXAMPLE_SCRIPT);
+
+    expect(results.some((result) => result.error)).toBe(false);
+    expect(results).toHaveLength(parseSimulationScript(EXAMPLE_SCRIPT).length);
+  });
+});
+
+describe('stackPartners', () => {
+  it('skips full stacks', () => {
+    const { inventory } = last(run(stackable, 'give 5\ngive 2'));
+
+    expect(stackPartners(inventory, inventory[1], stackable)).toEqual([]);
+  });
+
+  it('pairs stacks that both have room', () => {
+    const { inventory } = last(run(stackable, 'give 7\ntake 1 1'));
+
+    expect(stackPartners(inventory, inventory[0], stackable)).toEqual([2]);
+    expect(stackPartners(inventory, inventory[1], definition())).toEqual([]);
+  });
+});
@@ -0,0 +1,17 @@
+// Saves generated text (an exported data set, generated code...) as a file
+export const downloadFile = (filename, contents, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Opens a generated HTML page (a printable report) in a new tab and prints it
+export const printHtml = (html) => {
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  const page = window.open(url);
+  if (page) page.addEventListener('load', () => page.print(), { once: true });
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+};
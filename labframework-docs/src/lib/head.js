@@ -0,0 +1,50 @@
+import { createContext } from 'react';
+
+// Per-page <head> metadata. PageMeta reports the page's title and description; while
+// prerendering (src/entry-server.jsx) it writes them into the collector provided through
+// HeadContext, in the browser it updates document.head after client-side navigation.
+
+export const SITE_NAME = 'LabFramework';
+
+export const HeadContext = createContext(null);
+
+// Tags with absolute URLs (canonical, og:url, hreflang alternates) need the site origin
+export const headTags = ({ title, description, type, path, alternates }, siteUrl) => {
+  const tags = [
+    { tag: 'meta', attrs: { name: 'description', content: description } },
+    { tag: 'meta', attrs: { property: 'og:site_name', content: SITE_NAME } },
+    { tag: 'meta', attrs: { property: 'og:type', content: type } },
+    { tag: 'meta', attrs: { property: 'og:title', content: title } },
+    { tag: 'meta', attrs: { property: 'og:description', content: description } },
+    { tag: 'meta', attrs: { name: 'twitter:card', content: 'summary' } },
+  ];
+  if (!siteUrl) return tags;
+
+  return [
+    ...tags,
+    { tag: 'meta', attrs: { property: 'og:url', content: siteUrl + path } },
+    { tag: 'link', attrs: { rel: 'canonical', href: siteUrl + path } },
+    ...alternates.map((alternate) => ({
+      tag: 'link',
+      attrs: { rel: 'alternate', hreflang: alternate.locale, href: siteUrl + alternate.path },
+    })),
+  ];
+};
+
+const KEY_ATTRIBUTES = ['rel', 'name', 'property', 'hreflang'];
+
+// Selector matching the element a tag replaces, e.g. meta[property="og:title"]
+export const tagSelector = ({ tag, attrs }) =>
+  tag + KEY_ATTRIBUTES.filter((name) => attrs[name]).map((name) => `[${name}="${attrs[name]}"]`).join('');
+
+export const escapeHtml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export const renderHeadTags = (meta, siteUrl) =>
+  [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    ...headTags(meta, siteUrl).map(({ tag, attrs }) => {
+      const attributes = Object.entries(attrs).map(([name, value]) => `${name}="${escapeHtml(value)}"`);
+      return `<${tag} ${attributes.join(' ')} />`;
+    }),
+  ].join('\n    ');
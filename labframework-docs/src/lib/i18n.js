@@ -0,0 +1,46 @@
+import { createContext } from 'react';
+import ar from '@/locales/ar.json';
+import en from '@/locales/en.json';
+
+export const DEFAULT_LOCALE = 'ar';
+
+export const LOCALES = {
+  ar: { label: 'العربية', dir: 'rtl', messages: ar },
+  en: { label: 'English', dir: 'ltr', messages: en },
+};
+
+export const isLocale = (value) => Object.hasOwn(LOCALES, value);
+
+const lookup = (messages, key) =>
+  key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), messages);
+
+// Looks a message up in the locale, then the default locale, then returns the key.
+// Strings may contain {placeholders}; arrays and objects are returned as is.
+export const translate = (locale, key, params = {}) => {
+  const value =
+    lookup(LOCALES[locale]?.messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key) ?? key;
+
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+};
+
+// Prefixes an unlocalized path such as /docs with the locale: /en/docs
+export const localizePath = (locale, path = '/') =>
+  `/${locale}${path === '/' ? '' : path}`;
+
+// Splits /en/docs/api into { locale: 'en', path: '/docs/api' }
+export const splitLocalePath = (pathname) => {
+  const [, first, ...rest] = pathname.split('/');
+  if (!isLocale(first)) return { locale: null, path: pathname };
+  return { locale: first, path: `/${rest.join('/')}` };
+};
+
+export const detectLocale = () => {
+  if (typeof navigator === 'undefined') return DEFAULT_LOCALE;
+  const preferred = (navigator.languages ?? [navigator.language])
+    .map((language) => language?.slice(0, 2))
+    .find(isLocale);
+  return preferred ?? DEFAULT_LOCALE;
+};
+
+export const LocaleContext = createContext(DEFAULT_LOCALE);
@@ -0,0 +1,41 @@
+import { checkGroupPermission, resolvePermission } from '@/lib/permissions/resolver.js';
+
+// Which groups and users may execute each command. ExecuteCommandAsync still has a TODO
+// where the permission check belongs; this assumes the check it describes, i.e.
+// HasPermissionAsync(userId, command.Permission) for commands that have a permission.
+// A group counts as holding a node when CheckGroupPermissionAsync grants it, which is what
+// a member with no direct permissions and no other group gets.
+// ExecuteCommandAsync turns away the wrong caller before that check: players from ConsoleOnly
+// commands and the console from PlayerOnly ones. The console has no user ID to check, so it
+// is taken to run every other command.
+
+// One row per command: `console` when the console may run it, `open` for commands without a
+// permission, which every player may run; otherwise the groups and users that hold the node
+// and `unheld` when none does. ConsoleOnly commands have no player or group holders.
+export const buildCommandAccess = (data, commands, { now = new Date() } = {}) => {
+  const groups = [...data.groups.values()];
+  const users = [...data.users.values()];
+
+  return commands.map((command) => {
+    const fromConsole = !command.playerOnly;
+    if (command.consoleOnly) return { command, console: fromConsole, open: false, groups: [], users: [], unheld: false };
+    if (!command.permission) return { command, console: fromConsole, open: true, groups, users, unheld: false };
+    const node = command.permission;
+    const holderGroups = groups.filter((group) => checkGroupPermission(data, group, node, { now })?.granted);
+    const holderUsers = users.filter((user) => resolvePermission(data, user.userId, node, { now }).granted);
+    return {
+      command,
+      console: fromConsole,
+      open: false,
+      groups: holderGroups,
+      users: holderUsers,
+      unheld: holderGroups.length === 0 && holderUsers.length === 0,
+    };
+  });
+};
+
+// Name, aliases, description or permission node containing `filter`, e.g. "ban"
+export const matchesCommand = (command, filter) =>
+  [command.name, ...command.aliases, command.description, command.permission]
+    .filter(Boolean)
+    .some((text) => text.toLowerCase().includes(filter.trim().toLowerCase()));
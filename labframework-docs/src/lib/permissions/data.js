@@ -0,0 +1,285 @@
+// Permission data sets as PermissionService persists them (LabFramework.Permissions).
+// SaveAsync stores { Groups, Users, LastSaved } under the PermissionData key of the
+// configuration and writes it to permissions.json with System.Text.Json, so property
+// names are PascalCase, groups are keyed by their lowercased name and users by id.
+
+export class PermissionDataError extends Error {
+  constructor(message, path) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = 'PermissionDataError';
+    this.path = path;
+  }
+}
+
+// Property lookup that also accepts camelCase, for hand-written data sets
+const field = (source, name) => source[name] ?? source[name[0].toLowerCase() + name.slice(1)];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const list = (value, path) => {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new PermissionDataError('expected an array', path);
+  return value;
+};
+
+// DateTime values without an offset are compared against DateTime.UtcNow tick for tick,
+// which is the same as reading them as UTC
+export const parseDateTime = (value, path) => {
+  if (value == null) return null;
+  const text = String(value);
+  const date = new Date(/(Z|[+-]\d\d:\d\d)$/i.test(text) ? text : `${text}Z`);
+  if (Number.isNaN(date.getTime())) throw new PermissionDataError(`invalid date "${text}"`, path);
+  return date;
+};
+
+// IsExpired/IsValid in the file were computed when it was saved and are ignored
+const parsePermission = (source, path) => {
+  if (!isObject(source)) throw new PermissionDataError('expected a permission object', path);
+  const node = field(source, 'Node');
+  if (typeof node !== 'string') throw new PermissionDataError('Node must be a string', `${path}.Node`);
+  const value = field(source, 'Value');
+
+  return {
+    node,
+    value: value ?? true,
+    expiresAt: parseDateTime(field(source, 'ExpiresAt'), `${path}.ExpiresAt`),
+    grantedBy: field(source, 'GrantedBy') ?? null,
+    reason: field(source, 'Reason') ?? null,
+  };
+};
+
+const parseGroup = (key, source, path) => {
+  if (!isObject(source)) throw new PermissionDataError('expected a group object', path);
+  const name = field(source, 'Name') ?? key;
+
+  return {
+    name,
+    displayName: field(source, 'DisplayName') ?? name,
+    description: field(source, 'Description') ?? '',
+    priority: field(source, 'Priority') ?? 0,
+    permissions: list(field(source, 'Permissions'), `${path}.Permissions`).map((permission, index) =>
+      parsePermission(permission, `${path}.Permissions[${index}]`),
+    ),
+    inheritedGroups: list(field(source, 'InheritedGroups'), `${path}.InheritedGroups`).map(String),
+    metadata: field(source, 'Metadata') ?? {},
+  };
+};
+
+const parseUser = (key, source, path) => {
+  if (!isObject(source)) throw new PermissionDataError('expected a user object', path);
+  const userId = field(source, 'UserId') ?? key;
+
+  return {
+    userId,
+    username: field(source, 'Username') ?? userId,
+    groups: list(field(source, 'Groups'), `${path}.Groups`).map(String),
+    directPermissions: list(field(source, 'DirectPermissions'), `${path}.DirectPermissions`).map((permission, index) =>
+      parsePermission(permission, `${path}.DirectPermissions[${index}]`),
+    ),
+    lastUpdated: parseDateTime(field(source, 'LastUpdated'), `${path}.LastUpdated`),
+    metadata: field(source, 'Metadata') ?? {},
+  };
+};
+
+const parseDictionary = (source, path, parse) => {
+  if (source == null) return new Map();
+  if (!isObject(source)) throw new PermissionDataError('expected an object keyed by name', path);
+  return new Map(Object.entries(source).map(([key, value]) => [key, parse(key, value, `${path}.${key}`)]));
+};
+
+// Accepts the whole permissions.json (configuration values keyed by name) or just the
+// PermissionData object. Groups and users are Maps in file order; the dictionary keys
+// are kept as written because the service looks groups up by exact lowercase key.
+export const parsePermissionData = (source) => {
+  if (!isObject(source)) throw new PermissionDataError('expected a JSON object');
+  const data = field(source, 'PermissionData') ?? source;
+  if (!isObject(data)) throw new PermissionDataError('expected an object', 'PermissionData');
+
+  return {
+    groups: parseDictionary(field(data, 'Groups'), 'Groups', parseGroup),
+    users: parseDictionary(field(data, 'Users'), 'Users', parseUser),
+  };
+};
+
+export const parsePermissionJson = (text) => {
+  let source;
+  try {
+    source = JSON.parse(text);
+  } catch (error) {
+    throw new PermissionDataError(error.message);
+  }
+  return parsePermissionData(source);
+};
+
+// DateTime as System.Text.Json writes a UTC value: 2024-12-01T12:00:00Z
+export const formatDateTime = (date) => date.toISOString().replace('.000Z', 'Z');
+
+export const formatUtc = (date) => `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+// Reads a datetime-local value as UTC, like the DateTime.UtcNow the service compares
+// with; blank means the current time
+export const parseEvaluationTime = (value) => {
+  if (!value) return { now: new Date(), error: null };
+  try {
+    return { now: parseDateTime(value), error: null };
+  } catch (error) {
+    if (!(error instanceof PermissionDataError)) throw error;
+    return { now: null, error };
+  }
+};
+
+// Permission.IsExpired, against the given time instead of DateTime.UtcNow
+export const isExpired = (permission, now) => permission.expiresAt !== null && now > permission.expiresAt;
+
+const serializePermission = (permission, now) => {
+  const expired = isExpired(permission, now);
+  return {
+    Node: permission.node,
+    Value: permission.value,
+    ExpiresAt: permission.expiresAt && formatDateTime(permission.expiresAt),
+    GrantedBy: permission.grantedBy,
+    Reason: permission.reason,
+    IsExpired: expired,
+    IsValid: !expired,
+  };
+};
+
+// The inverse of parsePermissionData: the { PermissionData } object SaveAsync writes,
+// with IsExpired/IsValid and LastSaved computed at `now`
+export const serializePermissionData = (data, { now = new Date() } = {}) => ({
+  PermissionData: {
+    Groups: Object.fromEntries(
+      [...data.groups].map(([key, group]) => [
+        key,
+        {
+          Name: group.name,
+          DisplayName: group.displayName,
+          Description: group.description,
+          Priority: group.priority,
+          Permissions: group.permissions.map((permission) => serializePermission(permission, now)),
+          InheritedGroups: group.inheritedGroups,
+          Metadata: group.metadata,
+        },
+      ]),
+    ),
+    Users: Object.fromEntries(
+      [...data.users].map(([key, user]) => [
+        key,
+        {
+          UserId: user.userId,
+          Username: user.username,
+          Groups: user.groups,
+          DirectPermissions: user.directPermissions.map((permission) => serializePermission(permission, now)),
+          LastUpdated: formatDateTime(user.lastUpdated ?? now),
+          Metadata: user.metadata,
+        },
+      ]),
+    ),
+    LastSaved: formatDateTime(now),
+  },
+});
+
+// GetGroupAsync: blank names never match, others are looked up lowercased
+export const getGroup = (data, name) =>
+  typeof name === 'string' && name.trim() ? data.groups.get(name.toLowerCase()) ?? null : null;
+
+// Every node granted or denied anywhere in the data set, sorted
+export const getKnownNodes = (data) => {
+  const nodes = new Set();
+  for (const group of data.groups.values()) group.permissions.forEach((permission) => nodes.add(permission.node));
+  for (const user of data.users.values()) user.directPermissions.forEach((permission) => nodes.add(permission.node));
+  return [...nodes].sort();
+};
+
+const permission = (Node, Value = true, extra = {}) => ({
+  Node,
+  Value,
+  ExpiresAt: null,
+  GrantedBy: null,
+  Reason: null,
+  ...extra,
+});
+
+// The groups InitializeDefaultGroups creates
+const DEFAULT_GROUPS = {
+  default: {
+    Name: 'default',
+    DisplayName: 'Default',
+    Description: 'Default group for all users',
+    Priority: 0,
+    Permissions: [permission('basic.chat'), permission('basic.move')],
+    InheritedGroups: [],
+    Metadata: {},
+  },
+  admin: {
+    Name: 'admin',
+    DisplayName: 'Administrator',
+    Description: 'Administrator group with full permissions',
+    Priority: 1000,
+    Permissions: [permission('*')],
+    InheritedGroups: [],
+    Metadata: {},
+  },
+  moderator: {
+    Name: 'moderator',
+    DisplayName: 'Moderator',
+    Description: 'Moderator group with limited admin permissions',
+    Priority: 500,
+    Permissions: [permission('admin.kick'), permission('admin.mute'), permission('admin.teleport')],
+    InheritedGroups: ['default'],
+    Metadata: {},
+  },
+};
+
+// Fresh copies of the groups the service starts with
+export const createDefaultGroups = () => parsePermissionData({ Groups: DEFAULT_GROUPS }).groups;
+
+const user = (UserId, Username, Groups, DirectPermissions = []) => ({
+  UserId,
+  Username,
+  Groups,
+  DirectPermissions,
+  LastUpdated: '2024-12-01T12:00:00Z',
+  Metadata: {},
+});
+
+// Example permissions.json: the default groups plus a few users and groups that exercise
+// denials, expiry, wildcards and an inheritance cycle
+export const SAMPLE_PERMISSIONS = {
+  PermissionData: {
+    Groups: {
+      ...DEFAULT_GROUPS,
+      helper: {
+        Name: 'helper',
+        DisplayName: 'Helper',
+        Description: 'Trusted players who help new ones',
+        Priority: 100,
+        Permissions: [
+          permission('admin.teleport', false, { Reason: 'Helpers guide players, they do not move them' }),
+          permission('admin.mute', true, { ExpiresAt: '2024-06-01T00:00:00Z', GrantedBy: 'admin', Reason: 'Event week' }),
+        ],
+        InheritedGroups: ['trainee'],
+        Metadata: {},
+      },
+      trainee: {
+        Name: 'trainee',
+        DisplayName: 'Trainee',
+        Description: 'Helpers in training',
+        Priority: 50,
+        Permissions: [permission('basic.report')],
+        InheritedGroups: ['helper', 'default'],
+        Metadata: {},
+      },
+    },
+    Users: {
+      '76561198000000001@steam': user('76561198000000001@steam', 'Alice', ['admin'], [
+        permission('admin.ban', false, { GrantedBy: 'owner', Reason: 'Bans go through the owner' }),
+      ]),
+      '76561198000000002@steam': user('76561198000000002@steam', 'Bob', ['helper', 'moderator'], [
+        permission('admin.noclip', true, { ExpiresAt: '2030-01-01T00:00:00Z', GrantedBy: 'Alice', Reason: 'Map testing' }),
+      ]),
+      '76561198000000003@steam': user('76561198000000003@steam', 'Carol', ['Moderator', 'vip']),
+    },
+    LastSaved: '2024-12-01T12:00:00Z',
+  },
+};
@@ -0,0 +1,45 @@
+import { isExpired } from '@/lib/permissions/data.js';
+
+// Time-limited grants (permissions with an ExpiresAt) and what
+// CleanupExpiredPermissionsAsync does with them. Entries carry their owner, keyed like the
+// service keys groups (lowercased name) and users (id).
+
+const grantsOf = (kind, key, name, permissions) =>
+  permissions
+    .filter((permission) => permission.expiresAt)
+    .map((permission) => ({ owner: { kind, key, name }, permission }));
+
+// Every time-limited grant of the groups and of the users' direct permissions, soonest first
+export const getTimeLimitedGrants = (data) =>
+  [
+    ...[...data.groups].flatMap(([key, group]) => grantsOf('group', key, group.name, group.permissions)),
+    ...[...data.users].flatMap(([key, user]) => grantsOf('user', key, user.username, user.directPermissions)),
+  ].sort((a, b) => a.permission.expiresAt - b.permission.expiresAt);
+
+// CleanupExpiredPermissionsAsync run at `now`: every expired entry is removed, users that
+// lost one get LastUpdated set to `now`, and cleaned users and groups are counted like
+// its log line. `data` is the data set after the cleanup.
+export const simulateCleanup = (data, now) => {
+  const removed = getTimeLimitedGrants(data).filter(({ permission }) => isExpired(permission, now));
+  const cleanedKeys = (kind) => new Set(removed.filter(({ owner }) => owner.kind === kind).map(({ owner }) => owner.key));
+  const cleanedGroups = cleanedKeys('group');
+  const cleanedUsers = cleanedKeys('user');
+  const keep = (permissions) => permissions.filter((permission) => !isExpired(permission, now));
+
+  return {
+    removed,
+    cleanedGroups: cleanedGroups.size,
+    cleanedUsers: cleanedUsers.size,
+    data: {
+      groups: new Map(
+        [...data.groups].map(([key, group]) => [key, cleanedGroups.has(key) ? { ...group, permissions: keep(group.permissions) } : group]),
+      ),
+      users: new Map(
+        [...data.users].map(([key, user]) => [
+          key,
+          cleanedUsers.has(key) ? { ...user, directPermissions: keep(user.directPermissions), lastUpdated: now } : user,
+        ]),
+      ),
+    },
+  };
+};
@@ -0,0 +1,177 @@
+import { getGroup } from '@/lib/permissions/data.js';
+
+// Inheritance graph of a permission data set: one node per group keyed like the service
+// keys them, edges from a group to each group it inherits, plus the diagnostics the
+// service never reports (it skips missing groups and stops at revisited ones silently).
+
+const missingId = (name) => `missing:${name.toLowerCase()}`;
+
+// Tarjan's strongly connected components over group keys
+const findComponents = (keys, successors) => {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const connect = (key) => {
+    index.set(key, counter);
+    lowLink.set(key, counter);
+    counter += 1;
+    stack.push(key);
+    onStack.add(key);
+
+    for (const next of successors(key)) {
+      if (!index.has(next)) {
+        connect(next);
+        lowLink.set(key, Math.min(lowLink.get(key), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(key, Math.min(lowLink.get(key), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(key) === index.get(key)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== key);
+      components.push(component);
+    }
+  };
+
+  keys.forEach((key) => index.has(key) || connect(key));
+  return components;
+};
+
+// Shortest loop through a component, e.g. ['helper', 'trainee', 'helper']
+const traceCycle = (component, successors) => {
+  const members = new Set(component);
+  const start = component[component.length - 1];
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const next of successors(current).filter((key) => members.has(key))) {
+      if (next === start) {
+        const path = [start];
+        for (let key = current; key !== start; key = previous.get(key)) path.splice(1, 0, key);
+        return [...path, start];
+      }
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    }
+  }
+  return [start, start];
+};
+
+export const analyzeGroupGraph = (data) => {
+  const keys = [...data.groups.keys()];
+  const edges = [];
+  const missing = new Map();
+
+  for (const [key, group] of data.groups) {
+    for (const name of group.inheritedGroups) {
+      const inherited = getGroup(data, name);
+      const target = inherited ? name.toLowerCase() : missingId(name);
+      if (!inherited) missing.set(target, { id: target, name });
+      edges.push({ from: key, to: target, name, isMissing: !inherited, isCycle: false });
+    }
+  }
+
+  const successors = (key) => edges.filter((edge) => edge.from === key && !edge.isMissing).map((edge) => edge.to);
+  const components = findComponents(keys, successors);
+  const componentOf = new Map(components.flatMap((component, index) => component.map((key) => [key, index])));
+
+  const cyclic = components.filter(
+    (component) => component.length > 1 || successors(component[0]).includes(component[0]),
+  );
+  const cyclicKeys = new Set(cyclic.flat());
+  for (const edge of edges) {
+    edge.isCycle = cyclicKeys.has(edge.from) && componentOf.get(edge.from) === componentOf.get(edge.to);
+  }
+
+  // Unknown users are put in `default`, so it is always in use
+  const usedByUsers = new Set(
+    [...data.users.values()].flatMap((user) => user.groups.map((name) => name.toLowerCase())),
+  );
+  const inherited = new Set(edges.filter((edge) => !edge.isMissing && edge.from !== edge.to).map((edge) => edge.to));
+  const orphans = keys.filter((key) => key !== 'default' && !usedByUsers.has(key) && !inherited.has(key));
+
+  // Priority plays no part in resolution, but inheriting a group that outranks the
+  // inheriting one is usually an inverted hierarchy
+  const priorityInversions = edges
+    .filter((edge) => !edge.isMissing && edge.from !== edge.to)
+    .filter((edge) => data.groups.get(edge.to).priority > data.groups.get(edge.from).priority)
+    .map((edge) => ({ from: edge.from, to: edge.to }));
+
+  return {
+    keys,
+    edges,
+    missing: [...missing.values()],
+    cycles: cyclic.map((component) => traceCycle(component, successors)),
+    orphans,
+    priorityInversions,
+    missingReferences: edges.filter((edge) => edge.isMissing).map((edge) => ({ from: edge.from, name: edge.name })),
+    usersByGroup: (key) => [...data.users.values()].filter((user) => user.groups.some((name) => name.toLowerCase() === key)),
+    inheritedBy: (key) => edges.filter((edge) => edge.to === key && !edge.isMissing).map((edge) => edge.from),
+  };
+};
+
+export const NODE_WIDTH = 168;
+export const NODE_HEIGHT = 56;
+const COLUMN_GAP = 40;
+const ROW_GAP = 72;
+
+// Layered layout: groups nobody inherits on top, every group below all the groups that
+// inherit it. Edges inside a cycle are ignored for layering. Missing groups sit one layer
+// below the group referencing them. Within a layer, higher priority comes first.
+export const layoutGroupGraph = (data, graph) => {
+  const layered = graph.edges.filter((edge) => !edge.isMissing && !edge.isCycle);
+  const layers = new Map(graph.keys.map((key) => [key, 0]));
+
+  // Longest path from a root, relaxed until stable; the graph is acyclic without cycle edges
+  for (let pass = 0; pass < graph.keys.length; pass += 1) {
+    let changed = false;
+    for (const edge of layered) {
+      if (layers.get(edge.to) < layers.get(edge.from) + 1) {
+        layers.set(edge.to, layers.get(edge.from) + 1);
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+  for (const node of graph.missing) {
+    const referrers = graph.edges.filter((edge) => edge.to === node.id).map((edge) => layers.get(edge.from));
+    layers.set(node.id, Math.max(...referrers) + 1);
+  }
+
+  const priority = (id) => data.groups.get(id)?.priority ?? -Infinity;
+  const rows = [];
+  for (const [id, layer] of layers) (rows[layer] ??= []).push(id);
+  rows.forEach((row) => row.sort((a, b) => priority(b) - priority(a) || a.localeCompare(b)));
+
+  const width = Math.max(...rows.map((row) => row.length)) * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+  const positions = new Map();
+  rows.forEach((row, layer) => {
+    const offset = (width - (row.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP)) / 2;
+    row.forEach((id, column) => {
+      positions.set(id, { x: offset + column * (NODE_WIDTH + COLUMN_GAP), y: layer * (NODE_HEIGHT + ROW_GAP) });
+    });
+  });
+
+  return { positions, width, height: rows.length * (NODE_HEIGHT + ROW_GAP) - ROW_GAP };
+};
+
+// Priority color on a blue (lowest) to red (highest) ramp, by rank among the priorities in use
+export const priorityColor = (data, priority) => {
+  const priorities = [...new Set([...data.groups.values()].map((group) => group.priority))].sort((a, b) => a - b);
+  const rank = priorities.length > 1 ? priorities.indexOf(priority) / (priorities.length - 1) : 0;
+  return `hsl(${Math.round(220 - rank * 220)} 70% 50%)`;
+};
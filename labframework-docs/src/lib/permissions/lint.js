@@ -0,0 +1,153 @@
+import { formatUtc, getGroup, isExpired } from '@/lib/permissions/data.js';
+import { WILDCARD, checkGroupPermission, collectGroupPermissions } from '@/lib/permissions/resolver.js';
+
+// Configuration linter for permission data sets: entries the service ignores, shadows or
+// silently overrides, and references to groups and nodes nobody knows. Every finding
+// carries a fix the permission editor applies to the form in one click:
+//   { type: 'removePermission', owner, index }
+//   { type: 'replaceNode', owner, index, node }
+//   { type: 'addPermission', owner, node }
+//   { type: 'removeUserGroup', owner, group }
+// Owners are keyed like the service keys them (group name, user id) and `index` is the
+// position of the entry in the group's Permissions or the user's DirectPermissions.
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const ownersOf = (data) => [
+  ...[...data.groups].map(([key, group]) => ({ owner: { kind: 'group', key, name: group.name }, permissions: group.permissions })),
+  ...[...data.users].map(([key, user]) => ({ owner: { kind: 'user', key, name: user.username }, permissions: user.directPermissions })),
+];
+
+// Expires at the same time as `permission` or later, null meaning never
+const outlives = (other, permission) =>
+  other.expiresAt === null || (permission.expiresAt !== null && other.expiresAt >= permission.expiresAt);
+
+// Entries after the first with the same node. FirstOrDefault only reaches them once every
+// earlier entry has expired; AddPermission never writes them.
+const duplicateNodes = ({ owner, permissions }) =>
+  permissions.flatMap((permission, index) =>
+    permission.node.trim() && permissions.findIndex((other) => other.node === permission.node) < index
+      ? [{ rule: 'duplicateNode', severity: 'warning', owner, index, params: { node: permission.node }, fix: { type: 'removePermission', owner, index } }]
+      : [],
+  );
+
+// Entries IsValid rejects, waiting for CleanupExpiredPermissionsAsync
+const expiredEntries = ({ owner, permissions }, now) =>
+  permissions.flatMap((permission, index) =>
+    isExpired(permission, now)
+      ? [
+          {
+            rule: 'expired',
+            severity: 'warning',
+            owner,
+            index,
+            params: { node: permission.node, date: formatUtc(permission.expiresAt) },
+            fix: { type: 'removePermission', owner, index },
+          },
+        ]
+      : [],
+  );
+
+// Grants the `*` of the same list already gives for at least as long. The node is looked
+// up before the wildcard, so removing the grant changes nothing.
+const wildcardShadows = ({ owner, permissions }, now) => {
+  const valid = permissions.filter((permission) => !isExpired(permission, now));
+  const wildcard = valid.find((permission) => permission.node === WILDCARD);
+  if (!wildcard?.value) return [];
+
+  return permissions.flatMap((permission, index) =>
+    permission.value && permission.node !== WILDCARD && !isExpired(permission, now) && outlives(wildcard, permission)
+      ? [{ rule: 'wildcardShadow', severity: 'info', owner, index, params: { node: permission.node }, fix: { type: 'removePermission', owner, index } }]
+      : [],
+  );
+};
+
+// Nodes a group collects from the groups it inherits (what GetUserPermissionsAsync lists
+// for its members) that HasPermissionAsync refuses, because a group in between denies the
+// node or `*` and ends the branch before the grant is reached
+const inheritedOverrides = (data, key, group, now) => {
+  const owner = { kind: 'group', key, name: group.name };
+
+  return collectGroupPermissions(data, group, { now })
+    .filter((entry) => entry.group !== group)
+    .flatMap(({ node, group: source }) => {
+      const result = checkGroupPermission(data, group, node, { now });
+      if (!result || result.granted || result.group === group) return [];
+      return [
+        {
+          rule: 'inheritedOverride',
+          severity: 'warning',
+          owner,
+          params: { node, source: source.name, denier: result.group.name, entry: result.permission.node },
+          fix: { type: 'addPermission', owner, node },
+        },
+      ];
+    });
+};
+
+// Groups GetGroupAsync cannot find; the service skips them without a word
+const missingGroups = (data, key, user) => {
+  const owner = { kind: 'user', key, name: user.username };
+
+  return user.groups
+    .filter((name) => !getGroup(data, name))
+    .map((name) => ({ rule: 'missingGroup', severity: 'error', owner, params: { group: name }, fix: { type: 'removeUserGroup', owner, group: name } }));
+};
+
+// Levenshtein distance, for suggesting the known node an unknown one was probably meant to be
+const distance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const MAX_TYPO_DISTANCE = 2;
+
+const closestNode = (node, knownNodes) =>
+  [...knownNodes]
+    .map((known) => ({ known, distance: distance(node, known) }))
+    .filter((candidate) => candidate.distance <= MAX_TYPO_DISTANCE)
+    .sort((a, b) => a.distance - b.distance || a.known.localeCompare(b.known))[0]?.known ?? null;
+
+// Nodes no command requires and no code checks or grants. The fix renames a likely typo to
+// the closest known node, or removes the entry.
+const unknownNodes = ({ owner, permissions }, knownNodes) =>
+  permissions.flatMap((permission, index) => {
+    const { node } = permission;
+    if (!node.trim() || node === WILDCARD || knownNodes.has(node)) return [];
+    const suggestion = closestNode(node, knownNodes);
+    return [
+      {
+        rule: 'unknownNode',
+        severity: 'info',
+        owner,
+        index,
+        params: { node },
+        fix: suggestion ? { type: 'replaceNode', owner, index, node: suggestion } : { type: 'removePermission', owner, index },
+      },
+    ];
+  });
+
+// Every finding as { id, rule, severity, owner, index?, params, fix }, errors first. Nodes
+// are only checked against a registry when `knownNodes` (a Set) is given.
+export const lintPermissionData = (data, { now = new Date(), knownNodes = null } = {}) => {
+  const owners = ownersOf(data);
+  const findings = [
+    ...owners.flatMap((owner) => duplicateNodes(owner)),
+    ...owners.flatMap((owner) => expiredEntries(owner, now)),
+    ...owners.flatMap((owner) => wildcardShadows(owner, now)),
+    ...[...data.groups].flatMap(([key, group]) => inheritedOverrides(data, key, group, now)),
+    ...[...data.users].flatMap(([key, user]) => missingGroups(data, key, user)),
+    ...(knownNodes ? owners.flatMap((owner) => unknownNodes(owner, knownNodes)) : []),
+  ];
+
+  return findings
+    .map((finding, position) => ({ id: `${finding.rule}:${finding.owner.kind}:${finding.owner.key}:${position}`, ...finding }))
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+};
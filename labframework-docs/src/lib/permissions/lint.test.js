@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import { parsePermissionData } from '@/lib/permissions/data.js';
+import { lintPermissionData } from '@/lib/permissions/lint.js';
+
+const now = new Date('2025-01-01T00:00:00Z');
+
+const permissionData = ({ groups = {}, users = {} }) =>
+  parsePermissionData({
+    Groups: Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, { Name: name, ...group }])),
+    Users: Object.fromEntries(Object.entries(users).map(([userId, user]) => [userId, { UserId: userId, ...user }])),
+  });
+
+const lint = (data, options) => lintPermissionData(data, { now, ...options });
+
+const findingsOf = (findings, rule) => findings.filter((finding) => finding.rule === rule);
+
+describe('lintPermissionData', () => {
+  it('finds nothing in a clean data set', () => {
+    const data = permissionData({
+      groups: { default: { Permissions: [{ Node: 'basic.chat' }] } },
+      users: { alice: { Groups: ['default'] } },
+    });
+
+    expect(lint(data, { knownNodes: new Set(['basic.chat']) })).toEqual([]);
+  });
+
+  it('removes entries after the first with the same node', () => {
+    const data = permissionData({
+      groups: { default: { Permissions: [{ Node: 'basic.chat' }, { Node: 'basic.move' }, { Node: 'basic.chat', Value: false }] } },
+    });
+
+    const [finding] = findingsOf(lint(data), 'duplicateNode');
+    expect(finding).toMatchObject({ severity: 'warning', index: 2, params: { node: 'basic.chat' } });
+    expect(finding.fix).toEqual({ type: 'removePermission', owner: { kind: 'group', key: 'default', name: 'default' }, index: 2 });
+  });
+
+  it('removes expired entries', () => {
+    const data = permissionData({
+      users: { alice: { DirectPermissions: [{ Node: 'admin.kick', ExpiresAt: '2024-06-01T12:30:00Z' }] } },
+    });
+
+    const [finding] = findingsOf(lint(data), 'expired');
+    expect(finding.params).toEqual({ node: 'admin.kick', date: '2024-06-01 12:30 UTC' });
+    expect(finding.fix).toMatchObject({ type: 'removePermission', owner: { kind: 'user', key: 'alice' }, index: 0 });
+  });
+
+  it('flags grants a lasting wildcard already gives, but not longer ones', () => {
+    const data = permissionData({
+      groups: {
+        admin: {
+          Permissions: [
+            { Node: '*', ExpiresAt: '2025-06-01T00:00:00Z' },
+            { Node: 'admin.kick', ExpiresAt: '2025-03-01T00:00:00Z' },
+            { Node: 'admin.ban' },
+            { Node: 'admin.mute', Value: false },
+          ],
+        },
+      },
+    });
+
+    const findings = findingsOf(lint(data), 'wildcardShadow');
+    expect(findings.map((finding) => finding.params.node)).toEqual(['admin.kick']);
+    expect(findings[0]).toMatchObject({ severity: 'info', fix: { type: 'removePermission', index: 1 } });
+  });
+
+  it('flags inherited grants a group in between denies', () => {
+    const data = permissionData({
+      groups: {
+        moderator: { InheritedGroups: ['restricted'] },
+        restricted: { Permissions: [{ Node: 'admin.kick', Value: false }], InheritedGroups: ['default'] },
+        default: { Permissions: [{ Node: 'admin.kick' }] },
+      },
+    });
+
+    const findings = findingsOf(lint(data), 'inheritedOverride');
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({
+      owner: { kind: 'group', key: 'moderator' },
+      params: { node: 'admin.kick', source: 'default', denier: 'restricted', entry: 'admin.kick' },
+      fix: { type: 'addPermission', owner: { key: 'moderator' }, node: 'admin.kick' },
+    });
+  });
+
+  it('removes user groups that do not exist, errors first', () => {
+    const data = permissionData({
+      groups: { default: { Permissions: [{ Node: 'basic.chat' }, { Node: 'basic.chat' }] } },
+      users: { alice: { Groups: ['default', 'ghost'] } },
+    });
+
+    const findings = lint(data);
+    expect(findings[0]).toMatchObject({
+      rule: 'missingGroup',
+      severity: 'error',
+      params: { group: 'ghost' },
+      fix: { type: 'removeUserGroup', owner: { kind: 'user', key: 'alice' }, group: 'ghost' },
+    });
+    expect(findings.map((finding) => finding.severity)).toEqual(['error', 'warning']);
+  });
+
+  it('renames likely typos of known nodes and removes other unknown nodes', () => {
+    const data = permissionData({
+      groups: { moderator: { Permissions: [{ Node: 'admin.kik' }, { Node: 'fly.enable' }, { Node: '*' }] } },
+    });
+
+    const findings = findingsOf(lint(data, { knownNodes: new Set(['admin.kick', 'admin.ban']) }), 'unknownNode');
+    expect(findings.map((finding) => finding.fix)).toEqual([
+      { type: 'replaceNode', owner: { kind: 'group', key: 'moderator', name: 'moderator' }, index: 0, node: 'admin.kick' },
+      { type: 'removePermission', owner: { kind: 'group', key: 'moderator', name: 'moderator' }, index: 1 },
+    ]);
+  });
+
+  it('checks nodes only against a given registry', () => {
+    const data = permissionData({ groups: { default: { Permissions: [{ Node: 'fly.enable' }] } } });
+
+    expect(findingsOf(lint(data), 'unknownNode')).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+import { escapeHtml } from '@/lib/head.js';
+import { toCsv } from '@/lib/csv.js';
+import { formatUtc, getGroup, isExpired } from '@/lib/permissions/data.js';
+import { WILDCARD, resolvePermission } from '@/lib/permissions/resolver.js';
+
+// Users × nodes report of effective permissions, as GetUserPermissionsAsync(userId,
+// includeGroupPermissions: true) collects them, with where each node comes from.
+
+// The node set of one user: valid grants among the direct permissions, then for each of
+// the user's groups the valid grants of the group and, depth first, of the groups it
+// inherits, with a fresh visited set per user group. Denials are not subtracted and `*` is
+// collected as a node like any other. Every source of a node is kept, e.g.
+//   'admin.kick' => [{ type: 'group', group: 'moderator' }, { type: 'inherited', group: 'moderator', via: 'helper' }]
+export const getEffectivePermissions = (data, user, { now = new Date() } = {}) => {
+  const nodes = new Map();
+  const add = (node, source) => nodes.set(node, [...(nodes.get(node) ?? []), source]);
+  const granted = (permissions) => permissions.filter((permission) => permission.value && !isExpired(permission, now));
+
+  granted(user.directPermissions).forEach((permission) => add(permission.node, { type: 'direct' }));
+
+  for (const name of user.groups) {
+    const group = getGroup(data, name);
+    if (!group) continue;
+    const visited = new Set();
+    const collect = (current) => {
+      if (visited.has(current.name)) return;
+      visited.add(current.name);
+      const source = current === group ? { type: 'group', group: group.name } : { type: 'inherited', group: current.name, via: group.name };
+      granted(current.permissions).forEach((permission) => add(permission.node, source));
+      for (const inheritedName of current.inheritedGroups) {
+        const inherited = getGroup(data, inheritedName);
+        if (inherited) collect(inherited);
+      }
+    };
+    collect(group);
+  }
+  return nodes;
+};
+
+// Rows for the users of `group` (direct membership, like IsUserInGroupAsync), or all users,
+// and a column for each node some of them hold that starts with `prefix`. A user holding
+// `*` gets a wildcard source on the other columns where HasPermissionAsync falls back to
+// it, so an explicit denial still shows as not held.
+export const buildPermissionMatrix = (data, { now = new Date(), group = '', prefix = '' } = {}) => {
+  const groupKey = group.toLowerCase();
+  const users = [...data.users.values()].filter(
+    (user) => !groupKey || user.groups.some((name) => name.toLowerCase() === groupKey),
+  );
+  const held = users.map((user) => ({ user, permissions: getEffectivePermissions(data, user, { now }) }));
+  const nodes = [...new Set(held.flatMap(({ permissions }) => [...permissions.keys()]))]
+    .filter((node) => node.startsWith(prefix))
+    .sort();
+
+  const cell = (user, permissions, node) => {
+    if (permissions.has(node)) return permissions.get(node);
+    if (permissions.has(WILDCARD) && resolvePermission(data, user.userId, node, { now }).granted) return [{ type: 'wildcard' }];
+    return [];
+  };
+
+  return {
+    now,
+    nodes,
+    rows: held.map(({ user, permissions }) => ({ user, cells: nodes.map((node) => cell(user, permissions, node)) })),
+  };
+};
+
+export const describeSource = (t, source) => t(`tools.permissionMatrix.sources.${source.type}`, source);
+
+const describeCell = (t, sources) => sources.map((source) => describeSource(t, source)).join('; ');
+
+export const matrixToCsv = (matrix, t) =>
+  toCsv([
+    [t('tools.permissionMatrix.userId'), t('tools.permissionMatrix.username'), t('tools.permissionMatrix.groups'), ...matrix.nodes],
+    ...matrix.rows.map(({ user, cells }) => [
+      user.userId,
+      user.username,
+      user.groups.join(' '),
+      ...cells.map((sources) => describeCell(t, sources)),
+    ]),
+  ]);
+
+const SOURCE_MARKS = { direct: 'D', group: 'G', inherited: 'I', wildcard: '*' };
+
+// Standalone page for printing or archiving: node columns with a mark per source type and
+// the full sources in each cell's title
+export const matrixToHtml = (matrix, t, { locale, dir, filters }) => {
+  const title = t('tools.permissionMatrix.title');
+  const head = matrix.nodes.map((node) => `<th class="node"><span>${escapeHtml(node)}</span></th>`).join('');
+  const body = matrix.rows
+    .map(({ user, cells }) => {
+      const marks = cells
+        .map((sources) => {
+          const mark = [...new Set(sources.map((source) => SOURCE_MARKS[source.type]))].join(' ');
+          return `<td title="${escapeHtml(describeCell(t, sources))}">${mark}</td>`;
+        })
+        .join('');
+      return `<tr><th>${escapeHtml(user.username)}<small>${escapeHtml(user.userId)}</small></th>${marks}</tr>`;
+    })
+    .join('\n');
+  const legend = Object.entries(SOURCE_MARKS)
+    .map(([type, mark]) => `<li><b>${mark}</b> ${escapeHtml(t(`tools.permissionMatrix.legend.${type}`))}</li>`)
+    .join('');
+
+  return `<!doctype html>
+<html lang="${locale}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: landscape; margin: 12mm; }
+  body { font: 12px system-ui, sans-serif; color: #111; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; }
+  td { text-align: center; font-family: ui-monospace, monospace; }
+  th { text-align: start; white-space: nowrap; }
+  th small { display: block; color: #666; font-weight: normal; font-family: ui-monospace, monospace; }
+  th.node { vertical-align: bottom; }
+  th.node span { writing-mode: vertical-rl; transform: rotate(180deg); font-family: ui-monospace, monospace; }
+  ul { list-style: none; padding: 0; display: flex; gap: 16px; }
+  p { color: #444; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(t('tools.permissionMatrix.reportInfo', { date: formatUtc(matrix.now), ...filters }))}</p>
+<ul>${legend}</ul>
+<table>
+<thead><tr><th>${escapeHtml(t('tools.permissionMatrix.user'))}</th>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
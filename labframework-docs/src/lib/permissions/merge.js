@@ -0,0 +1,179 @@
+// Semantic diff and three-way merge of permission data sets. Groups and users are split
+// into fields (display name, priority, inherited groups, user groups, metadata, and one
+// field per permission node) and merged field by field: a field changed on one side only
+// takes that change, the same change on both sides is taken once, and different changes
+// are conflicts to resolve. Without a base snapshot the base is empty, so the merge is the
+// union of both sides and every field they disagree on is a conflict.
+
+export const SIDES = ['base', 'ours', 'theirs'];
+
+export const PERMISSION_FIELD = 'permission:';
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const permissionFields = (permissions) =>
+  permissions.map((permission) => [`${PERMISSION_FIELD}${permission.node}`, permission]);
+
+const permissionsOf = (fields) =>
+  [...fields].filter(([field]) => field.startsWith(PERMISSION_FIELD)).map(([, permission]) => permission);
+
+const latest = (...dates) => dates.filter(Boolean).sort((a, b) => b - a)[0] ?? null;
+
+const ENTITY_KINDS = {
+  group: {
+    collection: 'groups',
+    name: (group) => group.name,
+    fields: (group) =>
+      new Map([
+        ['displayName', group.displayName],
+        ['description', group.description],
+        ['priority', group.priority],
+        ['inheritedGroups', group.inheritedGroups],
+        ['metadata', group.metadata],
+        ...permissionFields(group.permissions),
+      ]),
+    build: (fields, versions) => ({
+      name: versions.ours.name,
+      displayName: fields.get('displayName'),
+      description: fields.get('description'),
+      priority: fields.get('priority'),
+      permissions: permissionsOf(fields),
+      inheritedGroups: fields.get('inheritedGroups'),
+      metadata: fields.get('metadata'),
+    }),
+  },
+  user: {
+    collection: 'users',
+    name: (user) => user.username,
+    fields: (user) =>
+      new Map([
+        ['username', user.username],
+        ['groups', user.groups],
+        ['metadata', user.metadata],
+        ...permissionFields(user.directPermissions),
+      ]),
+    build: (fields, versions) => ({
+      userId: versions.ours.userId,
+      username: fields.get('username'),
+      groups: fields.get('groups'),
+      directPermissions: permissionsOf(fields),
+      lastUpdated: latest(versions.ours.lastUpdated, versions.theirs.lastUpdated),
+      metadata: fields.get('metadata'),
+    }),
+  },
+};
+
+// 'unchanged', 'ours' or 'theirs' (changed on that side only), 'both' (same change on
+// both sides) or 'conflict'. `value` is the merged value, undefined for an absent field.
+const mergeField = (base, ours, theirs, hasBase) => {
+  if (same(ours, theirs)) return { status: hasBase && !same(base, ours) ? 'both' : 'unchanged', value: ours };
+  if (same(base, ours)) return { status: 'theirs', value: theirs };
+  if (same(base, theirs)) return { status: 'ours', value: ours };
+  return { status: 'conflict', value: undefined };
+};
+
+// One group or user out of its versions. `fields` are the rows that differ somewhere,
+// `resolve(resolutions)` builds the merged entity, null when it ends up removed. An entity
+// removed on one side and modified on the other is a conflict as a whole.
+const mergeEntity = (kind, key, versions, hasBase) => {
+  const { fields: fieldsOf, build, name } = ENTITY_KINDS[kind];
+  const id = `${kind}:${key}`;
+  const [base, ours, theirs] = SIDES.map((side) => versions[side] && fieldsOf(versions[side]));
+  const row = (field, merged) => ({
+    id: `${id}|${field}`,
+    field,
+    base: base?.get(field),
+    ours: ours?.get(field),
+    theirs: theirs?.get(field),
+    ...merged,
+  });
+  const entity = {
+    id,
+    kind,
+    key,
+    name: name(versions.ours ?? versions.theirs ?? versions.base),
+    present: Object.fromEntries(SIDES.map((side) => [side, Boolean(versions[side])])),
+    conflict: false,
+    fields: [],
+  };
+
+  if (ours && theirs) {
+    const names = new Set([...(base?.keys() ?? []), ...ours.keys(), ...theirs.keys()]);
+    entity.fields = [...names]
+      .map((field) => row(field, mergeField(base?.get(field), ours.get(field), theirs.get(field), hasBase)))
+      .filter((field) => field.status !== 'unchanged');
+    entity.resolve = (resolutions) => {
+      const merged = new Map(ours);
+      for (const field of entity.fields) {
+        const value = field.status === 'conflict' ? field[resolutions[field.id]] : field.value;
+        if (value === undefined) merged.delete(field.field);
+        else merged.set(field.field, value);
+      }
+      return build(merged, versions);
+    };
+    return entity;
+  }
+
+  // Removed on both sides
+  if (!ours && !theirs) {
+    entity.resolve = () => null;
+    return entity;
+  }
+
+  // Present on one side only: added there, or removed on the other side
+  const side = ours ? 'ours' : 'theirs';
+  const present = ours ?? theirs;
+  const changed = [...present].filter(([field, value]) => !same(base?.get(field), value));
+  entity.fields = changed.map(([field, value]) => row(field, { status: side, value }));
+  if (!base) {
+    entity.resolve = () => versions[side];
+  } else if (changed.length === 0) {
+    entity.resolve = () => null;
+  } else {
+    entity.conflict = true;
+    entity.resolve = (resolutions) => (resolutions[id] === side ? versions[side] : null);
+  }
+  return entity;
+};
+
+// Merge of `ours` and `theirs` against `base` (null for a two-way merge). Lists the groups
+// and users that differ anywhere and the ids of the conflicts: an entity id for a
+// removed/modified conflict, `<entity id>|<field>` for a field conflict.
+export const mergePermissionData = (base, ours, theirs) => {
+  const hasBase = base !== null;
+  const snapshots = { base, ours, theirs };
+  const entities = [];
+
+  for (const [kind, { collection }] of Object.entries(ENTITY_KINDS)) {
+    const keys = new Set(SIDES.flatMap((side) => [...(snapshots[side]?.[collection].keys() ?? [])]));
+    for (const key of keys) {
+      const versions = Object.fromEntries(SIDES.map((side) => [side, snapshots[side]?.[collection].get(key)]));
+      const entity = mergeEntity(kind, key, versions, hasBase);
+      const removed = !entity.present.ours || !entity.present.theirs;
+      if (entity.fields.length > 0 || entity.conflict || removed) entities.push(entity);
+    }
+  }
+
+  const conflicts = entities.flatMap((entity) =>
+    entity.conflict ? [entity.id] : entity.fields.filter((field) => field.status === 'conflict').map((field) => field.id),
+  );
+  return { hasBase, ours, entities, conflicts };
+};
+
+// The merged data set, with each conflict id resolved to 'ours' or 'theirs'
+export const buildMergedData = (merge, resolutions) => {
+  const merged = { groups: new Map(merge.ours.groups), users: new Map(merge.ours.users) };
+  for (const entity of merge.entities) {
+    const collection = merged[ENTITY_KINDS[entity.kind].collection];
+    const value = entity.resolve(resolutions);
+    if (value) collection.set(entity.key, value);
+    else collection.delete(entity.key);
+  }
+  return merged;
+};
+
+// Groups added to and removed from a list, e.g. a user moved from helper to moderator
+export const describeListChange = (before = [], after = []) => ({
+  added: after.filter((name) => !before.includes(name)),
+  removed: before.filter((name) => !after.includes(name)),
+});
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { parsePermissionData } from '@/lib/permissions/data.js';
+import { buildMergedData, describeListChange, mergePermissionData } from '@/lib/permissions/merge.js';
+
+const permissionData = ({ groups = {}, users = {} }) =>
+  parsePermissionData({
+    Groups: Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, { Name: name, ...group }])),
+    Users: Object.fromEntries(Object.entries(users).map(([userId, user]) => [userId, { UserId: userId, ...user }])),
+  });
+
+const moderator = (changes = {}) => ({
+  moderator: { DisplayName: 'Moderator', Priority: 10, Permissions: [{ Node: 'admin.kick' }], ...changes },
+});
+
+describe('mergePermissionData', () => {
+  it('takes a change made on one side only', () => {
+    const base = permissionData({ groups: moderator() });
+    const ours = permissionData({ groups: moderator({ Priority: 20 }) });
+    const theirs = permissionData({ groups: moderator({ DisplayName: 'Mods' }) });
+
+    const merge = mergePermissionData(base, ours, theirs);
+    expect(merge.conflicts).toEqual([]);
+    expect(merge.entities[0].fields.map(({ field, status }) => [field, status])).toEqual([
+      ['displayName', 'theirs'],
+      ['priority', 'ours'],
+    ]);
+    expect(buildMergedData(merge, {}).groups.get('moderator')).toMatchObject({ displayName: 'Mods', priority: 20 });
+  });
+
+  it('takes the same change on both sides once', () => {
+    const base = permissionData({ groups: moderator() });
+    const ours = permissionData({ groups: moderator({ Priority: 20 }) });
+    const theirs = permissionData({ groups: moderator({ Priority: 20 }) });
+
+    const merge = mergePermissionData(base, ours, theirs);
+    expect(merge.conflicts).toEqual([]);
+    expect(merge.entities[0].fields).toMatchObject([{ field: 'priority', status: 'both', value: 20 }]);
+  });
+
+  it('reports different changes to a field as a conflict resolved per side', () => {
+    const base = permissionData({ groups: moderator() });
+    const ours = permissionData({ groups: moderator({ Permissions: [{ Node: 'admin.kick', Value: false }] }) });
+    const theirs = permissionData({ groups: moderator({ Permissions: [] }) });
+
+    const merge = mergePermissionData(base, ours, theirs);
+    expect(merge.conflicts).toEqual(['group:moderator|permission:admin.kick']);
+    expect(buildMergedData(merge, { [merge.conflicts[0]]: 'ours' }).groups.get('moderator').permissions).toMatchObject([
+      { node: 'admin.kick', value: false },
+    ]);
+    expect(buildMergedData(merge, { [merge.conflicts[0]]: 'theirs' }).groups.get('moderator').permissions).toEqual([]);
+  });
+
+  it('removes an entity removed on one side and unchanged on the other', () => {
+    const base = permissionData({ groups: moderator() });
+    const ours = permissionData({ groups: moderator() });
+    const theirs = permissionData({});
+
+    const merge = mergePermissionData(base, ours, theirs);
+    expect(merge.conflicts).toEqual([]);
+    expect(buildMergedData(merge, {}).groups.has('moderator')).toBe(false);
+  });
+
+  it('reports an entity removed on one side and modified on the other as a conflict', () => {
+    const base = permissionData({ groups: moderator() });
+    const ours = permissionData({ groups: moderator({ Priority: 20 }) });
+    const theirs = permissionData({});
+
+    const merge = mergePermissionData(base, ours, theirs);
+    expect(merge.conflicts).toEqual(['group:moderator']);
+    expect(buildMergedData(merge, { 'group:moderator': 'ours' }).groups.get('moderator').priority).toBe(20);
+    expect(buildMergedData(merge, { 'group:moderator': 'theirs' }).groups.has('moderator')).toBe(false);
+  });
+
+  it('merges the union of both sides without a base', () => {
+    const ours = permissionData({ users: { alice: { Groups: ['default'] } } });
+    const theirs = permissionData({ users: { bob: { Groups: ['default'] } } });
+
+    const merge = mergePermissionData(null, ours, theirs);
+    expect(merge.hasBase).toBe(false);
+    expect(merge.conflicts).toEqual([]);
+    expect([...buildMergedData(merge, {}).users.keys()]).toEqual(['alice', 'bob']);
+  });
+
+  it('makes every disagreement a conflict without a base', () => {
+    const ours = permissionData({ users: { alice: { Groups: ['helper'] } } });
+    const theirs = permissionData({ users: { alice: { Groups: ['moderator'] } } });
+
+    expect(mergePermissionData(null, ours, theirs).conflicts).toEqual(['user:alice|groups']);
+  });
+
+  it('keeps the later LastUpdated of a merged user', () => {
+    const base = permissionData({ users: { alice: { Groups: ['default'], LastUpdated: '2024-01-01T00:00:00Z' } } });
+    const ours = permissionData({ users: { alice: { Groups: ['helper'], LastUpdated: '2024-03-01T00:00:00Z' } } });
+    const theirs = permissionData({ users: { alice: { Groups: ['default'], LastUpdated: '2024-02-01T00:00:00Z' } } });
+
+    const alice = buildMergedData(mergePermissionData(base, ours, theirs), {}).users.get('alice');
+    expect(alice.groups).toEqual(['helper']);
+    expect(alice.lastUpdated.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+  });
+});
+
+describe('describeListChange', () => {
+  it('lists the added and removed names', () => {
+    expect(describeListChange(['default', 'helper'], ['default', 'moderator'])).toEqual({
+      added: ['moderator'],
+      removed: ['helper'],
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { YAMLError, parse as parseYaml } from 'yaml';
+import { PermissionDataError, createDefaultGroups } from '@/lib/permissions/data.js';
+import { WILDCARD } from '@/lib/permissions/resolver.js';
+
+// Conversion of the game's RemoteAdmin configuration (config_remoteadmin.txt: Members,
+// Roles, the <role>_* settings and Permissions) and EXILED's permissions.yml (groups with
+// `default`, `inheritance` and `permissions`) into a LabFramework data set. RemoteAdmin
+// roles and EXILED groups with the same name become one group, as EXILED keys its groups
+// by RemoteAdmin role. Whatever has no LabFramework equivalent ends up in the report.
+
+export const DEFAULT_REMOTE_ADMIN_PREFIX = 'remoteadmin.';
+
+const DEFAULT_GROUP = 'default';
+
+const ROLE_SETTINGS = {
+  badge: 'badge',
+  color: 'badgeColor',
+  cover: 'cover',
+  hidden: 'hidden',
+  kick_power: 'kickPower',
+  required_kick_power: 'requiredKickPower',
+};
+
+const REMOTE_ADMIN_SECTIONS = ['Members', 'Roles', 'Permissions'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const readYaml = (text, file) => {
+  try {
+    return parseYaml(text) ?? {};
+  } catch (error) {
+    if (!(error instanceof YAMLError)) throw error;
+    throw new PermissionDataError(error.message, file);
+  }
+};
+
+// `- key: value` list items, the shape of Members and Permissions
+const pairs = (value, path) => {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw new PermissionDataError('expected a list', path);
+  return value.flatMap((item, index) => {
+    if (!isObject(item)) throw new PermissionDataError('expected a "key: value" item', `${path}[${index}]`);
+    return Object.entries(item);
+  });
+};
+
+const names = (value) => (Array.isArray(value) ? value : [value]).filter((name) => name != null).map(String);
+
+// { roles: [{ name, badge, badgeColor, ... }], members: [{ userId, role }],
+//   permissions: [{ permission, roles }], ignored: [setting] }
+export const parseRemoteAdminConfig = (text) => {
+  const config = readYaml(text, 'config_remoteadmin.txt');
+  if (!isObject(config)) throw new PermissionDataError('expected a mapping', 'config_remoteadmin.txt');
+  const roleNames = names(config.Roles ?? []);
+  const roleKeys = new Set();
+
+  const roles = roleNames.map((name) => {
+    const role = { name };
+    for (const [setting, property] of Object.entries(ROLE_SETTINGS)) {
+      const key = `${name}_${setting}`;
+      if (key in config) {
+        role[property] = config[key];
+        roleKeys.add(key);
+      }
+    }
+    return role;
+  });
+
+  return {
+    roles,
+    members: pairs(config.Members, 'Members').map(([userId, role]) => ({ userId, role: String(role) })),
+    permissions: pairs(config.Permissions, 'Permissions').map(([permission, value]) => ({ permission, roles: names(value) })),
+    ignored: Object.keys(config).filter((key) => !REMOTE_ADMIN_SECTIONS.includes(key) && !roleKeys.has(key)),
+  };
+};
+
+// [{ name, isDefault, inheritance, permissions }], in file order
+export const parseExiledPermissions = (text) => {
+  const config = readYaml(text, 'permissions.yml');
+  if (!isObject(config)) throw new PermissionDataError('expected a mapping of groups', 'permissions.yml');
+
+  return Object.entries(config).map(([name, group]) => {
+    const source = isObject(group) ? group : {};
+    return {
+      name,
+      isDefault: source.default === true,
+      inheritance: names(source.inheritance ?? []),
+      permissions: names(source.permissions ?? []),
+    };
+  });
+};
+
+const createGroup = (name) => ({
+  name,
+  displayName: name,
+  description: '',
+  priority: 0,
+  permissions: [],
+  inheritedGroups: [],
+  metadata: {},
+});
+
+const createPermission = (node, value, reason) => ({ node, value, expiresAt: null, grantedBy: null, reason });
+
+// AddPermission: a node is only listed once per group
+const addPermission = (group, permission) => {
+  group.permissions = [...group.permissions.filter((entry) => entry.node !== permission.node), permission];
+};
+
+// EXILED nodes: `.*` (everything) becomes the wildcard, a leading `-` a denial. Prefix
+// wildcards such as `exiled.*` have no equivalent, the service only matches exact nodes and `*`.
+const convertExiledNode = (entry) => {
+  const value = !entry.startsWith('-');
+  const node = value ? entry : entry.slice(1);
+  if (node === '.*' || node === WILDCARD) return { node: WILDCARD, value };
+  if (node.endsWith('.*') || /\s/.test(node) || !node) return null;
+  return { node, value };
+};
+
+// The data set and the report: [{ severity: 'warning' | 'info', code, params }].
+// `remoteAdmin` and `exiled` are the parse results above, either may be null.
+export const convertToLabFramework = ({ remoteAdmin = null, exiled = null }, { prefix = DEFAULT_REMOTE_ADMIN_PREFIX } = {}) => {
+  const builtIn = createDefaultGroups();
+  const groups = new Map();
+  const users = new Map();
+  const report = [];
+  const note = (severity, code, params = {}) => report.push({ severity, code, params });
+  const group = (name) => {
+    const key = name.toLowerCase();
+    if (!groups.has(key)) groups.set(key, createGroup(key));
+    return groups.get(key);
+  };
+
+  // Members may be in a role only permissions.yml defines
+  const defined = new Set([
+    ...(remoteAdmin?.roles ?? []).map((role) => role.name.toLowerCase()),
+    ...(exiled ?? []).map((entry) => entry.name.toLowerCase()),
+  ]);
+
+  if (remoteAdmin) {
+    // The badge is the name players see and the kick power orders roles like a priority
+    for (const role of remoteAdmin.roles) {
+      const target = group(role.name);
+      const { name, badge, ...metadata } = role;
+      target.displayName = badge ? String(badge) : name;
+      target.description = `RemoteAdmin role ${name}`;
+      target.priority = Number.isInteger(role.kickPower) ? role.kickPower : 0;
+      target.metadata = metadata;
+    }
+
+    const roleKeys = new Set(remoteAdmin.roles.map((role) => role.name.toLowerCase()));
+    for (const { permission, roles } of remoteAdmin.permissions) {
+      for (const role of roles) {
+        if (!roleKeys.has(role.toLowerCase())) {
+          note('warning', 'unknownRole', { role, permission });
+          continue;
+        }
+        addPermission(group(role), createPermission(`${prefix}${permission}`, true, `RemoteAdmin ${permission}`));
+      }
+    }
+    if (remoteAdmin.permissions.length > 0) note('info', 'remoteAdminPermissions', { count: remoteAdmin.permissions.length, prefix });
+
+    for (const { userId, role } of remoteAdmin.members) {
+      if (!defined.has(role.toLowerCase())) {
+        note('warning', 'unknownMemberRole', { userId, role });
+        continue;
+      }
+      const user = users.get(userId) ?? {
+        userId,
+        username: userId,
+        groups: [],
+        directPermissions: [],
+        lastUpdated: null,
+        metadata: {},
+      };
+      user.groups = [...new Set([...user.groups, role.toLowerCase()])];
+      users.set(userId, user);
+    }
+    if (remoteAdmin.ignored.length > 0) note('info', 'ignoredSettings', { settings: remoteAdmin.ignored.join(', ') });
+  }
+
+  if (exiled) {
+    for (const entry of exiled) {
+      const target = group(entry.name);
+      for (const node of entry.permissions) {
+        const permission = convertExiledNode(node);
+        if (!permission) {
+          note('warning', 'unsupportedNode', { group: entry.name, node });
+          continue;
+        }
+        addPermission(target, createPermission(permission.node, permission.value, null));
+      }
+      for (const name of entry.inheritance) {
+        if (!defined.has(name.toLowerCase())) {
+          note('warning', 'missingInheritance', { group: entry.name, inherited: name });
+          continue;
+        }
+        if (!target.inheritedGroups.includes(name.toLowerCase())) target.inheritedGroups.push(name.toLowerCase());
+      }
+    }
+
+    // EXILED falls back to its default group for players without one; LabFramework puts
+    // unknown users in `default`, which inherits it
+    for (const entry of exiled.filter((candidate) => candidate.isDefault)) {
+      const key = entry.name.toLowerCase();
+      if (key === DEFAULT_GROUP) continue;
+      const fallback = groups.get(DEFAULT_GROUP) ?? builtIn.get(DEFAULT_GROUP);
+      if (!fallback.inheritedGroups.includes(key)) fallback.inheritedGroups.push(key);
+      groups.set(DEFAULT_GROUP, fallback);
+      note('info', 'defaultGroup', { group: entry.name });
+    }
+  }
+
+  // The service creates its built-in groups before loading, so keep those not imported
+  for (const [key, builtInGroup] of builtIn) {
+    if (!groups.has(key)) groups.set(key, builtInGroup);
+    else if (groups.get(key) !== builtInGroup) note('info', 'builtInReplaced', { group: key });
+  }
+
+  return { data: { groups, users }, report };
+};
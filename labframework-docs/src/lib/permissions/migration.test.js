@@ -0,0 +1,154 @@
+import { describe, expect, it } from 'vitest';
+import { PermissionDataError } from '@/lib/permissions/data.js';
+import { convertToLabFramework, parseExiledPermissions, parseRemoteAdminConfig } from '@/lib/permissions/migration.js';
+
+const REMOTE_ADMIN = `
+Members:
+- 76561198000000001@steam: owner
+- 76561198000000002@steam: moderator
+- 76561198000000003@steam: vip
+Roles:
+- owner
+- moderator
+owner_badge: OWNER
+owner_color: red
+owner_kick_power: 255
+moderator_badge: MODERATOR
+moderator_kick_power: 50
+enable_staff_access: true
+Permissions:
+- KickingAndShortTermBanning: [owner, moderator]
+- LongTermBanning: [owner, admin]
+`;
+
+const EXILED = `
+user:
+  default: true
+  permissions:
+  - .*
+  - -exiled.ban
+moderator:
+  inheritance:
+  - user
+  - ghost
+  permissions:
+  - cassie.announce
+  - exiled.*
+vip:
+  permissions:
+  - ses.vip
+`;
+
+const codes = (report) => report.map((entry) => entry.code);
+
+describe('parseRemoteAdminConfig', () => {
+  it('reads roles with their settings, members, permissions and the ignored settings', () => {
+    const config = parseRemoteAdminConfig(REMOTE_ADMIN);
+
+    expect(config.roles).toEqual([
+      { name: 'owner', badge: 'OWNER', badgeColor: 'red', kickPower: 255 },
+      { name: 'moderator', badge: 'MODERATOR', kickPower: 50 },
+    ]);
+    expect(config.members[1]).toEqual({ userId: '76561198000000002@steam', role: 'moderator' });
+    expect(config.permissions[1]).toEqual({ permission: 'LongTermBanning', roles: ['owner', 'admin'] });
+    expect(config.ignored).toEqual(['enable_staff_access']);
+  });
+
+  it('reports YAML and shape errors as PermissionDataError', () => {
+    expect(() => parseRemoteAdminConfig('Members: [')).toThrow(PermissionDataError);
+    expect(() => parseRemoteAdminConfig('Members: owner')).toThrow('Members: expected a list');
+  });
+});
+
+describe('parseExiledPermissions', () => {
+  it('reads groups in file order', () => {
+    expect(parseExiledPermissions(EXILED)[1]).toEqual({
+      name: 'moderator',
+      isDefault: false,
+      inheritance: ['user', 'ghost'],
+      permissions: ['cassie.announce', 'exiled.*'],
+    });
+  });
+});
+
+describe('convertToLabFramework', () => {
+  const convert = (options) =>
+    convertToLabFramework(
+      { remoteAdmin: parseRemoteAdminConfig(REMOTE_ADMIN), exiled: parseExiledPermissions(EXILED) },
+      options,
+    );
+
+  it('maps RemoteAdmin roles to groups with prefixed permission nodes', () => {
+    const { data, report } = convert();
+    const owner = data.groups.get('owner');
+
+    expect(owner).toMatchObject({ displayName: 'OWNER', priority: 255, metadata: { badgeColor: 'red', kickPower: 255 } });
+    expect(owner.permissions.map((permission) => permission.node)).toEqual([
+      'remoteadmin.KickingAndShortTermBanning',
+      'remoteadmin.LongTermBanning',
+    ]);
+    expect(report).toContainEqual({ severity: 'warning', code: 'unknownRole', params: { role: 'admin', permission: 'LongTermBanning' } });
+    expect(report).toContainEqual({ severity: 'info', code: 'ignoredSettings', params: { settings: 'enable_staff_access' } });
+  });
+
+  it('uses the given node prefix', () => {
+    const { data } = convert({ prefix: 'ra.' });
+
+    expect(data.groups.get('moderator').permissions[0].node).toBe('ra.KickingAndShortTermBanning');
+  });
+
+  it('merges a RemoteAdmin role and the EXILED group of the same name', () => {
+    const { data } = convert();
+    const moderator = data.groups.get('moderator');
+
+    expect(moderator.displayName).toBe('MODERATOR');
+    expect(moderator.permissions.map((permission) => permission.node)).toEqual([
+      'remoteadmin.KickingAndShortTermBanning',
+      'cassie.announce',
+    ]);
+    expect(moderator.inheritedGroups).toEqual(['user']);
+  });
+
+  it('converts EXILED wildcards and denials and reports prefix wildcards', () => {
+    const { data, report } = convert();
+
+    expect(data.groups.get('user').permissions).toMatchObject([
+      { node: '*', value: true },
+      { node: 'exiled.ban', value: false },
+    ]);
+    expect(report).toContainEqual({ severity: 'warning', code: 'unsupportedNode', params: { group: 'moderator', node: 'exiled.*' } });
+    expect(report).toContainEqual({ severity: 'warning', code: 'missingInheritance', params: { group: 'moderator', inherited: 'ghost' } });
+  });
+
+  it('adds members to roles either file defines', () => {
+    const { data, report } = convert();
+
+    expect(data.users.get('76561198000000003@steam').groups).toEqual(['vip']);
+    expect(codes(report)).not.toContain('unknownMemberRole');
+  });
+
+  it('makes the built-in default group inherit the EXILED default group', () => {
+    const { data, report } = convert();
+
+    expect(data.groups.get('default').inheritedGroups).toEqual(['user']);
+    expect(data.groups.get('default').permissions.map((permission) => permission.node)).toEqual(['basic.chat', 'basic.move']);
+    expect(report).toContainEqual({ severity: 'info', code: 'defaultGroup', params: { group: 'user' } });
+    expect(report).not.toContainEqual({ severity: 'info', code: 'builtInReplaced', params: { group: 'default' } });
+  });
+
+  it('keeps the built-in groups not imported and reports the replaced ones', () => {
+    const { data, report } = convertToLabFramework({ exiled: parseExiledPermissions('admin:\n  permissions:\n  - cassie.announce\n') });
+
+    expect([...data.groups.keys()].sort()).toEqual(['admin', 'default', 'moderator']);
+    expect(data.groups.get('admin').permissions.map((permission) => permission.node)).toEqual(['cassie.announce']);
+    expect(report).toEqual([{ severity: 'info', code: 'builtInReplaced', params: { group: 'admin' } }]);
+  });
+
+  it('reports members of roles neither file defines', () => {
+    const remoteAdmin = parseRemoteAdminConfig('Members:\n- 1@steam: ghost\nRoles: []\n');
+
+    const { data, report } = convertToLabFramework({ remoteAdmin });
+    expect(data.users.size).toBe(0);
+    expect(report).toEqual([{ severity: 'warning', code: 'unknownMemberRole', params: { userId: '1@steam', role: 'ghost' } }]);
+  });
+});
@@ -0,0 +1,50 @@
+import registry from 'virtual:permission-nodes';
+import { getKnownNodes } from '@/lib/permissions/data.js';
+import { WILDCARD } from '@/lib/permissions/resolver.js';
+
+// Permission nodes harvested at build time by plugins/permission-nodes.js: the
+// `permission:` of every [Command], the string literals passed to HasPermissionAsync,
+// HasAnyPermissionAsync and HasAllPermissionsAsync, and the nodes granted in code with
+// AddPermission and SetUserPermissionAsync, in the C# sources and in the C# snippets of
+// the docs. Snippet locations carry the page path and locale they appear on.
+
+export const getCommands = () => registry.commands;
+
+// Every harvested node with the commands requiring it, the checks naming it and the code
+// granting it, sorted. The wildcard is not a node of its own and is left out.
+export const getRegistryNodes = () => {
+  const nodes = new Map();
+  const entry = (node) => {
+    if (!nodes.has(node)) nodes.set(node, { node, commands: [], checks: [], grants: [] });
+    return nodes.get(node);
+  };
+  registry.commands.filter((command) => command.permission).forEach((command) => entry(command.permission).commands.push(command));
+  registry.checks.forEach((check) => entry(check.node).checks.push(check));
+  registry.grants.filter((grant) => grant.node !== WILDCARD).forEach((grant) => entry(grant.node).grants.push(grant));
+  return [...nodes.values()].sort((a, b) => a.node.localeCompare(b.node));
+};
+
+// Nodes split on dots into a tree, e.g. admin > kick. `entry` is the registry entry of
+// the node ending at that segment, null for segments that are only a prefix.
+export const getNodeTree = (entries) => {
+  const root = { children: [] };
+  for (const entry of entries) {
+    let parent = root;
+    entry.node.split('.').forEach((segment, index, segments) => {
+      const path = segments.slice(0, index + 1).join('.');
+      let child = parent.children.find((node) => node.segment === segment);
+      if (!child) {
+        child = { segment, path, entry: null, children: [] };
+        parent.children.push(child);
+      }
+      if (index === segments.length - 1) child.entry = entry;
+      parent = child;
+    });
+  }
+  return root.children;
+};
+
+// Autocomplete for node inputs: the registry, the nodes already in the data set and the
+// wildcard, which is the only pattern the service matches
+export const getNodeSuggestions = (data) =>
+  [...new Set([WILDCARD, ...getRegistryNodes().map((entry) => entry.node), ...(data ? getKnownNodes(data) : [])])].sort();
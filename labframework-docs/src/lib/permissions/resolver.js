@@ -0,0 +1,149 @@
+import { getGroup, isExpired } from '@/lib/permissions/data.js';
+
+// Step-by-step port of PermissionService.HasPermissionAsync and CheckGroupPermissionAsync.
+// The order of checks, the first-match lookups, the fresh visited set per top-level group
+// and the way a group's explicit deny only ends its own branch all follow the C# code, so
+// the trace explains exactly what the server would decide.
+
+export const WILDCARD = '*';
+
+// FirstOrDefault(p => p.Node == node && p.IsValid), plus the expired entries it skipped
+const findValid = (permissions, node, now) => {
+  const matches = permissions.filter((permission) => permission.node === node);
+  return {
+    permission: matches.find((permission) => !isExpired(permission, now)) ?? null,
+    expired: matches.filter((permission) => isExpired(permission, now)),
+  };
+};
+
+const outcome = (permission) => (permission ? (permission.value ? 'allow' : 'deny') : 'none');
+
+// Returns { granted, decidedBy, user, trace }. Each trace step has a `type` and a `depth`
+// (0 for the user, 1 for their groups, +1 per inherited group); `decidedBy` is the step
+// whose grant or denial became the result, or null when nothing matched.
+export const resolvePermission = (data, userId, node, { now = new Date() } = {}) => {
+  const trace = [];
+  const step = (entry) => {
+    const traced = { depth: 0, ...entry };
+    trace.push(traced);
+    return traced;
+  };
+  const check = (type, permissions, target, entry) => {
+    const { permission, expired } = findValid(permissions, target, now);
+    return step({ type, node: target, permission, expired, outcome: outcome(permission), ...entry });
+  };
+
+  if (!userId?.trim() || !node?.trim()) {
+    step({ type: 'blankInput' });
+    return { granted: false, decidedBy: null, user: null, trace };
+  }
+
+  // GetUserPermissionsAsync creates unknown users in the default group
+  let user = data.users.get(userId);
+  if (user) {
+    step({ type: 'user', user });
+  } else {
+    user = { userId, username: userId, groups: ['default'], directPermissions: [] };
+    step({ type: 'unknownUser', user });
+  }
+
+  for (const type of ['directNode', 'directWildcard']) {
+    const direct = check(type, user.directPermissions, type === 'directNode' ? node : WILDCARD);
+    if (direct.permission) return { granted: direct.permission.value, decidedBy: direct, user, trace };
+  }
+
+  const checkGroup = (group, depth, visited) => {
+    if (visited.has(group.name)) {
+      step({ type: 'cycle', group, depth });
+      return null;
+    }
+    visited.add(group.name);
+    step({ type: 'group', group, depth });
+
+    for (const type of ['groupNode', 'groupWildcard']) {
+      const entry = check(type, group.permissions, type === 'groupNode' ? node : WILDCARD, { group, depth });
+      if (entry.permission) return entry.permission.value ? entry : null;
+    }
+
+    for (const name of group.inheritedGroups) {
+      const inherited = getGroup(data, name);
+      if (!inherited) {
+        step({ type: 'missingGroup', name, from: group, depth: depth + 1 });
+        continue;
+      }
+      const granted = checkGroup(inherited, depth + 1, visited);
+      if (granted) return granted;
+    }
+
+    step({ type: 'groupExhausted', group, depth });
+    return null;
+  };
+
+  for (const name of user.groups) {
+    const group = getGroup(data, name);
+    if (!group) {
+      step({ type: 'missingGroup', name, from: null, depth: 1 });
+      continue;
+    }
+    const granted = checkGroup(group, 1, new Set());
+    if (granted) return { granted: true, decidedBy: granted, user, trace };
+  }
+
+  step({ type: 'noGrant' });
+  return { granted: false, decidedBy: null, user, trace };
+};
+
+// CheckGroupPermissionAsync for one node without the trace, as for a member with no
+// direct permissions and only this group: { granted, group, permission } for the grant or
+// for the first denial that ended a branch, null when nothing matched
+export const checkGroupPermission = (data, group, node, { now = new Date() } = {}) => {
+  const visited = new Set();
+
+  const check = (current) => {
+    if (visited.has(current.name)) return null;
+    visited.add(current.name);
+
+    for (const target of [node, WILDCARD]) {
+      const { permission } = findValid(current.permissions, target, now);
+      if (permission) return { granted: permission.value, group: current, permission };
+    }
+    let denial = null;
+    for (const name of current.inheritedGroups) {
+      const inherited = getGroup(data, name);
+      if (!inherited) continue;
+      const result = check(inherited);
+      if (result?.granted) return result;
+      denial ??= result;
+    }
+    return denial;
+  };
+
+  return check(group);
+};
+
+// Port of AddGroupPermissionsAsync, the group half of GetUserPermissionsAsync: every valid
+// true node of the group and, depth first, of the groups it inherits, skipping groups
+// already visited. Denials are not subtracted, the service only collects grants. Each
+// node is listed once with the group it was first collected from.
+export const collectGroupPermissions = (data, group, { now = new Date() } = {}) => {
+  const nodes = new Map();
+  const visited = new Set();
+
+  const collect = (current) => {
+    if (visited.has(current.name)) return;
+    visited.add(current.name);
+
+    for (const permission of current.permissions) {
+      if (permission.value && !isExpired(permission, now) && !nodes.has(permission.node)) {
+        nodes.set(permission.node, { node: permission.node, group: current, permission });
+      }
+    }
+    for (const name of current.inheritedGroups) {
+      const inherited = getGroup(data, name);
+      if (inherited) collect(inherited);
+    }
+  };
+
+  collect(group);
+  return [...nodes.values()];
+};
@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import { parsePermissionData } from '@/lib/permissions/data.js';
+import { checkGroupPermission, collectGroupPermissions, resolvePermission } from '@/lib/permissions/resolver.js';
+
+const now = new Date('2025-01-01T00:00:00Z');
+
+const permissionData = ({ groups = {}, users = {} }) =>
+  parsePermissionData({
+    Groups: Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, { Name: name, ...group }])),
+    Users: Object.fromEntries(Object.entries(users).map(([userId, user]) => [userId, { UserId: userId, ...user }])),
+  });
+
+const resolve = (data, userId, node) => resolvePermission(data, userId, node, { now });
+
+describe('resolvePermission', () => {
+  it('uses the first valid entry for a node and skips expired ones', () => {
+    const data = permissionData({
+      users: {
+        alice: {
+          DirectPermissions: [
+            { Node: 'admin.kick', Value: false, ExpiresAt: '2024-06-01T00:00:00Z' },
+            { Node: 'admin.kick', Value: true },
+            { Node: 'admin.kick', Value: false },
+          ],
+        },
+      },
+    });
+
+    const result = resolve(data, 'alice', 'admin.kick');
+    expect(result.granted).toBe(true);
+    expect(result.decidedBy.type).toBe('directNode');
+    expect(result.decidedBy.expired).toHaveLength(1);
+  });
+
+  it('reads an expiry without an offset as UTC', () => {
+    const data = permissionData({
+      users: { alice: { DirectPermissions: [{ Node: 'admin.kick', ExpiresAt: '2024-12-31T23:59:59' }] } },
+    });
+
+    expect(resolve(data, 'alice', 'admin.kick').granted).toBe(false);
+  });
+
+  it('checks the direct node before the direct wildcard', () => {
+    const data = permissionData({
+      users: { alice: { DirectPermissions: [{ Node: '*' }, { Node: 'admin.ban', Value: false }] } },
+    });
+
+    expect(resolve(data, 'alice', 'admin.ban')).toMatchObject({ granted: false, decidedBy: { type: 'directNode' } });
+    expect(resolve(data, 'alice', 'admin.kick')).toMatchObject({ granted: true, decidedBy: { type: 'directWildcard' } });
+  });
+
+  it('lets a direct denial win over any group grant', () => {
+    const data = permissionData({
+      groups: { admin: { Permissions: [{ Node: '*' }] } },
+      users: { alice: { Groups: ['admin'], DirectPermissions: [{ Node: 'admin.ban', Value: false }] } },
+    });
+
+    expect(resolve(data, 'alice', 'admin.ban').granted).toBe(false);
+  });
+
+  it('ends only its own branch on a group denial', () => {
+    const data = permissionData({
+      groups: {
+        muted: { Permissions: [{ Node: 'chat.send', Value: false }] },
+        default: { Permissions: [{ Node: 'chat.send' }] },
+      },
+      users: { alice: { Groups: ['muted', 'default'] } },
+    });
+
+    const result = resolve(data, 'alice', 'chat.send');
+    expect(result.granted).toBe(true);
+    expect(result.decidedBy.group.name).toBe('default');
+  });
+
+  it('keeps checking sibling inherited groups after a denial', () => {
+    const data = permissionData({
+      groups: {
+        moderator: { InheritedGroups: ['restricted', 'default'] },
+        restricted: { Permissions: [{ Node: 'admin.kick', Value: false }] },
+        default: { Permissions: [{ Node: 'admin.kick' }] },
+      },
+      users: { alice: { Groups: ['moderator'] } },
+    });
+
+    const result = resolve(data, 'alice', 'admin.kick');
+    expect(result.granted).toBe(true);
+    expect(result.decidedBy).toMatchObject({ type: 'groupNode', depth: 2, group: { name: 'default' } });
+  });
+
+  it('puts unknown users in the default group', () => {
+    const data = permissionData({ groups: { default: { Permissions: [{ Node: 'basic.chat' }] } } });
+
+    const result = resolve(data, 'stranger', 'basic.chat');
+    expect(result.granted).toBe(true);
+    expect(result.trace[0].type).toBe('unknownUser');
+  });
+
+  it('traces inheritance cycles and missing groups without granting', () => {
+    const data = permissionData({
+      groups: {
+        a: { InheritedGroups: ['b'] },
+        b: { InheritedGroups: ['a', 'ghost'] },
+      },
+      users: { alice: { Groups: ['a'] } },
+    });
+
+    const result = resolve(data, 'alice', 'admin.kick');
+    expect(result.granted).toBe(false);
+    expect(result.decidedBy).toBeNull();
+    expect(result.trace.map((step) => step.type)).toEqual(
+      expect.arrayContaining(['cycle', 'missingGroup', 'noGrant']),
+    );
+  });
+
+  it('grants nothing for a blank user or node', () => {
+    const data = permissionData({});
+
+    expect(resolve(data, ' ', 'admin.kick').trace).toEqual([{ type: 'blankInput', depth: 0 }]);
+    expect(resolve(data, 'alice', '').granted).toBe(false);
+  });
+});
+
+describe('checkGroupPermission', () => {
+  it('reports the first denial when no branch grants', () => {
+    const data = permissionData({
+      groups: {
+        moderator: { InheritedGroups: ['restricted'] },
+        restricted: { Permissions: [{ Node: 'admin.ban', Value: false }] },
+      },
+    });
+
+    const result = checkGroupPermission(data, data.groups.get('moderator'), 'admin.ban', { now });
+    expect(result).toMatchObject({ granted: false, group: { name: 'restricted' } });
+  });
+
+  it('returns null when nothing matches', () => {
+    const data = permissionData({ groups: { default: {} } });
+
+    expect(checkGroupPermission(data, data.groups.get('default'), 'admin.ban', { now })).toBeNull();
+  });
+});
+
+describe('collectGroupPermissions', () => {
+  it('collects valid grants depth first, each node once', () => {
+    const data = permissionData({
+      groups: {
+        moderator: {
+          Permissions: [{ Node: 'admin.kick' }, { Node: 'admin.mute', Value: false }],
+          InheritedGroups: ['default'],
+        },
+        default: {
+          Permissions: [{ Node: 'admin.kick' }, { Node: 'basic.chat' }, { Node: 'basic.move', ExpiresAt: '2024-01-01T00:00:00Z' }],
+        },
+      },
+    });
+
+    const nodes = collectGroupPermissions(data, data.groups.get('moderator'), { now });
+    expect(nodes.map(({ node, group }) => [node, group.name])).toEqual([
+      ['admin.kick', 'moderator'],
+      ['basic.chat', 'default'],
+    ]);
+  });
+});
@@ -0,0 +1,164 @@
+import { z } from 'zod';
+import { formatDateTime, parseDateTime } from '@/lib/permissions/data.js';
+
+// Form model of the permission editor and its zod schema. The editor works on arrays of
+// plain values (dates as UTC `YYYY-MM-DDTHH:mm:ss` strings for datetime-local inputs)
+// and converts from and to the data model of data.js on import and export.
+
+const toInputDateTime = (date) => (date ? formatDateTime(date).slice(0, 19) : '');
+
+const fromInputDateTime = (value) => (value ? parseDateTime(value) : null);
+
+const emptyToNull = (value) => (value === '' ? null : value);
+
+export const createPermission = () => ({ node: '', value: true, expiresAt: '', grantedBy: '', reason: '' });
+
+export const createGroup = () => ({
+  name: '',
+  displayName: '',
+  description: '',
+  priority: 0,
+  permissions: [],
+  inheritedGroups: [],
+  metadata: {},
+});
+
+// New users start in the default group, like GetUserPermissionsAsync creates them
+export const createUser = () => ({
+  userId: '',
+  username: '',
+  groups: ['default'],
+  directPermissions: [],
+  lastUpdated: null,
+  metadata: {},
+});
+
+const toEditorPermission = (permission) => ({
+  node: permission.node,
+  value: permission.value,
+  expiresAt: toInputDateTime(permission.expiresAt),
+  grantedBy: permission.grantedBy ?? '',
+  reason: permission.reason ?? '',
+});
+
+const fromEditorPermission = (permission) => ({
+  node: permission.node,
+  value: permission.value,
+  expiresAt: fromInputDateTime(permission.expiresAt),
+  grantedBy: emptyToNull(permission.grantedBy),
+  reason: emptyToNull(permission.reason),
+});
+
+export const toEditorValues = (data) => ({
+  groups: [...data.groups.values()].map((group) => ({
+    ...group,
+    permissions: group.permissions.map(toEditorPermission),
+  })),
+  users: [...data.users.values()].map((user) => ({
+    ...user,
+    directPermissions: user.directPermissions.map(toEditorPermission),
+  })),
+});
+
+// Groups are keyed by name and users by id, as the service stores them. A blank display
+// name or username falls back to the name or id like the C# constructors do.
+export const fromEditorValues = (values) => ({
+  groups: new Map(
+    values.groups.map((group) => [
+      group.name,
+      {
+        ...group,
+        displayName: group.displayName || group.name,
+        permissions: group.permissions.map(fromEditorPermission),
+      },
+    ]),
+  ),
+  users: new Map(
+    values.users.map((user) => [
+      user.userId,
+      {
+        ...user,
+        username: user.username || user.userId,
+        directPermissions: user.directPermissions.map(fromEditorPermission),
+      },
+    ]),
+  ),
+});
+
+// Reports every entry after the first that has the same key
+const addDuplicateIssues = (ctx, items, keyOf, path, message) => {
+  const seen = new Set();
+  items.forEach((item, index) => {
+    const key = keyOf(item);
+    if (key && seen.has(key)) ctx.addIssue({ code: z.ZodIssueCode.custom, path: path(index), message });
+    seen.add(key);
+  });
+};
+
+// Messages come from `t` so the form reports errors in the page's language
+export const createPermissionEditorSchema = (t) => {
+  const message = (key, params) => t(`tools.permissionEditor.errors.${key}`, params);
+
+  const permissionSchema = z.object({
+    node: z.string().trim().min(1, message('required')).regex(/^\S+$/, message('noSpaces')),
+    value: z.boolean(),
+    expiresAt: z
+      .string()
+      .refine((value) => !value || !Number.isNaN(new Date(`${value}Z`).getTime()), message('invalidDate')),
+    grantedBy: z.string(),
+    reason: z.string(),
+  });
+
+  // AddPermission replaces an existing entry, so a list never holds a node twice
+  const permissionList = z.array(permissionSchema).superRefine((permissions, ctx) =>
+    addDuplicateIssues(ctx, permissions, (permission) => permission.node, (index) => [index, 'node'], message('duplicateNode')),
+  );
+
+  // CreateGroupAsync lowercases names, and lookups lowercase the name they are given
+  const groupSchema = z.object({
+    name: z
+      .string()
+      .trim()
+      .min(1, message('required'))
+      .regex(/^\S+$/, message('noSpaces'))
+      .refine((name) => name === name.toLowerCase(), message('lowercase')),
+    displayName: z.string(),
+    description: z.string(),
+    priority: z.coerce.number().int(message('integer')),
+    permissions: permissionList,
+    inheritedGroups: z.array(z.string()),
+    metadata: z.record(z.unknown()),
+  });
+
+  const userSchema = z.object({
+    userId: z.string().trim().min(1, message('required')),
+    username: z.string(),
+    groups: z.array(z.string()),
+    directPermissions: permissionList,
+    lastUpdated: z.date().nullable(),
+    metadata: z.record(z.unknown()),
+  });
+
+  return z
+    .object({ groups: z.array(groupSchema), users: z.array(userSchema) })
+    .superRefine(({ groups, users }, ctx) => {
+      const names = new Set(groups.map((group) => group.name));
+      const checkReferences = (references, path) => {
+        const missing = references.filter((name) => !names.has(name.toLowerCase()));
+        if (missing.length > 0) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, path, message: message('unknownGroup', { name: missing.join(', ') }) });
+        }
+      };
+
+      addDuplicateIssues(ctx, groups, (group) => group.name, (index) => ['groups', index, 'name'], message('duplicateGroup'));
+      addDuplicateIssues(ctx, users, (user) => user.userId, (index) => ['users', index, 'userId'], message('duplicateUser'));
+
+      groups.forEach((group, index) => {
+        if (group.inheritedGroups.includes(group.name)) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['groups', index, 'inheritedGroups'], message: message('selfInherit') });
+        }
+        checkReferences(group.inheritedGroups, ['groups', index, 'inheritedGroups']);
+      });
+      users.forEach((user, index) => checkReferences(user.groups, ['users', index, 'groups']));
+    });
+};
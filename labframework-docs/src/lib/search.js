@@ -0,0 +1,145 @@
+// Tashkeel, Quranic marks and tatweel are dropped entirely
+const ARABIC_IGNORED = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/;
+
+// Hamza/alef variants and other letters that are commonly written interchangeably
+const ARABIC_FOLDS = {
+  'أ': 'ا',
+  'إ': 'ا',
+  'آ': 'ا',
+  'ٱ': 'ا',
+  'ى': 'ي',
+  'ئ': 'ي',
+  'ؤ': 'و',
+  'ة': 'ه',
+};
+
+const FIELD_WEIGHTS = { title: 10, heading: 6, text: 1 };
+
+export const GROUP_ORDER = ['page', 'symbol', 'code'];
+
+// Normalizes text and keeps, for every normalized character, the index of the
+// original character it came from so matches can be highlighted in the source.
+export const normalizeWithMap = (text = '') => {
+  let normalized = '';
+  const map = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (ARABIC_IGNORED.test(char)) continue;
+
+    const folded = ARABIC_FOLDS[char] ?? char.toLowerCase();
+    for (const part of folded) {
+      normalized += part;
+      map.push(index);
+    }
+  }
+
+  return { normalized, map };
+};
+
+export const normalize = (text) => normalizeWithMap(text).normalized;
+
+export const tokenize = (query) => normalize(query).split(/\s+/).filter(Boolean);
+
+const prepared = new WeakMap();
+
+const prepare = (entry) => {
+  if (!prepared.has(entry)) {
+    prepared.set(entry, {
+      title: normalize(entry.title),
+      heading: normalize(entry.heading),
+      text: normalize(entry.text),
+    });
+  }
+  return prepared.get(entry);
+};
+
+const scoreEntry = (entry, terms) => {
+  const fields = prepare(entry);
+  let score = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const position = fields[field].indexOf(term);
+      if (position === -1) continue;
+      termScore = Math.max(termScore, position === 0 ? weight * 2 : weight);
+    }
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  return score;
+};
+
+// Returns matching entries grouped by type, best matches first
+export const search = (entries, query, { locale, limit = 8 } = {}) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  const groups = new Map(GROUP_ORDER.map((type) => [type, []]));
+
+  entries
+    .filter((entry) => !locale || !entry.locale || entry.locale === locale)
+    .map((entry) => ({ entry, score: scoreEntry(entry, terms) }))
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ entry }) => groups.get(entry.type)?.push(entry));
+
+  return GROUP_ORDER
+    .map((type) => ({ type, entries: groups.get(type).slice(0, limit) }))
+    .filter((group) => group.entries.length > 0);
+};
+
+const findRanges = (text, query) => {
+  const { normalized, map } = normalizeWithMap(text);
+  const ranges = [];
+
+  for (const term of tokenize(query)) {
+    let position = normalized.indexOf(term);
+    while (position !== -1) {
+      let end = map[position + term.length - 1] + 1;
+      while (end < text.length && ARABIC_IGNORED.test(text[end])) end++;
+      ranges.push([map[position], end]);
+      position = normalized.indexOf(term, position + term.length);
+    }
+  }
+
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+};
+
+// Splits text into [{ text, match }] segments for rendering highlights
+export const highlight = (text = '', query = '') => {
+  const segments = [];
+  let cursor = 0;
+
+  for (const [start, end] of findRanges(text, query)) {
+    if (start > cursor) segments.push({ text: text.slice(cursor, start), match: false });
+    segments.push({ text: text.slice(start, end), match: true });
+    cursor = end;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+
+  return segments;
+};
+
+// Cuts a window of text around the first match
+export const excerpt = (text = '', query = '', radius = 60) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const [first] = findRanges(flat, query);
+  if (!first) return flat.slice(0, radius * 2);
+
+  const start = Math.max(0, first[0] - radius);
+  const end = Math.min(flat.length, first[1] + radius);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+};
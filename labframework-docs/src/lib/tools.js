@@ -0,0 +1,39 @@
+import {
+  Blocks,
+  CalendarClock,
+  FilePenLine,
+  FlaskConical,
+  FolderTree,
+  GitMerge,
+  Grid3x3,
+  Import,
+  Library,
+  Network,
+  Package,
+  PackagePlus,
+  Route,
+  ShieldCheck,
+} from 'lucide-react';
+
+// Interactive tools served under /tools/<slug>. Titles and descriptions are the
+// tools.<key>.title and tools.<key>.description messages.
+export const TOOLS = [
+  { key: 'permissionResolver', slug: 'permission-resolver', icon: Route },
+  { key: 'permissionEditor', slug: 'permission-editor', icon: FilePenLine },
+  { key: 'groupGraph', slug: 'group-graph', icon: Network },
+  { key: 'permissionNodes', slug: 'permission-nodes', icon: FolderTree },
+  { key: 'expiryTimeline', slug: 'expiry-timeline', icon: CalendarClock },
+  { key: 'permissionMerge', slug: 'permission-merge', icon: GitMerge },
+  { key: 'permissionMatrix', slug: 'permission-matrix', icon: Grid3x3 },
+  { key: 'permissionImport', slug: 'permission-import', icon: Import },
+  { key: 'commandAccess', slug: 'command-access', icon: ShieldCheck },
+  { key: 'itemDesigner', slug: 'item-designer', icon: PackagePlus },
+  { key: 'behaviorScaffolder', slug: 'behavior-scaffolder', icon: Blocks },
+  { key: 'itemSimulator', slug: 'item-simulator', icon: FlaskConical },
+  { key: 'itemCatalog', slug: 'item-catalog', icon: Library },
+  { key: 'itemPacks', slug: 'item-packs', icon: Package },
+];
+
+export const toolPath = (tool) => `/tools/${tool.slug}`;
+
+export const getTool = (key) => TOOLS.find((tool) => tool.key === key);
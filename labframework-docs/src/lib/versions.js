@@ -0,0 +1,24 @@
+import { createContext } from 'react';
+import manifest from '/versions/versions.json';
+
+// Releases the docs cover, newest first (see plugins/versions.js). The current release
+// is served from /docs and /api, archived ones from /v/<version>/docs and /v/<version>/api.
+
+export const CURRENT_VERSION = manifest.current;
+
+export const RELEASES = manifest.releases;
+
+export const isArchivedVersion = (version) =>
+  version !== CURRENT_VERSION && RELEASES.some((release) => release.version === version);
+
+export const versionPrefix = (version = CURRENT_VERSION) =>
+  version === CURRENT_VERSION ? '' : `/v/${version}`;
+
+// Splits /v/0.9.0/docs into { version: '0.9.0', path: '/docs' }; unprefixed paths are current
+export const splitVersionPath = (path) => {
+  const match = path.match(/^\/v\/([^/]+)(\/.*)?$/);
+  if (!match) return { version: CURRENT_VERSION, path };
+  return { version: match[1], path: match[2] ?? '/' };
+};
+
+export const VersionContext = createContext(CURRENT_VERSION);
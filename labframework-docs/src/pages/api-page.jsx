@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { Link, Navigate, Outlet, useParams } from 'react-router-dom';
+import { Menu } from 'lucide-react';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { DocsSidebar } from '@/components/docs-sidebar.jsx';
+import { DocsBreadcrumbs } from '@/components/docs-breadcrumbs.jsx';
+import { DocsPager } from '@/components/docs-pager.jsx';
+import { PageMeta } from '@/components/page-meta.jsx';
+import {
+  ApiSummary,
+  EnumValueTable,
+  MemberEntry,
+  ParameterTable,
+  Signature,
+  TypeName,
+  VersionBadges,
+} from '@/components/api-reference.jsx';
+import { useHashScroll } from '@/hooks/use-hash-scroll.js';
+import { useLocale } from '@/hooks/use-locale.js';
+import { useVersion } from '@/hooks/use-version.js';
+import { apiPath, getAdjacentTypes, getApiTree, getApiType, groupMembers } from '@/lib/api-reference.js';
+
+// API Layout Component
+export const ApiLayout = () => {
+  const { typeId } = useParams();
+  const { t } = useLocale();
+  const { version } = useVersion();
+  const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const tree = getApiTree(version);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">{t('api.title')}</h1>
+        <p className="text-lg text-gray-600 dark:text-gray-300">{t('api.description')}</p>
+      </div>
+
+      <div className="lg:hidden mb-6">
+        <Button variant="outline" size="sm" onClick={() => setIsSidebarOpen(!isSidebarOpen)}>
+          <Menu className="w-4 h-4 me-2" />
+          {t('docs.toggleSidebar')}
+        </Button>
+      </div>
+
+      <div className="lg:grid lg:grid-cols-[16rem_1fr] lg:gap-10">
+        <aside className={`${isSidebarOpen ? 'block' : 'hidden'} lg:block mb-8 lg:mb-0`}>
+          <div className="lg:sticky lg:top-24 lg:max-h-[calc(100vh-7rem)] lg:overflow-y-auto" dir="ltr" onClick={() => setIsSidebarOpen(false)}>
+            <DocsSidebar tree={tree} activeSlug={`api/${typeId}`} />
+          </div>
+        </aside>
+        <div className="min-w-0">
+          <Outlet />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// API Index Component
+// Lists every namespace with its types
+export const ApiIndex = () => {
+  const { t, localePath } = useLocale();
+  const { version } = useVersion();
+
+  return (
+    <div className="space-y-6">
+      <PageMeta title={t('api.title')} description={t('api.description')} />
+      {getApiTree(version).map((namespace) => (
+        <Card key={namespace.slug}>
+          <CardHeader>
+            <CardTitle className="font-mono" dir="ltr">{namespace.title}</CardTitle>
+            <CardDescription>{t('api.typeCount', { count: namespace.pages.length })}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ul className="grid sm:grid-cols-2 gap-3">
+              {namespace.pages.map(({ type, path }) => (
+                <li key={type.id}>
+                  <Link to={localePath(path)} className="group block rounded-md p-2 -m-2 hover:bg-gray-50 dark:hover:bg-gray-800">
+                    <span className="flex items-center gap-2">
+                      <span className="font-mono font-medium text-blue-600 dark:text-blue-400 group-hover:underline" dir="ltr">
+                        {type.name}
+                      </span>
+                      <Badge variant="secondary">{t(`api.typeKinds.${type.kind}`)}</Badge>
+                      <VersionBadges entry={type} />
+                    </span>
+                    {type.summary && (
+                      <span className="mt-1 block text-sm text-gray-600 dark:text-gray-400" dir="ltr" lang="en">
+                        {type.summary}
+                      </span>
+                    )}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+// API Type Page Component
+// One reference page per public type
+export const ApiTypePage = () => {
+  const { typeId } = useParams();
+  const { t } = useLocale();
+  const { version, prefix } = useVersion();
+  const type = getApiType(typeId, version);
+  useHashScroll(typeId);
+
+  if (!type) {
+    return <Navigate to=".." replace />;
+  }
+
+  const section = getApiTree(version).find((namespace) => namespace.slug === type.namespace);
+  const { previous, next } = getAdjacentTypes(type);
+  const declaringType = type.declaringType && getApiType(type.declaringType, version);
+
+  return (
+    <article>
+      <PageMeta title={type.name} description={type.summary || t('api.description')} type="article" />
+      <DocsBreadcrumbs
+        section={section}
+        page={{ navTitle: type.name, path: apiPath(type) }}
+        rootTitle={t('api.title')}
+        rootPath={`${prefix}/api`}
+      />
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-center gap-2">
+            <CardTitle className="text-2xl font-mono" dir="ltr">{type.name}</CardTitle>
+            <Badge>{t(`api.typeKinds.${type.kind}`)}</Badge>
+            <VersionBadges entry={type} />
+          </div>
+          <CardDescription>
+            <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+              <dt>{t('api.namespace')}</dt>
+              <dd className="font-mono" dir="ltr">{type.namespace}</dd>
+              <dt>{t('api.assembly')}</dt>
+              <dd className="font-mono" dir="ltr">{type.assembly}</dd>
+              <dt>{t('api.source')}</dt>
+              <dd className="font-mono" dir="ltr">{type.source.file}:{type.source.line}</dd>
+              {declaringType && (
+                <>
+                  <dt>{t('api.declaringType')}</dt>
+                  <dd><TypeName name={declaringType.name} namespace={declaringType.namespace} /></dd>
+                </>
+              )}
+            </dl>
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <ApiSummary text={type.summary} />
+          <Signature text={type.signature} namespace={type.namespace} currentId={type.id} />
+          {type.remarks && <p className="text-gray-700 dark:text-gray-300" dir="ltr" lang="en">{type.remarks}</p>}
+
+          {type.baseTypes.length > 0 && (
+            <div>
+              <h3 className="mb-2 text-lg font-semibold text-gray-900 dark:text-white">{t('api.baseTypes')}</h3>
+              <ul className="flex flex-wrap gap-3">
+                {type.baseTypes.map((base) => (
+                  <li key={base}><TypeName name={base} namespace={type.namespace} /></li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {type.kind === 'delegate' && type.parameters.length > 0 && (
+            <div>
+              <h3 className="mb-2 text-lg font-semibold text-gray-900 dark:text-white">{t('api.parameters')}</h3>
+              <ParameterTable parameters={type.parameters} docs={type.params} namespace={type.namespace} />
+            </div>
+          )}
+          {type.returns && (
+            <p className="text-sm">
+              <span className="font-semibold">{t('api.returns')}: </span>
+              <span dir="ltr" lang="en">{type.returns}</span>
+            </p>
+          )}
+
+          {type.values && (
+            <div>
+              <h3 className="mb-2 text-lg font-semibold text-gray-900 dark:text-white">{t('api.values')}</h3>
+              <EnumValueTable values={type.values} />
+            </div>
+          )}
+
+          {groupMembers(type).map((group) => (
+            <div key={group.kind} className="space-y-6">
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white">{t(`api.kinds.${group.kind}`)}</h3>
+              {group.members.map((member) => (
+                <MemberEntry key={member.anchor} type={type} member={member} />
+              ))}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+      <DocsPager previous={previous} next={next} />
+    </article>
+  );
+};
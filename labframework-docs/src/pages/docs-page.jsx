@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Navigate, Outlet, useParams } from 'react-router-dom';
+import { Menu } from 'lucide-react';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { DocsSidebar } from '@/components/docs-sidebar.jsx';
+import { DocsBreadcrumbs } from '@/components/docs-breadcrumbs.jsx';
+import { DocsPager } from '@/components/docs-pager.jsx';
+import { FallbackNotice } from '@/components/fallback-notice.jsx';
+import { PageMeta } from '@/components/page-meta.jsx';
+import { TableOfContents } from '@/components/table-of-contents.jsx';
+import { useHashScroll } from '@/hooks/use-hash-scroll.js';
+import { useLocale } from '@/hooks/use-locale.js';
+import { useVersion } from '@/hooks/use-version.js';
+import { getAdjacentPages, getDocsTree, getPage } from '@/lib/content.js';
+import { LOCALES } from '@/lib/i18n.js';
+
+// Docs Layout Component
+export const DocsLayout = () => {
+  const { section, page } = useParams();
+  const { locale, t } = useLocale();
+  const { version } = useVersion();
+  const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const tree = getDocsTree(locale, version);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">{t('docs.title')}</h1>
+        <p className="text-lg text-gray-600 dark:text-gray-300">{t('docs.description')}</p>
+      </div>
+
+      <div className="lg:hidden mb-6">
+        <Button variant="outline" size="sm" onClick={() => setIsSidebarOpen(!isSidebarOpen)}>
+          <Menu className="w-4 h-4 me-2" />
+          {t('docs.toggleSidebar')}
+        </Button>
+      </div>
+
+      <div className="lg:grid lg:grid-cols-[16rem_1fr] lg:gap-10">
+        <aside className={`${isSidebarOpen ? 'block' : 'hidden'} lg:block mb-8 lg:mb-0`}>
+          <div className="lg:sticky lg:top-24" onClick={() => setIsSidebarOpen(false)}>
+            <DocsSidebar tree={tree} activeSlug={`docs/${section}/${page}`} />
+          </div>
+        </aside>
+        <div className="min-w-0">
+          <Outlet />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Redirects /docs and /docs/:section to their first page
+export const DocsIndex = () => {
+  const { section } = useParams();
+  const { locale, localePath } = useLocale();
+  const { version } = useVersion();
+  const tree = getDocsTree(locale, version);
+  const target = (tree.find((entry) => entry.slug === section) ?? tree[0])?.pages[0];
+
+  return target ? <Navigate to={localePath(target.path)} replace /> : null;
+};
+
+// Documentation Page Component
+export const DocPage = () => {
+  const { section: sectionSlug, page: pageSlug } = useParams();
+  const { locale } = useLocale();
+  const { version, prefix } = useVersion();
+  const page = getPage(`docs/${sectionSlug}/${pageSlug}`, locale, version);
+  const section = getDocsTree(locale, version).find((entry) => entry.slug === sectionSlug);
+  useHashScroll(page?.slug);
+
+  if (!page || !section) {
+    return <DocsIndex />;
+  }
+
+  const { previous, next } = getAdjacentPages(page, locale);
+
+  return (
+    <div className="xl:grid xl:grid-cols-[minmax(0,1fr)_13rem] xl:gap-8">
+      <article className="min-w-0">
+        <PageMeta title={page.title} description={page.description} type="article" />
+        <DocsBreadcrumbs section={section} page={page} rootPath={`${prefix}/docs`} />
+        <FallbackNotice page={page} />
+        <Card dir={LOCALES[page.locale].dir} lang={page.locale}>
+          <CardHeader>
+            <CardTitle>{page.title}</CardTitle>
+            <CardDescription>{page.description}</CardDescription>
+          </CardHeader>
+          <CardContent className="prose dark:prose-invert max-w-none">
+            <page.Component />
+          </CardContent>
+        </Card>
+        <DocsPager previous={previous} next={next} />
+      </article>
+      <aside className="hidden xl:block">
+        <div className="sticky top-24 max-h-[calc(100vh-7rem)] overflow-y-auto">
+          <TableOfContents toc={page.toc} />
+        </div>
+      </aside>
+    </div>
+  );
+};
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Link, Outlet } from 'react-router-dom';
+import { Card, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import {
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbList,
+  BreadcrumbPage,
+  BreadcrumbSeparator,
+} from '@/components/ui/breadcrumb.jsx';
+import { PageMeta } from '@/components/page-meta.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { TOOLS, getTool, toolPath } from '@/lib/tools.js';
+
+// Tools Layout Component
+export const ToolsLayout = () => (
+  <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+    <Outlet />
+  </div>
+);
+
+// Tools Index Component
+export const ToolsIndex = () => {
+  const { t, localePath } = useLocale();
+
+  return (
+    <>
+      <PageMeta title={t('tools.title')} description={t('tools.description')} />
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">{t('tools.title')}</h1>
+        <p className="text-lg text-gray-600 dark:text-gray-300">{t('tools.description')}</p>
+      </div>
+      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {TOOLS.map((tool) => (
+          <Link key={tool.key} to={localePath(toolPath(tool))} className="group">
+            <Card className="h-full transition-colors group-hover:border-blue-300 dark:group-hover:border-blue-700">
+              <CardHeader>
+                <tool.icon className="w-8 h-8 text-blue-600 mb-2" />
+                <CardTitle className="group-hover:text-blue-600">{t(`tools.${tool.key}.title`)}</CardTitle>
+                <CardDescription>{t(`tools.${tool.key}.description`)}</CardDescription>
+              </CardHeader>
+            </Card>
+          </Link>
+        ))}
+      </div>
+    </>
+  );
+};
+
+// Tool Page Component
+// Metadata, breadcrumbs and heading shared by every tool. A page below the tool (an item of
+// the catalog) passes its own `subpage` title and description.
+export const ToolPage = ({ toolKey, subpage, children }) => {
+  const { t, localePath } = useLocale();
+  const tool = getTool(toolKey);
+  const toolTitle = t(`tools.${tool.key}.title`);
+  const title = subpage?.title ?? toolTitle;
+  const description = subpage?.description ?? t(`tools.${tool.key}.description`);
+
+  return (
+    <>
+      <PageMeta title={title} description={description} />
+      <Breadcrumb className="mb-6">
+        <BreadcrumbList>
+          <BreadcrumbItem>
+            <BreadcrumbLink asChild>
+              <Link to={localePath('/tools')}>{t('tools.title')}</Link>
+            </BreadcrumbLink>
+          </BreadcrumbItem>
+          <BreadcrumbSeparator className="rtl:[&>svg]:rotate-180" />
+          {subpage && (
+            <>
+              <BreadcrumbItem>
+                <BreadcrumbLink asChild>
+                  <Link to={localePath(toolPath(tool))}>{toolTitle}</Link>
+                </BreadcrumbLink>
+              </BreadcrumbItem>
+              <BreadcrumbSeparator className="rtl:[&>svg]:rotate-180" />
+            </>
+          )}
+          <BreadcrumbItem>
+            <BreadcrumbPage>{title}</BreadcrumbPage>
+          </BreadcrumbItem>
+        </BreadcrumbList>
+      </Breadcrumb>
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-4">{title}</h1>
+        <p className="text-lg text-gray-600 dark:text-gray-300">{description}</p>
+      </div>
+      {children}
+    </>
+  );
+};
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { AlertCircle, AlertTriangle, Download } from 'lucide-react';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Checkbox } from '@/components/ui/checkbox.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx';
+import { CodeBlock } from '@/components/code-block.jsx';
+import { ItemDefinitionCard } from '@/components/item-definition.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { downloadFile } from '@/lib/download.js';
+import {
+  BEHAVIOR_HOOKS,
+  BEHAVIOR_TEMPLATES,
+  behaviorClassName,
+  behaviorCode,
+  checkBehaviorBindings,
+  createBehaviorOptions,
+  isCSharpIdentifier,
+  isCSharpNamespace,
+} from '@/lib/custom-items/behavior.js';
+import { formatPropertyValue, parsePropertyValue } from '@/lib/custom-items/schema.js';
+
+const PROPERTY_LIST_ID = 'behavior-scaffolder-properties';
+
+// Parameter defaults are edited as text like the designer's property values
+const toEditable = (options) => ({
+  ...options,
+  parameters: options.parameters.map((parameter) => ({ ...parameter, value: formatPropertyValue(parameter.type, parameter.value) })),
+});
+
+// Parameter Bindings Component
+// The property key and default each template parameter is read with
+const ParameterBindings = ({ parameters, definition, onChange }) => {
+  const { t } = useLocale();
+  const findings = definition ? checkBehaviorBindings(parameters, definition) : [];
+
+  const update = (index, change) => onChange(parameters.map((parameter, i) => (i === index ? { ...parameter, ...change } : parameter)));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.behaviorScaffolder.parameters')}</CardTitle>
+        <CardDescription>{t('tools.behaviorScaffolder.parametersDescription')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {parameters.map((parameter, index) => {
+          const finding = findings.find((entry) => entry.parameter.name === parameter.name);
+          const keyError = !parameter.key.trim();
+          const valueError = parsePropertyValue(parameter.type, parameter.value) === null;
+          return (
+            <div key={parameter.name} className="grid gap-3 rounded-md border border-gray-200 dark:border-gray-700 p-3 md:grid-cols-[12rem_1fr_1fr]">
+              <div className="space-y-1">
+                <code className="block font-mono text-sm font-medium" dir="ltr">{parameter.name}</code>
+                <Badge variant="outline" className="font-mono">{parameter.type}</Badge>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor={`parameter-key-${parameter.name}`}>{t('tools.behaviorScaffolder.propertyKey')}</Label>
+                <Input
+                  id={`parameter-key-${parameter.name}`}
+                  value={parameter.key}
+                  onChange={(event) => update(index, { key: event.target.value })}
+                  list={PROPERTY_LIST_ID}
+                  aria-invalid={keyError}
+                  dir="ltr"
+                  className="font-mono"
+                />
+                {keyError && <p className="text-sm text-red-600">{t('tools.behaviorScaffolder.errors.key')}</p>}
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor={`parameter-value-${parameter.name}`}>{t('tools.behaviorScaffolder.defaultValue')}</Label>
+                <Input
+                  id={`parameter-value-${parameter.name}`}
+                  value={parameter.value}
+                  onChange={(event) => update(index, { value: event.target.value })}
+                  aria-invalid={valueError}
+                  dir="ltr"
+                  className="font-mono"
+                />
+                {valueError && <p className="text-sm text-red-600">{t(`tools.itemDesigner.errors.invalid_${parameter.type}`)}</p>}
+              </div>
+              {finding && (
+                <p className="md:col-span-3 flex items-center gap-2 text-sm text-amber-700 dark:text-amber-400">
+                  <AlertTriangle className="w-4 h-4 shrink-0" />
+                  {t(`tools.behaviorScaffolder.findings.${finding.code}`, {
+                    key: parameter.key,
+                    type: parameter.type,
+                    actual: finding.property?.type,
+                    value: parameter.value,
+                  })}
+                </p>
+              )}
+            </div>
+          );
+        })}
+        {definition && (
+          <datalist id={PROPERTY_LIST_ID}>
+            {definition.properties.map((property) => (
+              <option key={property.key} value={property.key} />
+            ))}
+          </datalist>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Behavior Scaffolder Page Component
+// Generates an ICustomItemBehavior class from a template, the chosen hooks and parameter bindings
+export const BehaviorScaffolderPage = () => {
+  const { t } = useLocale();
+  const [definition, setDefinition] = useState(null);
+  const [options, setOptions] = useState(() => toEditable(createBehaviorOptions('heal')));
+
+  const change = (next) => setOptions((current) => ({ ...current, ...next }));
+
+  const loadDefinition = (next) => {
+    setDefinition(next);
+    change({ className: behaviorClassName(next) });
+  };
+
+  const templateHooks = Object.keys(BEHAVIOR_TEMPLATES[options.template].hooks);
+
+  // Hooks picked by hand stay picked; the old template's hooks go with it
+  const chooseTemplate = (template) => {
+    const next = createBehaviorOptions(template, { className: options.className, namespace: options.namespace });
+    const picked = options.hooks.filter((hook) => !templateHooks.includes(hook) && !next.hooks.includes(hook));
+    setOptions(toEditable({ ...next, hooks: [...next.hooks, ...picked] }));
+  };
+
+  const toggleHook = (hook, checked) =>
+    change({ hooks: checked ? [...options.hooks, hook] : options.hooks.filter((entry) => entry !== hook) });
+
+  const classError = !isCSharpIdentifier(options.className);
+  const namespaceError = !isCSharpNamespace(options.namespace);
+  const valid =
+    !classError &&
+    !namespaceError &&
+    options.parameters.every((parameter) => parameter.key.trim() && parsePropertyValue(parameter.type, parameter.value) !== null);
+  const code =
+    valid &&
+    behaviorCode({
+      ...options,
+      parameters: options.parameters.map((parameter) => ({
+        ...parameter,
+        key: parameter.key.trim(),
+        value: parsePropertyValue(parameter.type, parameter.value),
+      })),
+    });
+
+  return (
+    <ToolPage toolKey="behaviorScaffolder">
+      <div className="space-y-6">
+        <ItemDefinitionCard
+          title={t('tools.behaviorScaffolder.definition')}
+          description={t('tools.behaviorScaffolder.definitionDescription')}
+          empty={t('tools.behaviorScaffolder.noDefinition')}
+          definition={definition}
+          onLoad={loadDefinition}
+          onClear={() => setDefinition(null)}
+        />
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('tools.behaviorScaffolder.behavior')}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid gap-4 md:grid-cols-3">
+              <div className="space-y-2">
+                <Label htmlFor="behavior-template">{t('tools.behaviorScaffolder.template')}</Label>
+                <Select value={options.template} onValueChange={chooseTemplate}>
+                  <SelectTrigger id="behavior-template" className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.keys(BEHAVIOR_TEMPLATES).map((template) => (
+                      <SelectItem key={template} value={template}>{t(`tools.behaviorScaffolder.templates.${template}`)}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="behavior-class">{t('tools.behaviorScaffolder.className')}</Label>
+                <Input
+                  id="behavior-class"
+                  value={options.className}
+                  onChange={(event) => change({ className: event.target.value })}
+                  aria-invalid={classError}
+                  dir="ltr"
+                  className="font-mono"
+                />
+                {classError && <p className="text-sm text-red-600">{t('tools.behaviorScaffolder.errors.className')}</p>}
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="behavior-namespace">{t('tools.behaviorScaffolder.namespace')}</Label>
+                <Input
+                  id="behavior-namespace"
+                  value={options.namespace}
+                  onChange={(event) => change({ namespace: event.target.value })}
+                  aria-invalid={namespaceError}
+                  dir="ltr"
+                  className="font-mono"
+                />
+                {namespaceError && <p className="text-sm text-red-600">{t('tools.behaviorScaffolder.errors.namespace')}</p>}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium">{t('tools.behaviorScaffolder.hooks')}</h4>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.behaviorScaffolder.hooksDescription')}</p>
+              <div className="flex flex-wrap gap-x-5 gap-y-2">
+                {BEHAVIOR_HOOKS.map((hook) => (
+                  <label key={hook} className="flex items-center gap-2 text-sm" dir="ltr">
+                    <Checkbox
+                      checked={options.hooks.includes(hook)}
+                      disabled={templateHooks.includes(hook)}
+                      onCheckedChange={(checked) => toggleHook(hook, checked)}
+                    />
+                    <span className="font-mono">{hook}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {options.parameters.length > 0 && (
+          <ParameterBindings
+            parameters={options.parameters}
+            definition={definition}
+            onChange={(parameters) => change({ parameters })}
+          />
+        )}
+
+        {code ? (
+          <Card>
+            <CardHeader className="flex flex-row items-start justify-between gap-4">
+              <div className="space-y-1.5">
+                <CardTitle>{t('tools.behaviorScaffolder.output')}</CardTitle>
+                <CardDescription>{t('tools.behaviorScaffolder.outputDescription', { className: options.className })}</CardDescription>
+              </div>
+              <Button type="button" variant="outline" size="sm" onClick={() => downloadFile(`${options.className}.cs`, code, 'text/plain')}>
+                <Download className="w-4 h-4 me-2" />
+                {t('tools.behaviorScaffolder.download')}
+              </Button>
+            </CardHeader>
+            <CardContent>
+              <CodeBlock data-title={`${options.className}.cs`} className="px-4">
+                <code>{code}</code>
+              </CodeBlock>
+            </CardContent>
+          </Card>
+        ) : (
+          <Alert>
+            <AlertCircle />
+            <AlertDescription>{t('tools.behaviorScaffolder.incomplete')}</AlertDescription>
+          </Alert>
+        )}
+      </div>
+    </ToolPage>
+  );
+};
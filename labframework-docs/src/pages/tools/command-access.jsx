@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Search } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx';
+import { PermissionDataCard } from '@/components/permission-data.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { buildCommandAccess, matchesCommand } from '@/lib/permissions/command-access.js';
+import { getCommands } from '@/lib/permissions/registry.js';
+
+// Holder List Component
+// The groups or users that may run a command, or everyone for commands without a permission
+const HolderList = ({ row, holders, id, label }) => {
+  const { t } = useLocale();
+
+  if (row.command.consoleOnly) return <span className="text-sm text-gray-500 dark:text-gray-400">{t('tools.commandAccess.consoleOnly')}</span>;
+  if (row.open) return <span className="text-sm text-green-700 dark:text-green-400">{t('tools.commandAccess.everyone')}</span>;
+  if (holders.length === 0) return <span className="text-gray-400">—</span>;
+  return (
+    <span className="flex flex-wrap gap-1">
+      {holders.map((holder) => (
+        <Badge key={id(holder)} variant="secondary" className="font-normal">
+          {label(holder)}
+        </Badge>
+      ))}
+    </span>
+  );
+};
+
+// Command Access Page Component
+// Which groups and users may execute each harvested command, with commands nobody can run flagged
+export const CommandAccessPage = () => {
+  const { t } = useLocale();
+  const { data } = usePermissionData();
+  const [filter, setFilter] = useState('');
+
+  if (!data) {
+    return (
+      <ToolPage toolKey="commandAccess">
+        <PermissionDataCard />
+      </ToolPage>
+    );
+  }
+
+  const rows = buildCommandAccess(data, getCommands());
+  const unheld = rows.filter((row) => row.unheld);
+  const visible = rows.filter((row) => matchesCommand(row.command, filter));
+
+  return (
+    <ToolPage toolKey="commandAccess">
+      <div className="space-y-8">
+        {unheld.length > 0 && (
+          <Alert>
+            <AlertTriangle className="text-amber-600" />
+            <AlertTitle>{t('tools.commandAccess.unheldTitle', { count: unheld.length })}</AlertTitle>
+            <AlertDescription>
+              <p>{t('tools.commandAccess.unheldDescription')}</p>
+              <ul className="flex flex-wrap gap-x-4 gap-y-1 font-mono text-xs" dir="ltr">
+                {unheld.map((row, index) => (
+                  <li key={index}>{`${row.command.name} (${row.command.permission})`}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('tools.commandAccess.tableTitle', { count: rows.length })}</CardTitle>
+            <CardDescription>{t('tools.commandAccess.tableDescription')}</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="relative max-w-sm">
+              <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <Input
+                value={filter}
+                onChange={(event) => setFilter(event.target.value)}
+                placeholder={t('tools.commandAccess.filter')}
+                aria-label={t('tools.commandAccess.filter')}
+                className="ps-9"
+              />
+            </div>
+
+            {rows.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.commandAccess.empty')}</p>
+            ) : visible.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.commandAccess.noMatches')}</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="text-start">{t('tools.commandAccess.command')}</TableHead>
+                      <TableHead className="text-start">{t('tools.commandAccess.permission')}</TableHead>
+                      <TableHead className="text-start">{t('tools.commandAccess.groups')}</TableHead>
+                      <TableHead className="text-start">{t('tools.commandAccess.users')}</TableHead>
+                      <TableHead className="text-start">{t('tools.commandAccess.console')}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {visible.map((row, index) => (
+                      <TableRow key={index} className={row.unheld ? 'bg-amber-50 dark:bg-amber-950/30' : undefined}>
+                        <TableCell className="align-top whitespace-normal">
+                          <span className="flex flex-wrap items-center gap-2">
+                            <code className="font-mono font-medium" dir="ltr">{row.command.name}</code>
+                            {row.command.aliases.map((alias) => (
+                              <code key={alias} className="font-mono text-xs text-gray-500" dir="ltr">{alias}</code>
+                            ))}
+                            {row.command.consoleOnly && <Badge variant="outline">{t('tools.commandAccess.consoleOnly')}</Badge>}
+                            {row.command.playerOnly && <Badge variant="outline">{t('tools.commandAccess.playerOnly')}</Badge>}
+                          </span>
+                          {row.command.description && (
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">{row.command.description}</span>
+                          )}
+                        </TableCell>
+                        <TableCell className="align-top">
+                          {row.open ? (
+                            <span className="text-gray-400">—</span>
+                          ) : (
+                            <span className="space-y-1">
+                              <code className="block font-mono text-xs" dir="ltr">{row.command.permission}</code>
+                              {row.unheld && (
+                                <span className="block text-xs text-amber-700 dark:text-amber-400">{t('tools.commandAccess.nobody')}</span>
+                              )}
+                            </span>
+                          )}
+                        </TableCell>
+                        <TableCell className="align-top whitespace-normal">
+                          <HolderList row={row} holders={row.groups} id={(group) => group.name} label={(group) => group.displayName} />
+                        </TableCell>
+                        <TableCell className="align-top whitespace-normal">
+                          <HolderList row={row} holders={row.users} id={(user) => user.userId} label={(user) => user.username} />
+                        </TableCell>
+                        <TableCell className="align-top">
+                          {row.console ? (
+                            <span className="text-sm text-green-700 dark:text-green-400">{t('tools.commandAccess.consoleAllowed')}</span>
+                          ) : (
+                            <span className="text-gray-400">—</span>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <PermissionDataCard />
+      </div>
+    </ToolPage>
+  );
+};
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { ar, enUS } from 'date-fns/locale';
+import { Check, Clock, Eraser, Trash2 } from 'lucide-react';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Calendar } from '@/components/ui/calendar.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { PermissionDataCard } from '@/components/permission-data.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { formatDateTime, formatUtc, isExpired, parseEvaluationTime, serializePermissionData } from '@/lib/permissions/data.js';
+import { getTimeLimitedGrants, simulateCleanup } from '@/lib/permissions/expiry.js';
+
+const CALENDAR_LOCALES = { ar, en: enUS };
+
+const utcDayKey = (date) => formatDateTime(date).slice(0, 10);
+
+// The calendar works on local days, expiry times are UTC: show each on its UTC day
+const toCalendarDay = (date) => new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// Grant Row Component
+const GrantRow = ({ grant, removed }) => {
+  const { t } = useLocale();
+  const { owner, permission } = grant;
+
+  return (
+    <li className="space-y-1 rounded-md border border-gray-200 dark:border-gray-700 p-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <Badge variant="outline">{t(`tools.expiryTimeline.${owner.kind}`, { name: owner.name })}</Badge>
+        <code className="font-mono" dir="ltr">{permission.node}</code>
+        <Badge variant={permission.value ? 'default' : 'destructive'}>
+          {t(`tools.expiryTimeline.${permission.value ? 'allow' : 'deny'}`)}
+        </Badge>
+        {removed && <Badge variant="destructive" className="ms-auto">{t('tools.expiryTimeline.removed')}</Badge>}
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        {t('tools.expiryTimeline.expires', { date: formatUtc(permission.expiresAt) })}
+        {permission.grantedBy && ` · ${t('tools.expiryTimeline.grantedBy', { name: permission.grantedBy })}`}
+      </p>
+      {permission.reason && <p className="text-gray-700 dark:text-gray-300">{permission.reason}</p>}
+    </li>
+  );
+};
+
+// Timeline Component
+// Grants by UTC day, soonest first, with a marker where the simulated cleanup runs
+const Timeline = ({ grants, now }) => {
+  const { t, locale } = useLocale();
+  const dayFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone: 'UTC' });
+  const days = [];
+  for (const grant of grants) {
+    const key = utcDayKey(grant.permission.expiresAt);
+    if (days.at(-1)?.key !== key) days.push({ key, date: grant.permission.expiresAt, grants: [] });
+    days.at(-1).grants.push(grant);
+  }
+  const markerIndex = days.findIndex((day) => day.grants.some((grant) => !isExpired(grant.permission, now)));
+
+  const marker = (
+    <li key="cleanup" className="flex items-center gap-2 text-xs font-medium text-red-600 dark:text-red-400">
+      <Eraser className="w-4 h-4" />
+      <span className="flex-1 border-t border-dashed border-red-400" />
+      {t('tools.expiryTimeline.cleanupMarker', { date: formatUtc(now) })}
+    </li>
+  );
+
+  return (
+    <ol className="space-y-6">
+      {days.map((day, index) => (
+        <React.Fragment key={day.key}>
+          {index === markerIndex && marker}
+          <li>
+            <h3 className="flex items-center gap-2 mb-2 text-sm font-medium">
+              <Clock className="w-4 h-4 text-gray-500" />
+              {dayFormat.format(day.date)}
+            </h3>
+            <ul className="space-y-2">
+              {day.grants.map((grant) => (
+                <GrantRow
+                  key={`${grant.owner.kind}:${grant.owner.key}:${grant.permission.node}`}
+                  grant={grant}
+                  removed={isExpired(grant.permission, now)}
+                />
+              ))}
+            </ul>
+          </li>
+        </React.Fragment>
+      ))}
+      {markerIndex === -1 && marker}
+    </ol>
+  );
+};
+
+// Cleanup Preview Component
+// Exactly what CleanupExpiredPermissionsAsync would remove at the chosen time
+const CleanupPreview = ({ cleanup, now }) => {
+  const { t } = useLocale();
+  const { setText } = usePermissionData();
+  const [applied, setApplied] = useState(false);
+
+  const apply = () => {
+    setText(JSON.stringify(serializePermissionData(cleanup.data, { now }), null, 2));
+    setApplied(true);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.expiryTimeline.cleanupTitle')}</CardTitle>
+        <CardDescription>{t('tools.expiryTimeline.cleanupDescription')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {cleanup.removed.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400">{t('tools.expiryTimeline.nothingToClean')}</p>
+        ) : (
+          <>
+            <p className="font-mono text-xs" dir="ltr">
+              {`Cleaned expired permissions: ${cleanup.cleanedUsers} users, ${cleanup.cleanedGroups} groups`}
+            </p>
+            <ul className="space-y-1">
+              {cleanup.removed.map(({ owner, permission }) => (
+                <li key={`${owner.kind}:${owner.key}:${permission.node}`} className="flex items-center gap-2">
+                  <Trash2 className="w-4 h-4 shrink-0 text-red-600" />
+                  <span>{t(`tools.expiryTimeline.${owner.kind}`, { name: owner.name })}</span>
+                  <code className="font-mono text-xs" dir="ltr">{permission.node}</code>
+                </li>
+              ))}
+            </ul>
+            <Button variant="outline" size="sm" onClick={apply}>
+              <Eraser className="w-4 h-4 me-2" />
+              {t('tools.expiryTimeline.apply')}
+            </Button>
+          </>
+        )}
+        {applied && (
+          <Alert>
+            <Check />
+            <AlertDescription>{t('tools.expiryTimeline.applied')}</AlertDescription>
+          </Alert>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Expiry Timeline Page Component
+// Time-limited grants on a calendar and a timeline, with a preview of the cleanup at a chosen time
+export const ExpiryTimelinePage = () => {
+  const { t, locale, dir } = useLocale();
+  const { data } = usePermissionData();
+  const [time, setTime] = useState('');
+  const { now, error: timeError } = parseEvaluationTime(time);
+
+  if (!data) {
+    return (
+      <ToolPage toolKey="expiryTimeline">
+        <PermissionDataCard />
+      </ToolPage>
+    );
+  }
+
+  const grants = getTimeLimitedGrants(data);
+  const cleanup = now && simulateCleanup(data, now);
+  const removedDays = cleanup ? cleanup.removed.map(({ permission }) => toCalendarDay(permission.expiresAt)) : [];
+
+  // Picking a day keeps the time of day of the current cleanup time
+  const selectDay = (day) => {
+    if (day) setTime(`${format(day, 'yyyy-MM-dd')}T${formatDateTime(now ?? new Date()).slice(11, 16)}`);
+  };
+
+  return (
+    <ToolPage toolKey="expiryTimeline">
+      <div className="grid lg:grid-cols-[minmax(0,1fr)_22rem] gap-8 items-start">
+        <div className="space-y-8 min-w-0">
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.expiryTimeline.timelineTitle', { count: grants.length })}</CardTitle>
+              <CardDescription>{t('tools.expiryTimeline.timelineDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {grants.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.expiryTimeline.noGrants')}</p>
+              ) : (
+                <Timeline grants={grants} now={now ?? new Date()} />
+              )}
+            </CardContent>
+          </Card>
+          <PermissionDataCard />
+        </div>
+        <div className="space-y-8 lg:sticky lg:top-24">
+          <Card>
+            <CardContent className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="expiry-time">{t('tools.expiryTimeline.cleanupAt')}</Label>
+                <Input id="expiry-time" type="datetime-local" value={time} onChange={(event) => setTime(event.target.value)} />
+                <p className={`text-xs ${timeError ? 'text-red-600' : 'text-gray-500 dark:text-gray-400'}`}>
+                  {timeError ? timeError.message : t('tools.expiryTimeline.cleanupAtHint')}
+                </p>
+              </div>
+              <Calendar
+                mode="single"
+                selected={now ? toCalendarDay(now) : undefined}
+                onSelect={selectDay}
+                defaultMonth={toCalendarDay(now ?? new Date())}
+                locale={CALENDAR_LOCALES[locale]}
+                dir={dir}
+                modifiers={{
+                  expiring: grants.map(({ permission }) => toCalendarDay(permission.expiresAt)),
+                  removed: removedDays,
+                }}
+                modifiersClassNames={{
+                  expiring: 'font-bold underline decoration-2 decoration-amber-500 underline-offset-4',
+                  removed: 'text-red-600 dark:text-red-400',
+                }}
+                className="mx-auto w-fit"
+              />
+            </CardContent>
+          </Card>
+          {cleanup && <CleanupPreview key={time} cleanup={cleanup} now={now} />}
+        </div>
+      </div>
+    </ToolPage>
+  );
+};
@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle2, RefreshCcw, TrendingUp, Unlink } from 'lucide-react';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { PermissionDataCard } from '@/components/permission-data.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { NODE_HEIGHT, NODE_WIDTH, analyzeGroupGraph, layoutGroupGraph, priorityColor } from '@/lib/permissions/graph.js';
+import { collectGroupPermissions } from '@/lib/permissions/resolver.js';
+
+const PADDING = 40;
+
+// Straight down to an inherited group below. Edges that stay in a layer or go back up only
+// occur in cycles: same-layer edges arc above (rightwards) or below (leftwards) so the two
+// directions of a loop stay apart, upward edges curve around the right side.
+const edgePath = (edge, from, to) => {
+  const startX = from.x + NODE_WIDTH / 2;
+  const endX = to.x + NODE_WIDTH / 2;
+  if (edge.from === edge.to) {
+    const x = from.x + NODE_WIDTH;
+    return `M ${x} ${from.y + 16} C ${x + 48} ${from.y - 8}, ${x + 48} ${from.y + NODE_HEIGHT + 8}, ${x} ${from.y + NODE_HEIGHT - 16}`;
+  }
+  if (to.y > from.y) return `M ${startX} ${from.y + NODE_HEIGHT} L ${endX} ${to.y - 2}`;
+  if (to.y === from.y) {
+    const [edgeY, bend] = from.x < to.x ? [from.y, -48] : [from.y + NODE_HEIGHT, 48];
+    return `M ${startX} ${edgeY} C ${startX} ${edgeY + bend}, ${endX} ${edgeY + bend}, ${endX} ${edgeY - Math.sign(bend) * 2}`;
+  }
+  return `M ${from.x + NODE_WIDTH} ${from.y + NODE_HEIGHT / 2} C ${from.x + NODE_WIDTH + 56} ${from.y + NODE_HEIGHT / 2}, ${to.x + NODE_WIDTH + 56} ${to.y + NODE_HEIGHT / 2}, ${to.x + NODE_WIDTH + 2} ${to.y + NODE_HEIGHT / 2}`;
+};
+
+// Group Graph Component
+const GroupGraph = ({ data, graph, selected, onSelect }) => {
+  const { t } = useLocale();
+  const layout = layoutGroupGraph(data, graph);
+  const cyclic = new Set(graph.cycles.flat());
+  const position = (id) => {
+    const { x, y } = layout.positions.get(id);
+    return { x: x + PADDING, y: y + PADDING };
+  };
+
+  return (
+    <div className="overflow-x-auto" dir="ltr">
+      <svg
+        width={layout.width + PADDING * 2 + 64}
+        height={layout.height + PADDING * 2}
+        className="mx-auto"
+        role="group"
+        aria-label={t('tools.groupGraph.graphLabel')}
+      >
+        <defs>
+          <marker id="group-graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" className="fill-gray-400" />
+          </marker>
+          <marker id="group-graph-arrow-cycle" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" className="fill-red-500" />
+          </marker>
+        </defs>
+
+        {graph.edges.map((edge, index) => (
+          <path
+            key={index}
+            d={edgePath(edge, position(edge.from), position(edge.to))}
+            fill="none"
+            strokeWidth={edge.isCycle ? 2 : 1.5}
+            strokeDasharray={edge.isCycle || edge.isMissing ? '6 4' : undefined}
+            className={edge.isCycle ? 'stroke-red-500' : edge.isMissing ? 'stroke-amber-500' : 'stroke-gray-400'}
+            markerEnd={`url(#group-graph-arrow${edge.isCycle ? '-cycle' : ''})`}
+          />
+        ))}
+
+        {graph.missing.map((node) => {
+          const { x, y } = position(node.id);
+          return (
+            <g key={node.id} transform={`translate(${x} ${y})`}>
+              <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="8" strokeDasharray="6 4" className="fill-amber-50 stroke-amber-500 dark:fill-amber-900/20" />
+              <text x={NODE_WIDTH / 2} y="24" textAnchor="middle" className="fill-amber-800 dark:fill-amber-200 font-mono text-sm">
+                {node.name}
+              </text>
+              <text x={NODE_WIDTH / 2} y="42" textAnchor="middle" className="fill-amber-700 dark:fill-amber-300 text-xs">
+                {t('tools.groupGraph.missing')}
+              </text>
+            </g>
+          );
+        })}
+
+        {graph.keys.map((key) => {
+          const group = data.groups.get(key);
+          const { x, y } = position(key);
+          const color = priorityColor(data, group.priority);
+          const isSelected = key === selected;
+          const select = () => onSelect(key);
+
+          return (
+            <g
+              key={key}
+              transform={`translate(${x} ${y})`}
+              role="button"
+              tabIndex={0}
+              aria-pressed={isSelected}
+              aria-label={group.name}
+              className="cursor-pointer focus:outline-none"
+              onClick={select}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                  event.preventDefault();
+                  select();
+                }
+              }}
+            >
+              <rect
+                width={NODE_WIDTH}
+                height={NODE_HEIGHT}
+                rx="8"
+                fill={color}
+                fillOpacity={isSelected ? 0.25 : 0.1}
+                stroke={color}
+                strokeWidth={isSelected ? 3 : 1.5}
+                strokeDasharray={graph.orphans.includes(key) ? '6 4' : undefined}
+              />
+              <text x={NODE_WIDTH / 2} y="24" textAnchor="middle" className="fill-gray-900 dark:fill-gray-100 font-mono text-sm font-semibold">
+                {cyclic.has(key) ? `⟳ ${group.name}` : group.name}
+              </text>
+              <text x={NODE_WIDTH / 2} y="42" textAnchor="middle" className="fill-gray-600 dark:fill-gray-400 text-xs">
+                {t('tools.groupGraph.priority', { priority: group.priority })}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+// Priority Legend Component
+const PriorityLegend = ({ data }) => {
+  const { t } = useLocale();
+  const priorities = [...new Set([...data.groups.values()].map((group) => group.priority))].sort((a, b) => a - b);
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-gray-600 dark:text-gray-400">
+      <span>{t('tools.groupGraph.legend')}</span>
+      {priorities.map((priority) => (
+        <span key={priority} className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: priorityColor(data, priority) }} />
+          {priority}
+        </span>
+      ))}
+      <span className="flex items-center gap-1">
+        <span className="inline-block w-5 border-t-2 border-dashed border-red-500" />
+        {t('tools.groupGraph.cycleEdge')}
+      </span>
+      <span className="flex items-center gap-1">
+        <span className="inline-block w-3 h-3 rounded-sm border border-dashed border-gray-500" />
+        {t('tools.groupGraph.orphanNode')}
+      </span>
+    </div>
+  );
+};
+
+// Diagnostics Component
+// What the service would skip or stop at silently
+const Diagnostics = ({ graph, onSelect }) => {
+  const { t } = useLocale();
+  const items = [
+    ...graph.cycles.map((cycle) => ({
+      icon: RefreshCcw,
+      color: 'text-red-600',
+      group: cycle[0],
+      text: t('tools.groupGraph.diagnostics.cycle', { path: cycle.join(' → ') }),
+    })),
+    ...graph.missingReferences.map(({ from, name }) => ({
+      icon: AlertTriangle,
+      color: 'text-amber-600',
+      group: from,
+      text: t('tools.groupGraph.diagnostics.missing', { group: from, name }),
+    })),
+    ...graph.orphans.map((group) => ({
+      icon: Unlink,
+      color: 'text-gray-500',
+      group,
+      text: t('tools.groupGraph.diagnostics.orphan', { group }),
+    })),
+    ...graph.priorityInversions.map(({ from, to }) => ({
+      icon: TrendingUp,
+      color: 'text-amber-600',
+      group: from,
+      text: t('tools.groupGraph.diagnostics.priorityInversion', { group: from, inherited: to }),
+    })),
+  ];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.groupGraph.diagnostics.title')}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {items.length === 0 ? (
+          <p className="flex items-center gap-2 text-sm text-green-700 dark:text-green-400">
+            <CheckCircle2 className="w-4 h-4" />
+            {t('tools.groupGraph.diagnostics.none')}
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {items.map((item, index) => (
+              <li key={index}>
+                <button
+                  type="button"
+                  onClick={() => onSelect(item.group)}
+                  className="flex w-full gap-3 rounded-md p-2 text-start text-sm hover:bg-gray-50 dark:hover:bg-gray-800"
+                >
+                  <item.icon className={`mt-0.5 w-4 h-4 shrink-0 ${item.color}`} />
+                  <span>{item.text}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Group Details Component
+// The selected group with its effective node set, collected like AddGroupPermissionsAsync
+const GroupDetails = ({ data, graph, groupKey }) => {
+  const { t } = useLocale();
+  const group = data.groups.get(groupKey);
+  const nodes = collectGroupPermissions(data, group);
+  const users = graph.usersByGroup(groupKey);
+  const inheritedBy = graph.inheritedBy(groupKey);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{group.displayName}</CardTitle>
+        <CardDescription>{group.description}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-5 text-sm">
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2">
+          <dt className="text-gray-500 dark:text-gray-400">{t('tools.groupGraph.name')}</dt>
+          <dd className="font-mono" dir="ltr">{group.name}</dd>
+          <dt className="text-gray-500 dark:text-gray-400">{t('tools.groupGraph.priorityLabel')}</dt>
+          <dd>{group.priority}</dd>
+          <dt className="text-gray-500 dark:text-gray-400">{t('tools.groupGraph.inherits')}</dt>
+          <dd className="font-mono" dir="ltr">{group.inheritedGroups.join(', ') || '-'}</dd>
+          <dt className="text-gray-500 dark:text-gray-400">{t('tools.groupGraph.inheritedBy')}</dt>
+          <dd className="font-mono" dir="ltr">{inheritedBy.join(', ') || '-'}</dd>
+          <dt className="text-gray-500 dark:text-gray-400">{t('tools.groupGraph.users')}</dt>
+          <dd>{users.map((user) => user.username).join(', ') || '-'}</dd>
+        </dl>
+
+        <div>
+          <h3 className="font-medium mb-1">{t('tools.groupGraph.effectiveNodes', { count: nodes.length })}</h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">{t('tools.groupGraph.effectiveNodesHint')}</p>
+          <ul className="space-y-1">
+            {nodes.map((entry) => (
+              <li key={entry.node} className="flex items-center justify-between gap-2">
+                <code className="font-mono text-xs" dir="ltr">{entry.node}</code>
+                {entry.group !== group && (
+                  <Badge variant="secondary" className="font-mono" dir="ltr">{entry.group.name}</Badge>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Group Graph Page Component
+export const GroupGraphPage = () => {
+  const { t } = useLocale();
+  const { data } = usePermissionData();
+  const [selected, setSelected] = useState(null);
+
+  if (!data || data.groups.size === 0) {
+    return (
+      <ToolPage toolKey="groupGraph">
+        <PermissionDataCard />
+      </ToolPage>
+    );
+  }
+
+  const graph = analyzeGroupGraph(data);
+  const groupKey = data.groups.has(selected) ? selected : graph.keys[0];
+
+  return (
+    <ToolPage toolKey="groupGraph">
+      <div className="grid lg:grid-cols-[minmax(0,1fr)_22rem] gap-8 items-start">
+        <div className="space-y-8 min-w-0">
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.groupGraph.graphTitle')}</CardTitle>
+              <CardDescription>{t('tools.groupGraph.graphDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <GroupGraph data={data} graph={graph} selected={groupKey} onSelect={setSelected} />
+              <PriorityLegend data={data} />
+            </CardContent>
+          </Card>
+          <Diagnostics graph={graph} onSelect={setSelected} />
+          <PermissionDataCard />
+        </div>
+        <div className="lg:sticky lg:top-24">
+          <GroupDetails data={data} graph={graph} groupKey={groupKey} />
+        </div>
+      </div>
+    </ToolPage>
+  );
+};
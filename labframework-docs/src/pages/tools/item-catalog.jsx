@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Search, Tag } from 'lucide-react';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx';
+import { ItemCatalogCard } from '@/components/item-catalog.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useItemCatalog } from '@/hooks/use-item-catalog.js';
+import { useLocale } from '@/hooks/use-locale.js';
+import { filterCatalog, getCatalogTags, itemPath } from '@/lib/custom-items/catalog.js';
+import { getBuiltInSource } from '@/lib/custom-items/registry.js';
+
+// Item Facts Component
+// Base type, stacking and durability of a definition
+const ItemFacts = ({ definition }) => {
+  const { t } = useLocale();
+
+  return (
+    <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+      <dt className="text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.baseItemType')}</dt>
+      <dd className="font-mono" dir="ltr">{definition.baseItemType || '—'}</dd>
+      <dt className="text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.stacking')}</dt>
+      <dd>
+        {definition.isStackable
+          ? t('tools.itemCatalog.stackable', { size: definition.maxStackSize })
+          : t('tools.itemCatalog.notStackable')}
+      </dd>
+      <dt className="text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.maxDurability')}</dt>
+      <dd className="font-mono">{definition.maxDurability}</dd>
+    </dl>
+  );
+};
+
+// Property Table Component
+const PropertyTable = ({ properties }) => {
+  const { t } = useLocale();
+
+  if (properties.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.noProperties')}</p>;
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead className="text-start">{t('tools.itemCatalog.property')}</TableHead>
+          <TableHead className="text-start">{t('tools.itemCatalog.type')}</TableHead>
+          <TableHead className="text-start">{t('tools.itemCatalog.value')}</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {properties.map((property) => (
+          <TableRow key={property.key}>
+            <TableCell className="font-mono" dir="ltr">{property.key}</TableCell>
+            <TableCell className="font-mono" dir="ltr">{property.type}</TableCell>
+            <TableCell className="font-mono whitespace-normal" dir="ltr">{String(property.value)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+// Tag List Component
+const TagList = ({ tags }) => (
+  <div className="flex flex-wrap gap-1">
+    {tags.map((tag) => (
+      <Badge key={tag} variant="outline" dir="ltr">
+        {tag}
+      </Badge>
+    ))}
+  </div>
+);
+
+// Item Card Component
+const ItemCard = ({ item }) => {
+  const { t, localePath } = useLocale();
+  const { definition, builtIn } = item;
+
+  return (
+    <Card className="h-full">
+      <CardHeader>
+        <div className="flex flex-wrap items-center gap-2">
+          <CardTitle>
+            <Link to={localePath(itemPath(definition.id))} className="hover:underline">
+              {definition.name || definition.id}
+            </Link>
+          </CardTitle>
+          {builtIn && <Badge variant="secondary">{t('tools.itemCatalog.builtIn')}</Badge>}
+        </div>
+        <code className="font-mono text-xs text-gray-500" dir="ltr">{definition.id}</code>
+        {definition.description && <CardDescription>{definition.description}</CardDescription>}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {definition.tags.length > 0 && <TagList tags={definition.tags} />}
+        <ItemFacts definition={definition} />
+        <PropertyTable properties={definition.properties} />
+      </CardContent>
+    </Card>
+  );
+};
+
+// Item Catalog Page Component
+// Every registered custom item, filtered by tags and text
+export const ItemCatalogPage = () => {
+  const { t } = useLocale();
+  const { catalog } = useItemCatalog();
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [query, setQuery] = useState('');
+
+  const tags = getCatalogTags(catalog.items);
+  // A tag left over from definitions that were cleared selects nothing
+  const activeTags = selectedTags.filter((tag) => tags.some((entry) => entry.tag.toLowerCase() === tag.toLowerCase()));
+  const visible = filterCatalog(catalog.items, { tags: activeTags, query });
+
+  const toggleTag = (tag) =>
+    setSelectedTags(activeTags.includes(tag) ? activeTags.filter((entry) => entry !== tag) : [...activeTags, tag]);
+
+  return (
+    <ToolPage toolKey="itemCatalog">
+      <div className="space-y-6">
+        <ItemCatalogCard />
+
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('tools.itemCatalog.items', { count: visible.length })}</CardTitle>
+            <CardDescription>{t('tools.itemCatalog.itemsDescription')}</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="relative max-w-sm">
+              <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <Input
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                placeholder={t('tools.itemCatalog.filter')}
+                aria-label={t('tools.itemCatalog.filter')}
+                className="ps-9"
+              />
+            </div>
+            {tags.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2" role="group" aria-label={t('tools.itemCatalog.tags')}>
+                <Tag className="w-4 h-4 text-gray-400" />
+                {tags.map(({ tag, count }) => (
+                  <Button
+                    key={tag}
+                    type="button"
+                    variant={activeTags.includes(tag) ? 'default' : 'outline'}
+                    size="sm"
+                    aria-pressed={activeTags.includes(tag)}
+                    onClick={() => toggleTag(tag)}
+                  >
+                    <span dir="ltr">{tag}</span>
+                    <span className="ms-1 text-xs opacity-70">{count}</span>
+                  </Button>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {visible.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.noMatches')}</p>
+        ) : (
+          <div className="grid gap-6 md:grid-cols-2">
+            {visible.map((item) => (
+              <ItemCard key={item.definition.id} item={item} />
+            ))}
+          </div>
+        )}
+      </div>
+    </ToolPage>
+  );
+};
+
+// Item Detail Page Component
+// One item of the catalog; imported items are only found while their definitions are loaded
+export const ItemDetailPage = () => {
+  const { itemId } = useParams();
+  const { t, localePath } = useLocale();
+  const { catalog } = useItemCatalog();
+  const item = catalog.items.find(({ definition }) => definition.id === itemId);
+
+  if (!item) {
+    return (
+      <ToolPage toolKey="itemCatalog" subpage={{ title: itemId, description: t('tools.itemCatalog.notFound') }}>
+        <Button asChild variant="outline">
+          <Link to={localePath('/tools/item-catalog')}>
+            <ArrowLeft className="w-4 h-4 me-2 rtl:rotate-180" />
+            {t('tools.itemCatalog.back')}
+          </Link>
+        </Button>
+      </ToolPage>
+    );
+  }
+
+  const { definition, builtIn } = item;
+  const source = builtIn && getBuiltInSource(definition.id);
+
+  return (
+    <ToolPage
+      toolKey="itemCatalog"
+      subpage={{ title: definition.name || definition.id, description: definition.description || t('tools.itemCatalog.description') }}
+    >
+      <div className="grid gap-6 lg:grid-cols-[2fr_1fr]">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('tools.itemCatalog.properties')}</CardTitle>
+            <CardDescription>{t('tools.itemCatalog.propertiesDescription')}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <PropertyTable properties={definition.properties} />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <div className="flex flex-wrap items-center gap-2">
+              <CardTitle className="font-mono" dir="ltr">{definition.id}</CardTitle>
+              {builtIn && <Badge variant="secondary">{t('tools.itemCatalog.builtIn')}</Badge>}
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ItemFacts definition={definition} />
+            <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+              <dt className="text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.behaviorType')}</dt>
+              <dd className="font-mono break-all" dir="ltr">{definition.behaviorType || '—'}</dd>
+              {definition.iconPath && (
+                <>
+                  <dt className="text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.iconPath')}</dt>
+                  <dd className="font-mono break-all" dir="ltr">{definition.iconPath}</dd>
+                </>
+              )}
+              {definition.modelPath && (
+                <>
+                  <dt className="text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.modelPath')}</dt>
+                  <dd className="font-mono break-all" dir="ltr">{definition.modelPath}</dd>
+                </>
+              )}
+              {source && (
+                <>
+                  <dt className="text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.source')}</dt>
+                  <dd className="font-mono break-all" dir="ltr">{`${source.file}:${source.line}`}</dd>
+                </>
+              )}
+            </dl>
+            {definition.tags.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.itemCatalog.tags')}</p>
+                <TagList tags={definition.tags} />
+              </div>
+            )}
+            <Button asChild variant="outline" size="sm">
+              <Link to={localePath('/tools/item-catalog')}>
+                <ArrowLeft className="w-4 h-4 me-2 rtl:rotate-180" />
+                {t('tools.itemCatalog.back')}
+              </Link>
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    </ToolPage>
+  );
+};
@@ -0,0 +1,416 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { useFieldArray, useForm, useFormContext, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, Download, FileUp, Plus, RotateCcw, Sparkles, Trash2, X } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Form, FormControl, FormDescription, FormField, FormItem, FormLabel, FormMessage } from '@/components/ui/form.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { CodeBlock } from '@/components/code-block.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { downloadFile } from '@/lib/download.js';
+import { registrationCode } from '@/lib/custom-items/codegen.js';
+import {
+  BASE_ITEM_TYPES,
+  CustomItemDefinitionError,
+  PROPERTY_TYPES,
+  parseItemDefinitionJson,
+  serializeItemDefinition,
+} from '@/lib/custom-items/definition.js';
+import { BUILT_IN_ITEMS } from '@/lib/custom-items/registry.js';
+import {
+  createItemDesignerSchema,
+  createItemDesignerValues,
+  createProperty,
+  fromItemDesignerValues,
+  parsePropertyValue,
+  toItemDesignerValues,
+} from '@/lib/custom-items/schema.js';
+
+const BASE_TYPE_LIST_ID = 'item-designer-base-types';
+
+// Value a property gets when its type changes and its text does not parse as the new type
+const PROPERTY_TYPE_DEFAULTS = { int: '0', float: '0', double: '0', bool: 'false', string: '' };
+
+// Text Field Component
+const TextField = ({ name, label, description, className, inputClassName, ...props }) => {
+  const { control } = useFormContext();
+
+  return (
+    <FormField
+      control={control}
+      name={name}
+      render={({ field }) => (
+        <FormItem className={className}>
+          <FormLabel>{label}</FormLabel>
+          <FormControl>
+            <Input {...field} className={inputClassName} {...props} />
+          </FormControl>
+          {description && <FormDescription>{description}</FormDescription>}
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+};
+
+// Property List Field Component
+// Properties with the C# type GetProperty<T> reads them as
+const PropertyListField = () => {
+  const { t } = useLocale();
+  const { control, getValues, setValue } = useFormContext();
+  const { fields, append, remove } = useFieldArray({ control, name: 'properties' });
+  const properties = useWatch({ control, name: 'properties' });
+
+  const changeType = (index, type) => {
+    const value = getValues(`properties.${index}.value`);
+    if (parsePropertyValue(type, value) === null) setValue(`properties.${index}.value`, PROPERTY_TYPE_DEFAULTS[type]);
+  };
+
+  return (
+    <div className="space-y-3">
+      {fields.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.itemDesigner.noProperties')}</p>}
+      {fields.map((item, index) => (
+        <div key={item.id} className="grid gap-3 rounded-md border border-gray-200 dark:border-gray-700 p-3 md:grid-cols-[1fr_10rem_1fr_auto] md:items-start">
+          <TextField name={`properties.${index}.key`} label={t('tools.itemDesigner.propertyKey')} dir="ltr" inputClassName="font-mono" />
+          <FormField
+            control={control}
+            name={`properties.${index}.type`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>{t('tools.itemDesigner.propertyType')}</FormLabel>
+                <Select
+                  value={field.value}
+                  onValueChange={(type) => {
+                    changeType(index, type);
+                    field.onChange(type);
+                  }}
+                >
+                  <FormControl>
+                    <SelectTrigger className="w-full font-mono" dir="ltr">
+                      <SelectValue />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {PROPERTY_TYPES.map((type) => (
+                      <SelectItem key={type} value={type} className="font-mono">{type}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </FormItem>
+            )}
+          />
+          {properties[index]?.type === 'bool' ? (
+            <FormField
+              control={control}
+              name={`properties.${index}.value`}
+              render={({ field }) => (
+                <FormItem>
+                  <FormLabel>{t('tools.itemDesigner.propertyValue')}</FormLabel>
+                  <div className="flex h-9 items-center gap-2">
+                    <FormControl>
+                      <Switch checked={field.value === 'true'} onCheckedChange={(checked) => field.onChange(String(checked))} />
+                    </FormControl>
+                    <span className="font-mono text-sm">{field.value}</span>
+                  </div>
+                </FormItem>
+              )}
+            />
+          ) : (
+            <TextField name={`properties.${index}.value`} label={t('tools.itemDesigner.propertyValue')} dir="ltr" inputClassName="font-mono" />
+          )}
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            className="text-red-600 md:mt-6"
+            onClick={() => remove(index)}
+            aria-label={t('tools.itemDesigner.removeProperty')}
+            title={t('tools.itemDesigner.removeProperty')}
+          >
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        </div>
+      ))}
+      <Button type="button" variant="outline" size="sm" onClick={() => append(createProperty())}>
+        <Plus className="w-4 h-4 me-2" />
+        {t('tools.itemDesigner.addProperty')}
+      </Button>
+    </div>
+  );
+};
+
+// Tag Field Component
+// Tags as chips; HasTag and AddTag ignore case, so a tag that differs only in case is not added
+const TagField = () => {
+  const { t } = useLocale();
+  const { control } = useFormContext();
+  const [draft, setDraft] = useState('');
+
+  return (
+    <FormField
+      control={control}
+      name="tags"
+      render={({ field }) => {
+        const add = () => {
+          const tag = draft.trim();
+          if (tag && !field.value.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+            field.onChange([...field.value, tag]);
+          }
+          setDraft('');
+        };
+
+        return (
+          <FormItem>
+            <FormLabel>{t('tools.itemDesigner.tags')}</FormLabel>
+            {field.value.length > 0 && (
+              <div className="flex flex-wrap gap-2" dir="ltr">
+                {field.value.map((tag) => (
+                  <Badge key={tag} variant="secondary" className="gap-1 font-mono">
+                    {tag}
+                    <button
+                      type="button"
+                      onClick={() => field.onChange(field.value.filter((value) => value !== tag))}
+                      aria-label={t('tools.itemDesigner.removeTag', { tag })}
+                      className="rounded-sm hover:text-red-600"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </Badge>
+                ))}
+              </div>
+            )}
+            <div className="flex gap-2">
+              <FormControl>
+                <Input
+                  value={draft}
+                  onChange={(event) => setDraft(event.target.value)}
+                  onKeyDown={(event) => {
+                    if (event.key !== 'Enter' && event.key !== ',') return;
+                    event.preventDefault();
+                    add();
+                  }}
+                  onBlur={field.onBlur}
+                  placeholder={t('tools.itemDesigner.tagPlaceholder')}
+                  dir="ltr"
+                  className="font-mono"
+                />
+              </FormControl>
+              <Button type="button" variant="outline" onClick={add} disabled={!draft.trim()}>
+                {t('tools.itemDesigner.addTag')}
+              </Button>
+            </div>
+          </FormItem>
+        );
+      }}
+    />
+  );
+};
+
+// Item Output Component
+// Generated C# and JSON, once the whole form is valid
+const ItemOutput = ({ schema }) => {
+  const { t } = useLocale();
+  const { control } = useFormContext();
+  const values = useWatch({ control });
+  const result = schema.safeParse(values);
+
+  if (!result.success) {
+    return (
+      <Alert>
+        <AlertCircle />
+        <AlertDescription>{t('tools.itemDesigner.incomplete')}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const definition = fromItemDesignerValues(result.data);
+  const code = registrationCode([definition]);
+  const json = JSON.stringify(serializeItemDefinition(definition), null, 2);
+  const outputs = [
+    { key: 'code', title: 'RegisterItem.cs', text: code, filename: `${definition.id}.cs`, type: 'text/plain' },
+    { key: 'json', title: `${definition.id}.json`, text: json, filename: `${definition.id}.json`, type: 'application/json' },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {outputs.map((output) => (
+        <Card key={output.key}>
+          <CardHeader className="flex flex-row items-start justify-between gap-4">
+            <div className="space-y-1.5">
+              <CardTitle>{t(`tools.itemDesigner.${output.key}Title`)}</CardTitle>
+              <CardDescription>{t(`tools.itemDesigner.${output.key}Description`)}</CardDescription>
+            </div>
+            <Button type="button" variant="outline" size="sm" onClick={() => downloadFile(output.filename, output.text, output.type)}>
+              <Download className="w-4 h-4 me-2" />
+              {t('tools.itemDesigner.download')}
+            </Button>
+          </CardHeader>
+          <CardContent>
+            <CodeBlock data-title={output.title} className="px-4">
+              <code>{output.text}</code>
+            </CodeBlock>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+// Item Designer Page Component
+// Form for a CustomItemDefinition that generates its registration code and JSON
+export const ItemDesignerPage = () => {
+  const { t } = useLocale();
+  const schema = useMemo(() => createItemDesignerSchema(t), [t]);
+  const form = useForm({ resolver: zodResolver(schema), defaultValues: createItemDesignerValues(), mode: 'onTouched' });
+  const [importError, setImportError] = useState(null);
+  const fileInput = useRef(null);
+
+  const load = (definition) => {
+    form.reset(toItemDesignerValues(definition));
+    setImportError(null);
+  };
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      load(parseItemDefinitionJson(await file.text()));
+    } catch (error) {
+      if (!(error instanceof CustomItemDefinitionError)) throw error;
+      setImportError(error.message);
+    }
+  };
+
+  return (
+    <ToolPage toolKey="itemDesigner">
+      <Form {...form}>
+        <form onSubmit={(event) => event.preventDefault()} className="space-y-6">
+          <Card>
+            <CardContent className="flex flex-wrap items-center gap-2">
+              {BUILT_IN_ITEMS.map((item) => (
+                <Button key={item.id} type="button" variant="outline" size="sm" onClick={() => load(item)}>
+                  <Sparkles className="w-4 h-4 me-2" />
+                  {t('tools.itemDesigner.loadExample', { name: item.name })}
+                </Button>
+              ))}
+              <Button type="button" variant="outline" size="sm" onClick={() => fileInput.current.click()}>
+                <FileUp className="w-4 h-4 me-2" />
+                {t('tools.itemDesigner.import')}
+              </Button>
+              <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+              <Button type="button" variant="outline" size="sm" className="ms-auto" onClick={() => load(createItemDesignerValues())}>
+                <RotateCcw className="w-4 h-4 me-2" />
+                {t('tools.itemDesigner.reset')}
+              </Button>
+            </CardContent>
+          </Card>
+
+          {importError && (
+            <Alert variant="destructive">
+              <AlertCircle />
+              <AlertTitle>{t('tools.itemDesigner.importFailed')}</AlertTitle>
+              <AlertDescription>
+                <p dir="ltr" className="font-mono text-xs">{importError}</p>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.itemDesigner.definition')}</CardTitle>
+            </CardHeader>
+            <CardContent className="grid gap-4 md:grid-cols-2">
+              <TextField
+                name="id"
+                label={t('tools.itemDesigner.id')}
+                description={t('tools.itemDesigner.idHint')}
+                placeholder="healing_potion"
+                dir="ltr"
+                inputClassName="font-mono"
+              />
+              <TextField name="name" label={t('tools.itemDesigner.name')} />
+              <TextField name="description" label={t('tools.itemDesigner.itemDescription')} className="md:col-span-2" />
+              <TextField
+                name="baseItemType"
+                label={t('tools.itemDesigner.baseItemType')}
+                list={BASE_TYPE_LIST_ID}
+                dir="ltr"
+                inputClassName="font-mono"
+              />
+              <datalist id={BASE_TYPE_LIST_ID}>
+                {BASE_ITEM_TYPES.map((type) => (
+                  <option key={type} value={type} />
+                ))}
+              </datalist>
+              <TextField name="maxDurability" label={t('tools.itemDesigner.maxDurability')} type="number" min="1" step="1" />
+              <FormField
+                control={form.control}
+                name="isStackable"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>{t('tools.itemDesigner.isStackable')}</FormLabel>
+                    <div className="flex h-9 items-center gap-2">
+                      <FormControl>
+                        <Switch
+                          checked={field.value}
+                          onCheckedChange={(checked) => {
+                            field.onChange(checked);
+                            form.trigger('maxStackSize');
+                          }}
+                        />
+                      </FormControl>
+                      <span className="text-sm">{field.value ? t('tools.itemDesigner.stackable') : t('tools.itemDesigner.notStackable')}</span>
+                    </div>
+                  </FormItem>
+                )}
+              />
+              <TextField
+                name="maxStackSize"
+                label={t('tools.itemDesigner.maxStackSize')}
+                description={t('tools.itemDesigner.maxStackSizeHint')}
+                type="number"
+                min="1"
+                step="1"
+              />
+              <TextField name="iconPath" label={t('tools.itemDesigner.iconPath')} dir="ltr" inputClassName="font-mono" />
+              <TextField name="modelPath" label={t('tools.itemDesigner.modelPath')} dir="ltr" inputClassName="font-mono" />
+              <TextField
+                name="behaviorType"
+                label={t('tools.itemDesigner.behaviorType')}
+                description={t('tools.itemDesigner.behaviorTypeHint')}
+                placeholder="HealingPotionBehavior"
+                dir="ltr"
+                inputClassName="font-mono"
+              />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.itemDesigner.properties')}</CardTitle>
+              <CardDescription>{t('tools.itemDesigner.propertiesDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <PropertyListField />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent>
+              <TagField />
+            </CardContent>
+          </Card>
+
+          <ItemOutput schema={schema} />
+        </form>
+      </Form>
+    </ToolPage>
+  );
+};
@@ -0,0 +1,354 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertCircle, AlertTriangle, CheckCircle2, Download, FileUp, PackageCheck, Wand2 } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Checkbox } from '@/components/ui/checkbox.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import { CodeBlock } from '@/components/code-block.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useItemCatalog } from '@/hooks/use-item-catalog.js';
+import { useLocale } from '@/hooks/use-locale.js';
+import { getCatalogIds } from '@/lib/custom-items/catalog.js';
+import { CustomItemDefinitionError, serializeItemDefinition } from '@/lib/custom-items/definition.js';
+import {
+  ITEM_PACK_EXTENSION,
+  compareVersions,
+  itemPackFilename,
+  parseItemPack,
+  parseItemPackJson,
+  resolvePackItems,
+  serializeItemPack,
+  suggestRenames,
+} from '@/lib/custom-items/pack.js';
+import { downloadFile } from '@/lib/download.js';
+import { CURRENT_VERSION } from '@/lib/versions.js';
+
+const METADATA_FIELDS = ['name', 'author', 'version', 'frameworkVersion'];
+
+const VERSION_FIELDS = ['version', 'frameworkVersion'];
+
+const readPack = (text) => {
+  if (!text.trim()) return { pack: null, error: null };
+  try {
+    return { pack: parseItemPackJson(text), error: null };
+  } catch (error) {
+    if (!(error instanceof CustomItemDefinitionError)) throw error;
+    return { pack: null, error };
+  }
+};
+
+// The exported file, or the first thing keeping the pack from being valid
+const buildPack = (metadata, items) => {
+  try {
+    const source = serializeItemPack({ ...metadata, items });
+    parseItemPack(source);
+    return { source, error: null };
+  } catch (error) {
+    if (!(error instanceof CustomItemDefinitionError)) throw error;
+    return { source: null, error };
+  }
+};
+
+// Pack Metadata Component
+const PackMetadata = ({ pack }) => {
+  const { t } = useLocale();
+
+  return (
+    <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+      {METADATA_FIELDS.map((field) => (
+        <React.Fragment key={field}>
+          <dt className="text-gray-500 dark:text-gray-400">{t(`tools.itemPacks.${field}`)}</dt>
+          <dd className={VERSION_FIELDS.includes(field) ? 'font-mono' : undefined}>{pack[field]}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+};
+
+// Pack Import Card Component
+// Validates a pack against the catalog and adds its items, renamed where their Id is taken
+const PackImportCard = () => {
+  const { t, localePath } = useLocale();
+  const { setText, catalog, error: catalogError } = useItemCatalog();
+  const [packText, setPackText] = useState('');
+  const [renames, setRenames] = useState({});
+  const [imported, setImported] = useState(null);
+  const fileInput = useRef(null);
+
+  const { pack, error } = useMemo(() => readPack(packText), [packText]);
+  const taken = getCatalogIds(catalog);
+  const resolved = pack ? resolvePackItems(pack.items, renames, taken) : [];
+  const collisions = resolved.filter((item) => item.issue === 'collision').length;
+  const blocked = resolved.some((item) => item.issue);
+  const newerFramework = pack && compareVersions(pack.frameworkVersion, CURRENT_VERSION) > 0;
+
+  const changePack = (text) => {
+    setPackText(text);
+    setRenames({});
+    setImported(null);
+  };
+
+  const loadFile = async (event) => {
+    const [file] = event.target.files;
+    if (file) changePack(await file.text());
+    event.target.value = '';
+  };
+
+  const importPack = () => {
+    const definitions = [
+      ...catalog.items.filter((item) => !item.builtIn).map((item) => item.definition),
+      ...resolved.map((item) => item.definition),
+    ];
+    setText(JSON.stringify(definitions.map(serializeItemDefinition), null, 2));
+    setImported({ name: pack.name, count: resolved.length });
+    setPackText('');
+    setRenames({});
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.itemPacks.import')}</CardTitle>
+        <CardDescription>{t('tools.itemPacks.importDescription')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="outline" size="sm" onClick={() => fileInput.current.click()}>
+            <FileUp className="w-4 h-4 me-2" />
+            {t('tools.itemPacks.load')}
+          </Button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept={`${ITEM_PACK_EXTENSION},.json,application/json`}
+            className="hidden"
+            onChange={loadFile}
+          />
+        </div>
+        <Textarea
+          value={packText}
+          onChange={(event) => changePack(event.target.value)}
+          rows={8}
+          spellCheck={false}
+          dir="ltr"
+          placeholder='{ "Format": 1, "Name": "...", "Author": "...", "Version": "1.0.0", "FrameworkVersion": "1.0.0", "Items": [...] }'
+          aria-label={t('tools.itemPacks.import')}
+          className="font-mono text-xs"
+        />
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertCircle />
+            <AlertTitle>{t('tools.itemPacks.invalid')}</AlertTitle>
+            <AlertDescription>
+              <p dir="ltr" className="font-mono text-xs">{error.message}</p>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {imported && (
+          <Alert>
+            <CheckCircle2 />
+            <AlertTitle>{t('tools.itemPacks.imported', imported)}</AlertTitle>
+            <AlertDescription>
+              <Link to={localePath('/tools/item-catalog')} className="underline">
+                {t('tools.itemPacks.openCatalog')}
+              </Link>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {pack && (
+          <>
+            <PackMetadata pack={pack} />
+
+            {newerFramework && (
+              <Alert>
+                <AlertTriangle />
+                <AlertTitle>{t('tools.itemPacks.newerFramework', { version: pack.frameworkVersion })}</AlertTitle>
+                <AlertDescription>{t('tools.itemPacks.newerFrameworkDescription', { current: CURRENT_VERSION })}</AlertDescription>
+              </Alert>
+            )}
+
+            {collisions > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <p className="text-sm text-amber-700 dark:text-amber-400">{t('tools.itemPacks.collisions', { count: collisions })}</p>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setRenames({ ...renames, ...suggestRenames(resolved, taken) })}
+                >
+                  <Wand2 className="w-4 h-4 me-2" />
+                  {t('tools.itemPacks.renameAll')}
+                </Button>
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="text-start">{t('tools.itemPacks.item')}</TableHead>
+                    <TableHead className="text-start">{t('tools.itemPacks.registerAs')}</TableHead>
+                    <TableHead className="text-start">{t('tools.itemPacks.status')}</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {resolved.map((item, index) => (
+                    <TableRow key={item.original}>
+                      <TableCell className="align-top">
+                        <span className="block font-medium">{item.definition.name || item.original}</span>
+                        <code className="font-mono text-xs text-gray-500" dir="ltr">{item.original}</code>
+                      </TableCell>
+                      <TableCell className="align-top">
+                        <div className="flex items-center gap-2">
+                          <Input
+                            value={renames[index] ?? item.original}
+                            onChange={(event) => setRenames({ ...renames, [index]: event.target.value })}
+                            dir="ltr"
+                            aria-label={t('tools.itemPacks.registerAs')}
+                            aria-invalid={Boolean(item.issue)}
+                            className="h-8 max-w-56 font-mono text-xs"
+                          />
+                          {item.issue === 'collision' && (
+                            <Button
+                              type="button"
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setRenames({ ...renames, [index]: suggestRenames(resolved, taken)[index] })}
+                            >
+                              {t('tools.itemPacks.rename')}
+                            </Button>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell className="align-top whitespace-normal">
+                        {item.issue ? (
+                          <span className="text-sm text-red-600">{t(`tools.itemPacks.issues.${item.issue}`)}</span>
+                        ) : (
+                          <Badge variant={item.renamed ? 'secondary' : 'outline'}>
+                            {t(item.renamed ? 'tools.itemPacks.renamed' : 'tools.itemPacks.ready')}
+                          </Badge>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            {catalogError && <p className="text-sm text-red-600">{t('tools.itemPacks.catalogInvalid')}</p>}
+            <Button type="button" onClick={importPack} disabled={blocked || Boolean(catalogError)}>
+              <PackageCheck className="w-4 h-4 me-2" />
+              {t('tools.itemPacks.addToCatalog', { count: resolved.length })}
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Pack Export Card Component
+// Bundles definitions of the catalog into a pack file
+const PackExportCard = () => {
+  const { t, localePath } = useLocale();
+  const { catalog } = useItemCatalog();
+  const [metadata, setMetadata] = useState({ name: '', author: '', version: '1.0.0', frameworkVersion: CURRENT_VERSION });
+  // Items are exported unless left out, so definitions added later are included
+  const [excluded, setExcluded] = useState([]);
+
+  // Built-in items are registered on every server and would collide on import
+  const available = catalog.items.filter((item) => !item.builtIn).map((item) => item.definition);
+  const selected = available.filter((definition) => !excluded.includes(definition.id));
+  const { source, error } = buildPack(metadata, selected);
+  const text = source && `${JSON.stringify(source, null, 2)}\n`;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.itemPacks.export')}</CardTitle>
+        <CardDescription>{t('tools.itemPacks.exportDescription')}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-2">
+          {METADATA_FIELDS.map((field) => (
+            <div key={field} className="space-y-2">
+              <Label htmlFor={`pack-${field}`}>{t(`tools.itemPacks.${field}`)}</Label>
+              <Input
+                id={`pack-${field}`}
+                value={metadata[field]}
+                onChange={(event) => setMetadata({ ...metadata, [field]: event.target.value })}
+                dir={VERSION_FIELDS.includes(field) ? 'ltr' : undefined}
+              />
+            </div>
+          ))}
+        </div>
+
+        {available.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('tools.itemPacks.noItems')}{' '}
+            <Link to={localePath('/tools/item-catalog')} className="underline">
+              {t('tools.itemPacks.openCatalog')}
+            </Link>
+          </p>
+        ) : (
+          <fieldset className="space-y-2">
+            <legend className="text-sm font-medium">{t('tools.itemPacks.items')}</legend>
+            {available.map((definition) => (
+              <div key={definition.id} className="flex items-center gap-2">
+                <Checkbox
+                  id={`pack-item-${definition.id}`}
+                  checked={!excluded.includes(definition.id)}
+                  onCheckedChange={(checked) =>
+                    setExcluded(checked ? excluded.filter((id) => id !== definition.id) : [...excluded, definition.id])
+                  }
+                />
+                <Label htmlFor={`pack-item-${definition.id}`} className="font-normal">
+                  {definition.name || definition.id}
+                  <code className="ms-2 font-mono text-xs text-gray-500" dir="ltr">{definition.id}</code>
+                </Label>
+              </div>
+            ))}
+          </fieldset>
+        )}
+
+        {error && available.length > 0 && (
+          <p dir="ltr" className="font-mono text-xs text-red-600">{error.message}</p>
+        )}
+
+        {text && (
+          <>
+            <div className="flex justify-end">
+              <Button type="button" variant="outline" size="sm" onClick={() => downloadFile(itemPackFilename(metadata), text)}>
+                <Download className="w-4 h-4 me-2" />
+                {t('tools.itemPacks.download')}
+              </Button>
+            </div>
+            <CodeBlock data-title={itemPackFilename(metadata)} className="px-4">
+              <code>{text}</code>
+            </CodeBlock>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Item Packs Page Component
+// Shares custom items between servers as versioned pack files
+export const ItemPacksPage = () => (
+  <ToolPage toolKey="itemPacks">
+    <div className="grid gap-6 lg:grid-cols-2">
+      <PackImportCard />
+      <PackExportCard />
+    </div>
+  </ToolPage>
+);
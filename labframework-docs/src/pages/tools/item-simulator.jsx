@@ -0,0 +1,291 @@
+import React, { useState } from 'react';
+import { AlertCircle, RotateCcw } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import { ItemDefinitionCard } from '@/components/item-definition.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { BUILT_IN_ITEMS } from '@/lib/custom-items/registry.js';
+import {
+  EXAMPLE_SCRIPT,
+  SIMULATION_COMMANDS,
+  SimulationScriptError,
+  durabilityPercentage,
+  itemState,
+  parseSimulationScript,
+  runSimulation,
+  stackPartners,
+} from '@/lib/custom-items/simulator.js';
+
+// The fields that can be tuned without editing the definition
+const TUNING_FIELDS = ['maxStackSize', 'maxDurability'];
+
+const toTuning = (definition) => ({
+  isStackable: definition.isStackable,
+  maxStackSize: String(definition.maxStackSize),
+  maxDurability: String(definition.maxDurability),
+});
+
+const runScript = (definition, script) => {
+  try {
+    return { results: runSimulation(definition, parseSimulationScript(script)), error: null };
+  } catch (error) {
+    if (!(error instanceof SimulationScriptError)) throw error;
+    return { results: [], error };
+  }
+};
+
+// Meter Component
+const Meter = ({ value, className }) => (
+  <div className="h-2 overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700">
+    <div className={`h-full ${className}`} style={{ width: `${Math.max(0, Math.min(1, value)) * 100}%` }} />
+  </div>
+);
+
+// Inventory Item Component
+// One CustomItem instance: a stack sharing one durability
+const InventoryItem = ({ item, inventory, definition }) => {
+  const { t } = useLocale();
+  const state = itemState(item, definition);
+  const partners = stackPartners(inventory, item, definition);
+  const percentage = durabilityPercentage(item, definition);
+
+  return (
+    <div className={`space-y-3 rounded-md border p-3 ${state.destroyed ? 'border-red-300 dark:border-red-800' : 'border-gray-200 dark:border-gray-700'}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-mono font-medium">#{item.number}</span>
+        {state.destroyed && <Badge variant="destructive">{t('tools.itemSimulator.destroyed')}</Badge>}
+        {state.stackFull && <Badge variant="secondary">{t('tools.itemSimulator.stackFull')}</Badge>}
+      </div>
+      <div className="space-y-1">
+        <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300">
+          <span>{t('tools.itemSimulator.stackSize')}</span>
+          <span className="font-mono" dir="ltr">{`${item.stackSize} / ${definition.maxStackSize}`}</span>
+        </div>
+        <Meter value={definition.maxStackSize > 0 ? item.stackSize / definition.maxStackSize : 1} className="bg-blue-600" />
+      </div>
+      <div className="space-y-1">
+        <div className="flex justify-between text-xs text-gray-600 dark:text-gray-300">
+          <span>{t('tools.itemSimulator.durability')}</span>
+          <span className="font-mono" dir="ltr">{`${item.durability} / ${definition.maxDurability} (${Math.round(percentage * 100)}%)`}</span>
+        </div>
+        <Meter value={percentage} className={state.destroyed ? 'bg-red-600' : 'bg-green-600'} />
+      </div>
+      <p className="text-xs text-gray-600 dark:text-gray-300">
+        {t('tools.itemSimulator.canStackWith')}{' '}
+        <span className="font-mono" dir="ltr">{partners.length > 0 ? partners.map((number) => `#${number}`).join(', ') : '—'}</span>
+      </p>
+      {item.data.length > 0 && (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs" dir="ltr">
+          {item.data.map((entry) => (
+            <React.Fragment key={entry.key}>
+              <dt className="font-mono text-gray-500">{`${entry.key}: ${entry.type}`}</dt>
+              <dd className="font-mono">{String(entry.value)}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+};
+
+// Step Result Component
+const StepResult = ({ result, selected, onSelect }) => {
+  const { t } = useLocale();
+
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={onSelect}
+        aria-pressed={selected}
+        className={`w-full space-y-1 rounded-md border px-3 py-2 text-start transition-colors ${
+          selected ? 'border-blue-400 bg-blue-50 dark:border-blue-700 dark:bg-blue-950/40' : 'border-gray-200 hover:bg-gray-50 dark:border-gray-700 dark:hover:bg-gray-800'
+        }`}
+      >
+        <span className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-gray-400">{result.step.line}</span>
+          <code className="font-mono text-sm" dir="ltr">{result.step.source}</code>
+          {result.returned !== undefined && result.returned !== null && (
+            <Badge variant="outline" className="font-mono">{t('tools.itemSimulator.returned', { value: String(result.returned) })}</Badge>
+          )}
+        </span>
+        {result.error && <span className="block text-sm text-red-600">{t(`tools.itemSimulator.errors.${result.error.code}`, result.error.params)}</span>}
+        {result.notes.map((note, index) => (
+          <span key={index} className="block text-xs text-gray-600 dark:text-gray-300">
+            {t(`tools.itemSimulator.notes.${note.code}`, note.params)}
+          </span>
+        ))}
+      </button>
+    </li>
+  );
+};
+
+// Item Simulator Page Component
+// Replays a script of pickups, uses and damage against the CustomItem rules
+export const ItemSimulatorPage = () => {
+  const { t } = useLocale();
+  const [definition, setDefinition] = useState(BUILT_IN_ITEMS[0]);
+  const [tuning, setTuning] = useState(() => toTuning(BUILT_IN_ITEMS[0]));
+  const [script, setScript] = useState(EXAMPLE_SCRIPT);
+  const [selected, setSelected] = useState(null);
+
+  const loadDefinition = (next) => {
+    setDefinition(next);
+    setTuning(toTuning(next));
+  };
+
+  const tuningErrors = Object.fromEntries(TUNING_FIELDS.map((field) => [field, !/^-?\d+$/.test(tuning[field].trim())]));
+  const valid = !Object.values(tuningErrors).some(Boolean);
+  const tuned = valid && {
+    ...definition,
+    isStackable: tuning.isStackable,
+    maxStackSize: Number(tuning.maxStackSize),
+    maxDurability: Number(tuning.maxDurability),
+  };
+  const { results, error } = tuned ? runScript(tuned, script) : { results: [], error: null };
+  const shown = results[selected] ?? results.at(-1);
+
+  return (
+    <ToolPage toolKey="itemSimulator">
+      <div className="space-y-6">
+        <ItemDefinitionCard
+          title={t('tools.itemSimulator.item')}
+          description={t('tools.itemSimulator.itemDescription')}
+          definition={definition}
+          onLoad={loadDefinition}
+        >
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className="space-y-2">
+              <Label htmlFor="simulator-stackable">{t('tools.itemSimulator.isStackable')}</Label>
+              <div className="flex h-9 items-center">
+                <Switch
+                  id="simulator-stackable"
+                  checked={tuning.isStackable}
+                  onCheckedChange={(isStackable) => setTuning({ ...tuning, isStackable })}
+                />
+              </div>
+            </div>
+            {TUNING_FIELDS.map((field) => (
+              <div key={field} className="space-y-2">
+                <Label htmlFor={`simulator-${field}`}>{t(`tools.itemSimulator.${field}`)}</Label>
+                <Input
+                  id={`simulator-${field}`}
+                  type="number"
+                  step="1"
+                  value={tuning[field]}
+                  onChange={(event) => setTuning({ ...tuning, [field]: event.target.value })}
+                  aria-invalid={tuningErrors[field]}
+                />
+                {tuningErrors[field] && <p className="text-sm text-red-600">{t('tools.itemSimulator.errors.integer')}</p>}
+              </div>
+            ))}
+          </div>
+        </ItemDefinitionCard>
+
+        <div className="grid gap-6 lg:grid-cols-2">
+          <Card>
+            <CardHeader className="flex flex-row items-start justify-between gap-4">
+              <div className="space-y-1.5">
+                <CardTitle>{t('tools.itemSimulator.script')}</CardTitle>
+                <CardDescription>{t('tools.itemSimulator.scriptDescription')}</CardDescription>
+              </div>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => {
+                  setScript(EXAMPLE_SCRIPT);
+                  setSelected(null);
+                }}
+              >
+                <RotateCcw className="w-4 h-4 me-2" />
+                {t('tools.itemSimulator.example')}
+              </Button>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <Textarea
+                value={script}
+                onChange={(event) => {
+                  setScript(event.target.value);
+                  setSelected(null);
+                }}
+                rows={14}
+                spellCheck={false}
+                dir="ltr"
+                aria-label={t('tools.itemSimulator.script')}
+                className="font-mono text-xs"
+              />
+              {error && (
+                <Alert variant="destructive">
+                  <AlertCircle />
+                  <AlertTitle>{t('tools.itemSimulator.scriptInvalid')}</AlertTitle>
+                  <AlertDescription>
+                    <p dir="ltr" className="font-mono text-xs">{error.message}</p>
+                  </AlertDescription>
+                </Alert>
+              )}
+              <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+                {Object.entries(SIMULATION_COMMANDS).map(([command, args]) => (
+                  <React.Fragment key={command}>
+                    <dt className="font-mono whitespace-nowrap" dir="ltr">{[command, ...args.map((arg) => `<${arg}>`)].join(' ')}</dt>
+                    <dd className="text-gray-600 dark:text-gray-300">{t(`tools.itemSimulator.commands.${command}`)}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.itemSimulator.steps')}</CardTitle>
+              <CardDescription>{t('tools.itemSimulator.stepsDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {results.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.itemSimulator.noSteps')}</p>
+              ) : (
+                <ol className="space-y-2">
+                  {results.map((result, index) => (
+                    <StepResult
+                      key={index}
+                      result={result}
+                      selected={shown === result}
+                      onSelect={() => setSelected(index)}
+                    />
+                  ))}
+                </ol>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+
+        {shown && (
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.itemSimulator.inventory', { line: shown.step.line })}</CardTitle>
+              <CardDescription>{t('tools.itemSimulator.inventoryDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {shown.inventory.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.itemSimulator.empty')}</p>
+              ) : (
+                <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                  {shown.inventory.map((item) => (
+                    <InventoryItem key={item.number} item={item} inventory={shown.inventory} definition={tuned} />
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </ToolPage>
+  );
+};
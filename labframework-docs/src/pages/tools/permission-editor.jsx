@@ -0,0 +1,498 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { useFieldArray, useForm, useFormContext, useFormState, useWatch } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { AlertCircle, AlertTriangle, Check, Download, FileUp, Info, Plus, RotateCcw, Trash2, Wrench } from 'lucide-react';
+import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from '@/components/ui/accordion.jsx';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent } from '@/components/ui/card.jsx';
+import { Checkbox } from '@/components/ui/checkbox.jsx';
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from '@/components/ui/form.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Switch } from '@/components/ui/switch.jsx';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs.jsx';
+import { PermissionDataCard, PermissionNodeList } from '@/components/permission-data.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { downloadFile } from '@/lib/download.js';
+import { PermissionDataError, parsePermissionJson, serializePermissionData } from '@/lib/permissions/data.js';
+import { lintPermissionData } from '@/lib/permissions/lint.js';
+import { getRegistryNodes } from '@/lib/permissions/registry.js';
+import {
+  createGroup,
+  createPermission,
+  createPermissionEditorSchema,
+  createUser,
+  fromEditorValues,
+  toEditorValues,
+} from '@/lib/permissions/schema.js';
+
+// One datalist for every node input of the form
+const NODE_LIST_ID = 'permission-editor-nodes';
+
+const toJson = (values) => JSON.stringify(serializePermissionData(fromEditorValues(values)), null, 2);
+
+const SEVERITY_ICONS = {
+  error: { icon: AlertCircle, color: 'text-red-600' },
+  warning: { icon: AlertTriangle, color: 'text-amber-600' },
+  info: { icon: Info, color: 'text-blue-600' },
+};
+
+// Form paths of a finding's owner: the list it is in and its permission list
+const OWNER_FIELDS = {
+  group: { list: 'groups', key: 'name', permissions: 'permissions' },
+  user: { list: 'users', key: 'userId', permissions: 'directPermissions' },
+};
+
+// Text Field Component
+const TextField = ({ name, label, className, inputClassName, ...props }) => {
+  const { control } = useFormContext();
+
+  return (
+    <FormField
+      control={control}
+      name={name}
+      render={({ field }) => (
+        <FormItem className={className}>
+          <FormLabel>{label}</FormLabel>
+          <FormControl>
+            <Input {...field} className={inputClassName} {...props} />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+};
+
+// Group Select Field Component
+// Ordered group list (inherited groups, user groups): the service checks groups in list
+// order, so selected groups show their position. References to groups that do not exist
+// stay listed so they can be removed.
+const GroupSelectField = ({ name, label, exclude }) => {
+  const { t } = useLocale();
+  const { control } = useFormContext();
+  const groups = useWatch({ control, name: 'groups' });
+  const selected = useWatch({ control, name });
+  const known = groups.map((group) => group.name).filter((group) => group && group !== exclude);
+  const options = [...new Set([...known, ...selected])];
+
+  return (
+    <FormField
+      control={control}
+      name={name}
+      render={({ field }) => (
+        <FormItem>
+          <FormLabel>{label}</FormLabel>
+          {options.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionEditor.noOtherGroups')}</p>
+          )}
+          <div className="flex flex-wrap gap-x-5 gap-y-2">
+            {options.map((option) => {
+              const position = field.value.indexOf(option);
+              return (
+                <label key={option} className="flex items-center gap-2 text-sm" dir="ltr">
+                  <Checkbox
+                    checked={position >= 0}
+                    onCheckedChange={(checked) =>
+                      field.onChange(checked ? [...field.value, option] : field.value.filter((value) => value !== option))
+                    }
+                  />
+                  <span className="font-mono">{option}</span>
+                  {position >= 0 && <Badge variant="secondary">{position + 1}</Badge>}
+                  {!known.includes(option) && option !== exclude && (
+                    <span className="text-xs text-amber-600">{t('tools.permissionEditor.missingGroup')}</span>
+                  )}
+                </label>
+              );
+            })}
+          </div>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+};
+
+// Permission List Field Component
+// The Permission entries of a group or user
+const PermissionListField = ({ name, label }) => {
+  const { t } = useLocale();
+  const { control } = useFormContext();
+  const { fields, append, remove } = useFieldArray({ control, name });
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium">{label}</h4>
+        <Button type="button" variant="outline" size="sm" onClick={() => append(createPermission())}>
+          <Plus className="w-4 h-4 me-2" />
+          {t('tools.permissionEditor.addPermission')}
+        </Button>
+      </div>
+      {fields.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionEditor.noPermissions')}</p>
+      )}
+      {fields.map((item, index) => (
+        <div key={item.id} className="grid gap-3 rounded-md border border-gray-200 dark:border-gray-700 p-3 md:grid-cols-2">
+          <TextField
+            name={`${name}.${index}.node`}
+            label={t('tools.permissionEditor.node')}
+            list={NODE_LIST_ID}
+            dir="ltr"
+            inputClassName="font-mono"
+          />
+          <FormField
+            control={control}
+            name={`${name}.${index}.value`}
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>{t('tools.permissionEditor.value')}</FormLabel>
+                <div className="flex h-9 items-center gap-2">
+                  <FormControl>
+                    <Switch checked={field.value} onCheckedChange={field.onChange} />
+                  </FormControl>
+                  <span className={`text-sm font-medium ${field.value ? 'text-green-600' : 'text-red-600'}`}>
+                    {field.value ? t('tools.permissionEditor.allow') : t('tools.permissionEditor.deny')}
+                  </span>
+                </div>
+              </FormItem>
+            )}
+          />
+          <TextField
+            name={`${name}.${index}.expiresAt`}
+            label={t('tools.permissionEditor.expiresAt')}
+            type="datetime-local"
+            step="1"
+            dir="ltr"
+          />
+          <TextField name={`${name}.${index}.grantedBy`} label={t('tools.permissionEditor.grantedBy')} />
+          <TextField name={`${name}.${index}.reason`} label={t('tools.permissionEditor.reason')} className="md:col-span-2" />
+          <div className="md:col-span-2 flex justify-end">
+            <Button type="button" variant="ghost" size="sm" className="text-red-600" onClick={() => remove(index)}>
+              <Trash2 className="w-4 h-4 me-2" />
+              {t('tools.permissionEditor.removePermission')}
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Entry Trigger Component
+// Accordion header of a group or user, flagged when something inside is invalid
+const EntryTrigger = ({ name, title, count }) => {
+  const { control } = useFormContext();
+  const { errors } = useFormState({ control, name });
+  const [list, index] = name.split('.');
+  const hasErrors = Boolean(errors[list]?.[index]);
+
+  return (
+    <AccordionTrigger>
+      <span className="flex items-center gap-2">
+        {hasErrors && <AlertCircle className="w-4 h-4 text-red-600" />}
+        <span className="font-mono" dir="ltr">{title}</span>
+        <Badge variant="secondary">{count}</Badge>
+      </span>
+    </AccordionTrigger>
+  );
+};
+
+// Group Fields Component
+const GroupFields = ({ id, index, onRemove }) => {
+  const { t } = useLocale();
+  const { control } = useFormContext();
+  const group = useWatch({ control, name: `groups.${index}` });
+
+  return (
+    <AccordionItem value={id}>
+      <EntryTrigger
+        name={`groups.${index}`}
+        title={group.name || t('tools.permissionEditor.newGroup')}
+        count={t('tools.permissionEditor.permissionCount', { count: group.permissions.length })}
+      />
+      <AccordionContent className="space-y-6">
+        <div className="grid gap-4 md:grid-cols-2">
+          <TextField name={`groups.${index}.name`} label={t('tools.permissionEditor.name')} dir="ltr" inputClassName="font-mono" />
+          <TextField name={`groups.${index}.displayName`} label={t('tools.permissionEditor.displayName')} />
+          <TextField name={`groups.${index}.description`} label={t('tools.permissionEditor.groupDescription')} />
+          <TextField name={`groups.${index}.priority`} label={t('tools.permissionEditor.priority')} type="number" step="1" />
+        </div>
+        <GroupSelectField
+          name={`groups.${index}.inheritedGroups`}
+          label={t('tools.permissionEditor.inheritedGroups')}
+          exclude={group.name}
+        />
+        <PermissionListField name={`groups.${index}.permissions`} label={t('tools.permissionEditor.permissions')} />
+        <div className="flex justify-end">
+          <Button type="button" variant="outline" size="sm" className="text-red-600" onClick={onRemove}>
+            <Trash2 className="w-4 h-4 me-2" />
+            {t('tools.permissionEditor.removeGroup')}
+          </Button>
+        </div>
+      </AccordionContent>
+    </AccordionItem>
+  );
+};
+
+// User Fields Component
+const UserFields = ({ id, index, onRemove }) => {
+  const { t } = useLocale();
+  const { control } = useFormContext();
+  const user = useWatch({ control, name: `users.${index}` });
+
+  return (
+    <AccordionItem value={id}>
+      <EntryTrigger
+        name={`users.${index}`}
+        title={user.username || user.userId || t('tools.permissionEditor.newUser')}
+        count={t('tools.permissionEditor.permissionCount', { count: user.directPermissions.length })}
+      />
+      <AccordionContent className="space-y-6">
+        <div className="grid gap-4 md:grid-cols-2">
+          <TextField name={`users.${index}.userId`} label={t('tools.permissionEditor.userId')} dir="ltr" inputClassName="font-mono" />
+          <TextField name={`users.${index}.username`} label={t('tools.permissionEditor.username')} />
+        </div>
+        <GroupSelectField name={`users.${index}.groups`} label={t('tools.permissionEditor.userGroups')} />
+        <PermissionListField
+          name={`users.${index}.directPermissions`}
+          label={t('tools.permissionEditor.directPermissions')}
+        />
+        <div className="flex justify-end">
+          <Button type="button" variant="outline" size="sm" className="text-red-600" onClick={onRemove}>
+            <Trash2 className="w-4 h-4 me-2" />
+            {t('tools.permissionEditor.removeUser')}
+          </Button>
+        </div>
+      </AccordionContent>
+    </AccordionItem>
+  );
+};
+
+// Lint findings of the values being edited, null while a date cannot be read
+const useLintFindings = () => {
+  const { control } = useFormContext();
+  const values = useWatch({ control });
+  const knownNodes = useMemo(() => new Set(getRegistryNodes().map((entry) => entry.node)), []);
+
+  try {
+    return lintPermissionData(fromEditorValues(values), { knownNodes });
+  } catch (error) {
+    if (!(error instanceof PermissionDataError)) throw error;
+    return null;
+  }
+};
+
+// Problem Count Component
+const ProblemCount = () => {
+  const { t } = useLocale();
+  const findings = useLintFindings();
+
+  return t('tools.permissionEditor.lint.tab', { count: findings ? findings.length : '!' });
+};
+
+// Lint Findings Component
+// Problems of the values being edited. Fixes change the form like an edit would, so they
+// still have to be applied.
+const LintFindings = () => {
+  const { t } = useLocale();
+  const { getValues, setValue } = useFormContext();
+  const findings = useLintFindings();
+
+  if (!findings) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionEditor.lint.invalid')}</p>;
+  }
+
+  if (findings.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionEditor.lint.none')}</p>;
+  }
+
+  const applyFix = (fix) => {
+    const fields = OWNER_FIELDS[fix.owner.kind];
+    // Map keys keep the last of duplicate names or ids, and so does this lookup
+    const index = getValues(fields.list).findLastIndex((entry) => entry[fields.key] === fix.owner.key);
+    const owner = `${fields.list}.${index}`;
+    const permissions = `${owner}.${fields.permissions}`;
+    const options = { shouldDirty: true, shouldValidate: true };
+
+    if (fix.type === 'removePermission') {
+      setValue(permissions, getValues(permissions).filter((_, position) => position !== fix.index), options);
+    } else if (fix.type === 'replaceNode') {
+      setValue(`${permissions}.${fix.index}.node`, fix.node, options);
+    } else if (fix.type === 'addPermission') {
+      setValue(permissions, [...getValues(permissions), { ...createPermission(), node: fix.node }], options);
+    } else if (fix.type === 'removeUserGroup') {
+      setValue(`${owner}.groups`, getValues(`${owner}.groups`).filter((name) => name !== fix.group), options);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionEditor.lint.hint')}</p>
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700 rounded-md border border-gray-200 dark:border-gray-700">
+        {findings.map((finding) => {
+          const style = SEVERITY_ICONS[finding.severity];
+          return (
+            <li key={finding.id} className="flex flex-wrap items-start gap-3 p-3">
+              <style.icon
+                className={`w-4 h-4 mt-0.5 shrink-0 ${style.color}`}
+                aria-label={t(`tools.permissionEditor.lint.severities.${finding.severity}`)}
+              />
+              <div className="flex-1 min-w-0 space-y-1">
+                <p className="text-sm">{t(`tools.permissionEditor.lint.rules.${finding.rule}`, finding.params)}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {t(`tools.permissionEditor.lint.owners.${finding.owner.kind}`, finding.owner)}
+                </p>
+              </div>
+              <Button type="button" variant="outline" size="sm" onClick={() => applyFix(finding.fix)}>
+                <Wrench className="w-4 h-4 me-2" />
+                {t(`tools.permissionEditor.lint.fixes.${finding.fix.type}`, finding.fix)}
+              </Button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+// Permission Editor Component
+const PermissionEditor = ({ data }) => {
+  const { t } = useLocale();
+  const { setText } = usePermissionData();
+  const schema = useMemo(() => createPermissionEditorSchema(t), [t]);
+  const form = useForm({ resolver: zodResolver(schema), defaultValues: toEditorValues(data), mode: 'onTouched' });
+  const groups = useFieldArray({ control: form.control, name: 'groups' });
+  const users = useFieldArray({ control: form.control, name: 'users' });
+  const [status, setStatus] = useState(null);
+  const fileInput = useRef(null);
+
+  const importFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    try {
+      const imported = parsePermissionJson(text);
+      form.reset(toEditorValues(imported));
+      setText(text);
+      setStatus(null);
+    } catch (error) {
+      if (!(error instanceof PermissionDataError)) throw error;
+      setStatus({ type: 'importFailed', message: error.message });
+    }
+  };
+
+  const apply = (values) => {
+    setText(toJson(values));
+    form.reset(values);
+    setStatus({ type: 'applied' });
+  };
+
+  const exportFile = (values) => {
+    downloadFile('permissions.json', toJson(values));
+    setStatus(null);
+  };
+
+  const showInvalid = () => setStatus({ type: 'invalid' });
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(apply, showInvalid)} className="space-y-6">
+        <Card>
+          <CardContent className="flex flex-wrap items-center gap-2">
+            <Button type="button" variant="outline" size="sm" onClick={() => fileInput.current.click()}>
+              <FileUp className="w-4 h-4 me-2" />
+              {t('tools.permissionEditor.import')}
+            </Button>
+            <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={importFile} />
+            <Button type="button" variant="outline" size="sm" onClick={form.handleSubmit(exportFile, showInvalid)}>
+              <Download className="w-4 h-4 me-2" />
+              {t('tools.permissionEditor.export')}
+            </Button>
+            <Button type="button" variant="outline" size="sm" onClick={() => form.reset()} disabled={!form.formState.isDirty}>
+              <RotateCcw className="w-4 h-4 me-2" />
+              {t('tools.permissionEditor.discard')}
+            </Button>
+            <Button type="submit" size="sm" className="ms-auto" disabled={!form.formState.isDirty}>
+              <Check className="w-4 h-4 me-2" />
+              {t('tools.permissionEditor.apply')}
+            </Button>
+          </CardContent>
+        </Card>
+
+        {status?.type === 'applied' && (
+          <Alert>
+            <Check />
+            <AlertDescription>{t('tools.permissionEditor.applied')}</AlertDescription>
+          </Alert>
+        )}
+        {(status?.type === 'invalid' || status?.type === 'importFailed') && (
+          <Alert variant="destructive">
+            <AlertCircle />
+            <AlertTitle>{t(`tools.permissionEditor.${status.type}`)}</AlertTitle>
+            {status.message && (
+              <AlertDescription>
+                <p dir="ltr" className="font-mono text-xs">{status.message}</p>
+              </AlertDescription>
+            )}
+          </Alert>
+        )}
+
+        <Tabs defaultValue="groups">
+          <TabsList>
+            <TabsTrigger value="groups">{t('tools.permissionEditor.groups', { count: groups.fields.length })}</TabsTrigger>
+            <TabsTrigger value="users">{t('tools.permissionEditor.users', { count: users.fields.length })}</TabsTrigger>
+            <TabsTrigger value="problems">
+              <ProblemCount />
+            </TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="groups" className="space-y-4">
+            <Accordion type="multiple">
+              {groups.fields.map((item, index) => (
+                <GroupFields key={item.id} id={item.id} index={index} onRemove={() => groups.remove(index)} />
+              ))}
+            </Accordion>
+            <Button type="button" variant="outline" onClick={() => groups.append(createGroup())}>
+              <Plus className="w-4 h-4 me-2" />
+              {t('tools.permissionEditor.addGroup')}
+            </Button>
+          </TabsContent>
+
+          <TabsContent value="users" className="space-y-4">
+            <Accordion type="multiple">
+              {users.fields.map((item, index) => (
+                <UserFields key={item.id} id={item.id} index={index} onRemove={() => users.remove(index)} />
+              ))}
+            </Accordion>
+            <Button type="button" variant="outline" onClick={() => users.append(createUser())}>
+              <Plus className="w-4 h-4 me-2" />
+              {t('tools.permissionEditor.addUser')}
+            </Button>
+          </TabsContent>
+
+          <TabsContent value="problems">
+            <LintFindings />
+          </TabsContent>
+        </Tabs>
+        <PermissionNodeList id={NODE_LIST_ID} />
+      </form>
+    </Form>
+  );
+};
+
+// Permission Editor Page Component
+// Form editor for permissions.json; applying writes the result back to the shared data set
+export const PermissionEditorPage = () => {
+  const { data } = usePermissionData();
+
+  return (
+    <ToolPage toolKey="permissionEditor">
+      {data ? <PermissionEditor data={data} /> : <PermissionDataCard />}
+    </ToolPage>
+  );
+};
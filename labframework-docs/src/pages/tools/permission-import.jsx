@@ -0,0 +1,236 @@
+import React, { useRef, useState } from 'react';
+import { AlertTriangle, Check, Download, FileUp, Import, Info, X } from 'lucide-react';
+import { Alert, AlertDescription } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { downloadFile } from '@/lib/download.js';
+import { PermissionDataError, serializePermissionData } from '@/lib/permissions/data.js';
+import {
+  DEFAULT_REMOTE_ADMIN_PREFIX,
+  convertToLabFramework,
+  parseExiledPermissions,
+  parseRemoteAdminConfig,
+} from '@/lib/permissions/migration.js';
+
+const SOURCES = {
+  remoteAdmin: { file: 'config_remoteadmin.txt', accept: '.txt,.yml,.yaml', parse: parseRemoteAdminConfig },
+  exiled: { file: 'permissions.yml', accept: '.yml,.yaml', parse: parseExiledPermissions },
+};
+
+const REPORT_ICONS = {
+  warning: { icon: AlertTriangle, color: 'text-amber-600' },
+  info: { icon: Info, color: 'text-blue-600' },
+};
+
+const parseSource = (source, text) => {
+  if (!text.trim()) return { config: null, error: null };
+  try {
+    return { config: SOURCES[source].parse(text), error: null };
+  } catch (error) {
+    if (!(error instanceof PermissionDataError)) throw error;
+    return { config: null, error };
+  }
+};
+
+// Source Input Component
+const SourceInput = ({ source, text, onChange, error }) => {
+  const { t } = useLocale();
+  const fileInput = useRef(null);
+  const { file, accept } = SOURCES[source];
+
+  const loadFile = async (event) => {
+    const [selected] = event.target.files;
+    if (selected) onChange(await selected.text());
+    event.target.value = '';
+  };
+
+  return (
+    <div className="space-y-2 min-w-0">
+      <div className="flex flex-wrap items-center gap-1">
+        <h3 className="me-auto text-sm font-medium">
+          {t(`tools.permissionImport.sources.${source}`)} <code className="font-mono text-xs">{file}</code>
+        </h3>
+        <Button variant="ghost" size="sm" onClick={() => fileInput.current.click()} title={t('tools.permissionImport.load')}>
+          <FileUp className="w-4 h-4" />
+        </Button>
+        <Button variant="ghost" size="sm" onClick={() => onChange('')} disabled={!text} title={t('tools.permissionImport.clear')}>
+          <X className="w-4 h-4" />
+        </Button>
+        <input ref={fileInput} type="file" accept={accept} className="hidden" onChange={loadFile} />
+      </div>
+      <Textarea
+        value={text}
+        onChange={(event) => onChange(event.target.value)}
+        rows={12}
+        spellCheck={false}
+        dir="ltr"
+        placeholder={t(`tools.permissionImport.placeholders.${source}`)}
+        aria-label={file}
+        className="font-mono text-xs"
+      />
+      {error && <p className="font-mono text-xs text-red-600" dir="ltr">{error.message}</p>}
+    </div>
+  );
+};
+
+// Import Result Component
+// The converted groups, the report of what could not be mapped and the exports
+const ImportResult = ({ result }) => {
+  const { t } = useLocale();
+  const { setText } = usePermissionData();
+  const [applied, setApplied] = useState(false);
+  const { data, report } = result;
+  const toJson = () => JSON.stringify(serializePermissionData(data), null, 2);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.permissionImport.resultTitle')}</CardTitle>
+        <CardDescription>{t('tools.permissionImport.resultSummary', { groups: data.groups.size, users: data.users.size })}</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {applied && (
+          <Alert>
+            <Check />
+            <AlertDescription>{t('tools.permissionImport.applied')}</AlertDescription>
+          </Alert>
+        )}
+        <div className="flex flex-wrap gap-2">
+          <Button size="sm" onClick={() => downloadFile('permissions.json', toJson())}>
+            <Download className="w-4 h-4 me-2" />
+            {t('tools.permissionImport.export')}
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => {
+              setText(toJson());
+              setApplied(true);
+            }}
+          >
+            <Import className="w-4 h-4 me-2" />
+            {t('tools.permissionImport.apply')}
+          </Button>
+        </div>
+
+        <div>
+          <h3 className="font-medium mb-2">{t('tools.permissionImport.reportTitle', { count: report.length })}</h3>
+          {report.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionImport.reportEmpty')}</p>
+          ) : (
+            <ul className="space-y-2">
+              {report.map((entry, index) => {
+                const style = REPORT_ICONS[entry.severity];
+                return (
+                  <li key={index} className="flex items-start gap-2 text-sm">
+                    <style.icon className={`w-4 h-4 mt-0.5 shrink-0 ${style.color}`} />
+                    {t(`tools.permissionImport.report.${entry.code}`, entry.params)}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="text-start">{t('tools.permissionImport.group')}</TableHead>
+                <TableHead className="text-start">{t('tools.permissionImport.priority')}</TableHead>
+                <TableHead className="text-start">{t('tools.permissionImport.inherits')}</TableHead>
+                <TableHead className="text-start">{t('tools.permissionImport.nodes')}</TableHead>
+                <TableHead className="text-start">{t('tools.permissionImport.members')}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {[...data.groups].map(([key, group]) => (
+                <TableRow key={key}>
+                  <TableCell>
+                    <span className="block font-mono" dir="ltr">{key}</span>
+                    <span className="block text-xs text-gray-500">{group.displayName}</span>
+                  </TableCell>
+                  <TableCell>{group.priority}</TableCell>
+                  <TableCell className="font-mono text-xs" dir="ltr">{group.inheritedGroups.join(', ')}</TableCell>
+                  <TableCell>
+                    <span className="flex flex-wrap gap-1" dir="ltr">
+                      {group.permissions.map((permission) => (
+                        <Badge key={permission.node} variant={permission.value ? 'secondary' : 'destructive'} className="font-mono">
+                          {permission.value ? permission.node : `-${permission.node}`}
+                        </Badge>
+                      ))}
+                    </span>
+                  </TableCell>
+                  <TableCell>{[...data.users.values()].filter((user) => user.groups.includes(key)).length}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Permission Import Page Component
+// Converts RemoteAdmin and EXILED permission configs into a LabFramework permissions.json
+export const PermissionImportPage = () => {
+  const { t } = useLocale();
+  const [texts, setTexts] = useState({ remoteAdmin: '', exiled: '' });
+  const [prefix, setPrefix] = useState(DEFAULT_REMOTE_ADMIN_PREFIX);
+  const parsed = Object.fromEntries(Object.keys(SOURCES).map((source) => [source, parseSource(source, texts[source])]));
+  const ready = Object.values(parsed).some((source) => source.config) && Object.values(parsed).every((source) => !source.error);
+  const result =
+    ready && convertToLabFramework({ remoteAdmin: parsed.remoteAdmin.config, exiled: parsed.exiled.config }, { prefix: prefix.trim() });
+
+  return (
+    <ToolPage toolKey="permissionImport">
+      <div className="space-y-8">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('tools.permissionImport.sourcesTitle')}</CardTitle>
+            <CardDescription>{t('tools.permissionImport.sourcesDescription')}</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid gap-6 md:grid-cols-2">
+              {Object.keys(SOURCES).map((source) => (
+                <SourceInput
+                  key={source}
+                  source={source}
+                  text={texts[source]}
+                  onChange={(text) => setTexts((current) => ({ ...current, [source]: text }))}
+                  error={parsed[source].error}
+                />
+              ))}
+            </div>
+            <div className="space-y-2 max-w-sm">
+              <Label htmlFor="import-prefix">{t('tools.permissionImport.prefix')}</Label>
+              <Input
+                id="import-prefix"
+                value={prefix}
+                onChange={(event) => setPrefix(event.target.value)}
+                dir="ltr"
+                className="font-mono"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400">{t('tools.permissionImport.prefixHint')}</p>
+            </div>
+          </CardContent>
+        </Card>
+
+        {result ? (
+          <ImportResult result={result} />
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionImport.empty')}</p>
+        )}
+      </div>
+    </ToolPage>
+  );
+};
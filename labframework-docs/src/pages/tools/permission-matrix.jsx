@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { Asterisk, Download, FileText, GitBranch, Printer, User, Users } from 'lucide-react';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx';
+import { PermissionDataCard, PermissionNodeList } from '@/components/permission-data.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { downloadFile, printHtml } from '@/lib/download.js';
+import { parseEvaluationTime } from '@/lib/permissions/data.js';
+import { buildPermissionMatrix, describeSource, matrixToCsv, matrixToHtml } from '@/lib/permissions/matrix.js';
+
+const ALL_GROUPS = 'all';
+
+const SOURCE_ICONS = {
+  direct: { icon: User, color: 'text-blue-600' },
+  group: { icon: Users, color: 'text-green-600' },
+  inherited: { icon: GitBranch, color: 'text-teal-600' },
+  wildcard: { icon: Asterisk, color: 'text-amber-600' },
+};
+
+// Matrix Cell Component
+// One icon per source type; the full list of sources is in the title
+const MatrixCell = ({ sources }) => {
+  const { t } = useLocale();
+  const types = [...new Set(sources.map((source) => source.type))];
+
+  return (
+    <TableCell
+      className="text-center"
+      title={sources.map((source) => describeSource(t, source)).join('\n') || undefined}
+    >
+      <span className="inline-flex gap-0.5">
+        {types.map((type) => {
+          const { icon: Icon, color } = SOURCE_ICONS[type];
+          return <Icon key={type} className={`w-4 h-4 ${color}`} aria-label={t(`tools.permissionMatrix.legend.${type}`)} />;
+        })}
+      </span>
+    </TableCell>
+  );
+};
+
+// Permission Matrix Page Component
+// Effective permissions of every user, filterable by group and node prefix, with CSV and HTML export
+export const PermissionMatrixPage = () => {
+  const { t, locale, dir } = useLocale();
+  const { data } = usePermissionData();
+  const [group, setGroup] = useState(ALL_GROUPS);
+  const [prefix, setPrefix] = useState('');
+  const [time, setTime] = useState('');
+  const { now, error: timeError } = parseEvaluationTime(time);
+
+  if (!data) {
+    return (
+      <ToolPage toolKey="permissionMatrix">
+        <PermissionDataCard />
+      </ToolPage>
+    );
+  }
+
+  const filters = { group: group === ALL_GROUPS ? '' : group, prefix: prefix.trim() };
+  const matrix = now && buildPermissionMatrix(data, { now, ...filters });
+  const reportFilters = {
+    group: filters.group || t('tools.permissionMatrix.allGroups'),
+    prefix: filters.prefix || t('tools.permissionMatrix.allNodes'),
+  };
+  const html = () => matrixToHtml(matrix, t, { locale, dir, filters: reportFilters });
+
+  return (
+    <ToolPage toolKey="permissionMatrix">
+      <div className="space-y-8">
+        <Card>
+          <CardContent className="grid gap-4 md:grid-cols-3">
+            <div className="space-y-2">
+              <Label htmlFor="matrix-group">{t('tools.permissionMatrix.group')}</Label>
+              <Select value={group} onValueChange={setGroup}>
+                <SelectTrigger id="matrix-group" className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_GROUPS}>{t('tools.permissionMatrix.allGroups')}</SelectItem>
+                  {[...data.groups.values()].map((entry) => (
+                    <SelectItem key={entry.name} value={entry.name}>{entry.displayName}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="matrix-prefix">{t('tools.permissionMatrix.prefix')}</Label>
+              <Input
+                id="matrix-prefix"
+                list="matrix-nodes"
+                value={prefix}
+                onChange={(event) => setPrefix(event.target.value)}
+                placeholder="admin."
+                dir="ltr"
+                className="font-mono"
+              />
+              <PermissionNodeList id="matrix-nodes" />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="matrix-time">{t('tools.permissionMatrix.time')}</Label>
+              <Input id="matrix-time" type="datetime-local" value={time} onChange={(event) => setTime(event.target.value)} />
+              <p className={`text-xs ${timeError ? 'text-red-600' : 'text-gray-500 dark:text-gray-400'}`}>
+                {timeError ? timeError.message : t('tools.permissionMatrix.timeHint')}
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+
+        {matrix && (
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.permissionMatrix.matrixTitle', { users: matrix.rows.length, nodes: matrix.nodes.length })}</CardTitle>
+              <CardDescription>{t('tools.permissionMatrix.matrixDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-wrap items-center gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => downloadFile('permission-matrix.csv', matrixToCsv(matrix, t), 'text/csv')}
+                >
+                  <Download className="w-4 h-4 me-2" />
+                  {t('tools.permissionMatrix.exportCsv')}
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => downloadFile('permission-matrix.html', html(), 'text/html')}>
+                  <FileText className="w-4 h-4 me-2" />
+                  {t('tools.permissionMatrix.exportHtml')}
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => printHtml(html())}>
+                  <Printer className="w-4 h-4 me-2" />
+                  {t('tools.permissionMatrix.print')}
+                </Button>
+                <ul className="ms-auto flex flex-wrap gap-3 text-xs text-gray-600 dark:text-gray-400">
+                  {Object.entries(SOURCE_ICONS).map(([type, style]) => (
+                    <li key={type} className="flex items-center gap-1">
+                      <style.icon className={`w-4 h-4 ${style.color}`} />
+                      {t(`tools.permissionMatrix.legend.${type}`)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {matrix.rows.length === 0 || matrix.nodes.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionMatrix.empty')}</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead className="text-start sticky start-0 bg-white dark:bg-gray-900">{t('tools.permissionMatrix.user')}</TableHead>
+                        {matrix.nodes.map((node) => (
+                          <TableHead key={node} className="h-auto py-2 align-bottom">
+                            <span className="font-mono text-xs [writing-mode:vertical-rl] rotate-180" dir="ltr">{node}</span>
+                          </TableHead>
+                        ))}
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {matrix.rows.map(({ user, cells }) => (
+                        <TableRow key={user.userId}>
+                          <TableCell className="sticky start-0 bg-white dark:bg-gray-900">
+                            <span className="block font-medium">{user.username}</span>
+                            <span className="block font-mono text-xs text-gray-500" dir="ltr">{user.groups.join(', ')}</span>
+                          </TableCell>
+                          {cells.map((sources, index) => (
+                            <MatrixCell key={matrix.nodes[index]} sources={sources} />
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        <PermissionDataCard />
+      </div>
+    </ToolPage>
+  );
+};
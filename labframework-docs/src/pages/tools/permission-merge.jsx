@@ -0,0 +1,340 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { AlertCircle, Check, ClipboardPaste, Download, FileUp, GitMerge, X } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert.jsx';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Button } from '@/components/ui/button.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table.jsx';
+import { Textarea } from '@/components/ui/textarea.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { downloadFile } from '@/lib/download.js';
+import { PermissionDataError, formatUtc, parsePermissionJson, serializePermissionData } from '@/lib/permissions/data.js';
+import {
+  PERMISSION_FIELD,
+  SIDES,
+  buildMergedData,
+  describeListChange,
+  mergePermissionData,
+} from '@/lib/permissions/merge.js';
+
+const LIST_FIELDS = ['inheritedGroups', 'groups'];
+
+const parseSnapshot = (text) => {
+  if (!text.trim()) return { data: null, error: null };
+  try {
+    return { data: parsePermissionJson(text), error: null };
+  } catch (error) {
+    if (!(error instanceof PermissionDataError)) throw error;
+    return { data: null, error };
+  }
+};
+
+// Without a base, a field present on one side only is not a change but a difference
+const statusKey = (status, hasBase) =>
+  hasBase ? status : ({ ours: 'onlyOurs', theirs: 'onlyTheirs' }[status] ?? status);
+
+// How one side changed an entity: relative to the base, or to the other side without one
+const sideChange = (entity, side, hasBase) => {
+  if (!entity.present[side]) return hasBase ? (entity.present.base ? 'removed' : null) : 'missing';
+  if (hasBase && !entity.present.base) return 'added';
+  if (hasBase && entity.fields.some((field) => [side, 'both', 'conflict'].includes(field.status))) return 'modified';
+  return null;
+};
+
+// Snapshot Input Component
+const SnapshotInput = ({ side, text, onChange, error }) => {
+  const { t } = useLocale();
+  const { text: dataText } = usePermissionData();
+  const fileInput = useRef(null);
+
+  const loadFile = async (event) => {
+    const [file] = event.target.files;
+    if (file) onChange(await file.text());
+    event.target.value = '';
+  };
+
+  return (
+    <div className="space-y-2 min-w-0">
+      <div className="flex flex-wrap items-center gap-1">
+        <h3 className="me-auto text-sm font-medium">{t(`tools.permissionMerge.sides.${side}`)}</h3>
+        <Button variant="ghost" size="sm" onClick={() => fileInput.current.click()} title={t('tools.permissionMerge.load')}>
+          <FileUp className="w-4 h-4" />
+        </Button>
+        <Button variant="ghost" size="sm" onClick={() => onChange(dataText)} title={t('tools.permissionMerge.useDataSet')}>
+          <ClipboardPaste className="w-4 h-4" />
+        </Button>
+        <Button variant="ghost" size="sm" onClick={() => onChange('')} disabled={!text} title={t('tools.permissionMerge.clear')}>
+          <X className="w-4 h-4" />
+        </Button>
+        <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={loadFile} />
+      </div>
+      <Textarea
+        value={text}
+        onChange={(event) => onChange(event.target.value)}
+        rows={10}
+        spellCheck={false}
+        dir="ltr"
+        placeholder={t(side === 'base' ? 'tools.permissionMerge.basePlaceholder' : 'tools.permissionMerge.placeholder')}
+        aria-label={t(`tools.permissionMerge.sides.${side}`)}
+        className="font-mono text-xs"
+      />
+      {error && <p className="font-mono text-xs text-red-600" dir="ltr">{error.message}</p>}
+    </div>
+  );
+};
+
+// Field Value Component
+const FieldValue = ({ field, value, reference }) => {
+  const { t } = useLocale();
+
+  if (value === undefined) return <span className="text-gray-400">—</span>;
+  if (field.startsWith(PERMISSION_FIELD)) {
+    return (
+      <span className="flex flex-wrap items-center gap-2">
+        <Badge variant={value.value ? 'default' : 'destructive'}>{t(`tools.permissionMerge.${value.value ? 'allow' : 'deny'}`)}</Badge>
+        {value.expiresAt && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {t('tools.permissionMerge.expires', { date: formatUtc(value.expiresAt) })}
+          </span>
+        )}
+      </span>
+    );
+  }
+  if (LIST_FIELDS.includes(field)) {
+    const { added, removed } = reference ? describeListChange(reference, value) : { added: [], removed: [] };
+    return (
+      <span className="space-y-1" dir="ltr">
+        <code className="block font-mono text-xs">{value.join(', ') || '[]'}</code>
+        {(added.length > 0 || removed.length > 0) && (
+          <span className="flex flex-wrap gap-1 text-xs font-mono">
+            {added.map((name) => <span key={`+${name}`} className="text-green-700 dark:text-green-400">+{name}</span>)}
+            {removed.map((name) => <span key={`-${name}`} className="text-red-700 dark:text-red-400">−{name}</span>)}
+          </span>
+        )}
+      </span>
+    );
+  }
+  if (field === 'metadata') return <code className="font-mono text-xs" dir="ltr">{JSON.stringify(value)}</code>;
+  return <span>{value === '' ? '""' : String(value)}</span>;
+};
+
+// Side Picker Component
+const SidePicker = ({ id, resolutions, onResolve }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="flex gap-1">
+      {['ours', 'theirs'].map((side) => (
+        <Button
+          key={side}
+          size="sm"
+          variant={resolutions[id] === side ? 'default' : 'outline'}
+          onClick={() => onResolve(id, side)}
+        >
+          {t('tools.permissionMerge.use', { side: t(`tools.permissionMerge.sides.${side}`) })}
+        </Button>
+      ))}
+    </div>
+  );
+};
+
+// Entity Changes Component
+// One group or user: how each side changed it, and its differing fields side by side
+const EntityChanges = ({ entity, hasBase, resolutions, onResolve }) => {
+  const { t } = useLocale();
+  const columns = hasBase ? SIDES : ['ours', 'theirs'];
+  const listReference = (field, side) => (hasBase ? field.base : side === 'theirs' ? field.ours : null);
+
+  return (
+    <Card className={entity.conflict || entity.fields.some((field) => field.status === 'conflict') ? 'border-amber-500' : undefined}>
+      <CardHeader>
+        <CardTitle className="flex flex-wrap items-center gap-2">
+          <Badge variant="outline">{t(`tools.permissionMerge.kinds.${entity.kind}`)}</Badge>
+          <span className="font-mono" dir="ltr">{entity.name}</span>
+          {['ours', 'theirs'].map((side) => {
+            const change = sideChange(entity, side, hasBase);
+            return (
+              change && (
+                <Badge key={side} variant="secondary">
+                  {t(`tools.permissionMerge.changes.${change}`, { side: t(`tools.permissionMerge.sides.${side}`) })}
+                </Badge>
+              )
+            );
+          })}
+        </CardTitle>
+        {entity.conflict && (
+          <div className="flex flex-wrap items-center gap-3 pt-2">
+            <span className="text-sm text-amber-700 dark:text-amber-400">{t('tools.permissionMerge.removedModified')}</span>
+            <SidePicker id={entity.id} resolutions={resolutions} onResolve={onResolve} />
+          </div>
+        )}
+      </CardHeader>
+      {entity.fields.length > 0 && (
+        <CardContent className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="text-start">{t('tools.permissionMerge.field')}</TableHead>
+                {columns.map((side) => (
+                  <TableHead key={side} className="text-start">{t(`tools.permissionMerge.sides.${side}`)}</TableHead>
+                ))}
+                <TableHead className="text-start">{t('tools.permissionMerge.result')}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {entity.fields.map((field) => (
+                <TableRow key={field.id}>
+                  <TableCell className="font-medium">
+                    {field.field.startsWith(PERMISSION_FIELD) ? (
+                      <code className="font-mono text-xs" dir="ltr">{field.field.slice(PERMISSION_FIELD.length)}</code>
+                    ) : (
+                      t(`tools.permissionMerge.fields.${field.field}`)
+                    )}
+                  </TableCell>
+                  {columns.map((side) => (
+                    <TableCell key={side}>
+                      <FieldValue field={field.field} value={field[side]} reference={listReference(field, side)} />
+                    </TableCell>
+                  ))}
+                  <TableCell>
+                    {field.status === 'conflict' ? (
+                      <SidePicker id={field.id} resolutions={resolutions} onResolve={onResolve} />
+                    ) : (
+                      <Badge variant="secondary">{t(`tools.permissionMerge.status.${statusKey(field.status, hasBase)}`)}</Badge>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      )}
+    </Card>
+  );
+};
+
+// Merge Result Component
+const MergeResult = ({ merge, resolutions }) => {
+  const { t } = useLocale();
+  const { setText } = usePermissionData();
+  const [applied, setApplied] = useState(false);
+  const unresolved = merge.conflicts.filter((id) => !resolutions[id]).length;
+  const toJson = () => JSON.stringify(serializePermissionData(buildMergedData(merge, resolutions)), null, 2);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('tools.permissionMerge.resultTitle')}</CardTitle>
+        <CardDescription>
+          {t('tools.permissionMerge.resultSummary', { entities: merge.entities.length, conflicts: merge.conflicts.length })}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {unresolved > 0 ? (
+          <Alert variant="destructive">
+            <AlertCircle />
+            <AlertTitle>{t('tools.permissionMerge.unresolved', { count: unresolved })}</AlertTitle>
+            <AlertDescription>{t('tools.permissionMerge.unresolvedHint')}</AlertDescription>
+          </Alert>
+        ) : (
+          applied && (
+            <Alert>
+              <Check />
+              <AlertDescription>{t('tools.permissionMerge.applied')}</AlertDescription>
+            </Alert>
+          )
+        )}
+        <div className="flex flex-wrap gap-2">
+          <Button size="sm" disabled={unresolved > 0} onClick={() => downloadFile('permissions.json', toJson())}>
+            <Download className="w-4 h-4 me-2" />
+            {t('tools.permissionMerge.export')}
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={unresolved > 0}
+            onClick={() => {
+              setText(toJson());
+              setApplied(true);
+            }}
+          >
+            <GitMerge className="w-4 h-4 me-2" />
+            {t('tools.permissionMerge.apply')}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Permission Merge Page Component
+// Semantic diff of two permissions.json snapshots, or a three-way merge against a common base
+export const PermissionMergePage = () => {
+  const { t } = useLocale();
+  const { text: dataText } = usePermissionData();
+  const [texts, setTexts] = useState(() => ({ base: '', ours: dataText, theirs: '' }));
+  const [resolutions, setResolutions] = useState({});
+
+  const snapshots = useMemo(
+    () => Object.fromEntries(SIDES.map((side) => [side, parseSnapshot(texts[side])])),
+    [texts],
+  );
+  const merge = useMemo(
+    () =>
+      snapshots.ours.data && snapshots.theirs.data && !snapshots.base.error
+        ? mergePermissionData(snapshots.base.data, snapshots.ours.data, snapshots.theirs.data)
+        : null,
+    [snapshots],
+  );
+
+  const setSnapshot = (side, text) => setTexts((current) => ({ ...current, [side]: text }));
+  const resolve = (id, side) => setResolutions((current) => ({ ...current, [id]: side }));
+
+  return (
+    <ToolPage toolKey="permissionMerge">
+      <div className="space-y-8">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t('tools.permissionMerge.snapshotsTitle')}</CardTitle>
+            <CardDescription>{t('tools.permissionMerge.snapshotsDescription')}</CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-6 md:grid-cols-3">
+            {SIDES.map((side) => (
+              <SnapshotInput
+                key={side}
+                side={side}
+                text={texts[side]}
+                onChange={(text) => setSnapshot(side, text)}
+                error={snapshots[side].error}
+              />
+            ))}
+          </CardContent>
+        </Card>
+
+        {!merge ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('tools.permissionMerge.needSnapshots')}</p>
+        ) : merge.entities.length === 0 ? (
+          <p className="flex items-center gap-2 text-sm text-green-700 dark:text-green-400">
+            <Check className="w-4 h-4" />
+            {t('tools.permissionMerge.identical')}
+          </p>
+        ) : (
+          <>
+            {merge.entities.map((entity) => (
+              <EntityChanges
+                key={entity.id}
+                entity={entity}
+                hasBase={merge.hasBase}
+                resolutions={resolutions}
+                onResolve={resolve}
+              />
+            ))}
+            <MergeResult merge={merge} resolutions={resolutions} />
+          </>
+        )}
+      </div>
+    </ToolPage>
+  );
+};
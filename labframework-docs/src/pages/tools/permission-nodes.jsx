@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FileCode, Search, Terminal } from 'lucide-react';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { PermissionDataCard } from '@/components/permission-data.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { localizePath } from '@/lib/i18n.js';
+import { getCommands, getNodeTree, getRegistryNodes } from '@/lib/permissions/registry.js';
+
+const matchesFilter = (entry, filter) =>
+  entry.node.toLowerCase().includes(filter) ||
+  entry.commands.some((command) => [command.name, ...command.aliases].some((name) => name.toLowerCase().includes(filter)));
+
+// Source Links Component
+// Where a command or check was found: a C# file and line, or a docs page. Snippets are
+// found once per locale, so only the pages in the current locale are listed when there are any.
+const SourceLinks = ({ sources }) => {
+  const { locale } = useLocale();
+  const files = sources.filter((source) => source.file);
+  const pages = sources.filter((source) => source.path);
+  const localPages = pages.filter((source) => source.locale === locale);
+
+  return (
+    <ul className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500 dark:text-gray-400">
+      {files.map((source) => (
+        <li key={`${source.file}:${source.line}`} className="flex items-center gap-1" dir="ltr">
+          <FileCode className="w-3 h-3" />
+          <span className="font-mono">{`${source.file}:${source.line}`}</span>
+        </li>
+      ))}
+      {(localPages.length > 0 ? localPages : pages).map((source) => (
+        <li key={`${source.locale}:${source.path}`}>
+          <Link to={localizePath(source.locale, source.path)} className="text-blue-600 dark:text-blue-400 hover:underline">
+            {source.title}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Command Item Component
+const CommandItem = ({ command }) => {
+  const { t } = useLocale();
+
+  return (
+    <li className="space-y-1 rounded-md border border-gray-200 dark:border-gray-700 p-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Terminal className="w-4 h-4 text-gray-500" />
+        <code className="font-mono text-sm font-semibold" dir="ltr">{command.name}</code>
+        {command.aliases.map((alias) => (
+          <Badge key={alias} variant="outline" className="font-mono" dir="ltr">{alias}</Badge>
+        ))}
+        {command.consoleOnly && <Badge variant="secondary">{t('tools.permissionNodes.consoleOnly')}</Badge>}
+        {command.playerOnly && <Badge variant="secondary">{t('tools.permissionNodes.playerOnly')}</Badge>}
+      </div>
+      {command.description && <p className="text-sm text-gray-700 dark:text-gray-300">{command.description}</p>}
+      {command.method && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {t('tools.permissionNodes.handler')} <code className="font-mono" dir="ltr">{command.method}</code>
+        </p>
+      )}
+      <SourceLinks sources={command.sources} />
+    </li>
+  );
+};
+
+// Node Tree Component
+// Dotted nodes as nested segments; segments that are only a prefix are not selectable
+const NodeTree = ({ nodes, selected, onSelect }) => (
+  <ul className="space-y-0.5 ps-3 border-s border-gray-200 dark:border-gray-700" dir="ltr">
+    {nodes.map((node) => (
+      <li key={node.path}>
+        {node.entry ? (
+          <button
+            type="button"
+            onClick={() => onSelect(node.path)}
+            aria-pressed={node.path === selected}
+            className={`flex w-full items-center justify-between gap-2 rounded px-2 py-1 text-start font-mono text-sm ${
+              node.path === selected
+                ? 'bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300'
+                : 'hover:bg-gray-50 dark:hover:bg-gray-800'
+            }`}
+          >
+            {node.segment}
+            <Badge variant="secondary">{node.entry.commands.length + node.entry.checks.length + node.entry.grants.length}</Badge>
+          </button>
+        ) : (
+          <span className="block px-2 py-1 font-mono text-sm text-gray-500 dark:text-gray-400">{`${node.segment}.`}</span>
+        )}
+        {node.children.length > 0 && <NodeTree nodes={node.children} selected={selected} onSelect={onSelect} />}
+      </li>
+    ))}
+  </ul>
+);
+
+// Node Details Component
+// The commands requiring the node, the checks naming it, the code granting it and the
+// entries of the data set granting or denying it
+const NodeDetails = ({ entry }) => {
+  const { t } = useLocale();
+  const { data } = usePermissionData();
+  const assignments = data
+    ? [
+        ...[...data.groups.values()].flatMap((group) =>
+          group.permissions
+            .filter((permission) => permission.node === entry.node)
+            .map((permission) => ({ kind: 'group', id: group.name, name: group.name, permission })),
+        ),
+        ...[...data.users.values()].flatMap((user) =>
+          user.directPermissions
+            .filter((permission) => permission.node === entry.node)
+            .map((permission) => ({ kind: 'user', id: user.userId, name: user.username, permission })),
+        ),
+      ]
+    : [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="font-mono" dir="ltr">{entry.node}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-5 text-sm">
+        <div>
+          <h3 className="font-medium mb-2">{t('tools.permissionNodes.commands', { count: entry.commands.length })}</h3>
+          {entry.commands.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">{t('tools.permissionNodes.noCommands')}</p>
+          ) : (
+            <ul className="space-y-2">
+              {entry.commands.map((command, index) => (
+                <CommandItem key={index} command={command} />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {['checks', 'grants'].map(
+          (list) =>
+            entry[list].length > 0 && (
+              <div key={list}>
+                <h3 className="font-medium mb-2">{t(`tools.permissionNodes.${list}`)}</h3>
+                <ul className="space-y-2">
+                  {entry[list].map((usage) => (
+                    <li key={usage.call} className="space-y-1">
+                      <code className="font-mono text-xs" dir="ltr">{usage.call}</code>
+                      <SourceLinks sources={usage.sources} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ),
+        )}
+
+        <div>
+          <h3 className="font-medium mb-2">{t('tools.permissionNodes.inData')}</h3>
+          {assignments.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">{t('tools.permissionNodes.notInData')}</p>
+          ) : (
+            <ul className="space-y-1">
+              {assignments.map(({ kind, id, name, permission }) => (
+                <li key={`${kind}:${id}`} className="flex items-center justify-between gap-2">
+                  <span>{t(`tools.permissionNodes.${kind}`, { name })}</span>
+                  <Badge variant={permission.value ? 'default' : 'destructive'}>
+                    {t(`tools.permissionNodes.${permission.value ? 'allow' : 'deny'}`)}
+                  </Badge>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Permission Nodes Page Component
+// Browsable registry of the nodes the framework's commands and checks use
+export const PermissionNodesPage = () => {
+  const { t } = useLocale();
+  const [filter, setFilter] = useState('');
+  const [selected, setSelected] = useState(null);
+
+  const entries = getRegistryNodes();
+  const visible = entries.filter((entry) => matchesFilter(entry, filter.trim().toLowerCase()));
+  const current = entries.find((entry) => entry.node === selected) ?? visible[0] ?? entries[0];
+  const unrestricted = getCommands().filter((command) => !command.permission);
+
+  return (
+    <ToolPage toolKey="permissionNodes">
+      <div className="grid lg:grid-cols-[minmax(0,1fr)_26rem] gap-8 items-start">
+        <div className="space-y-8 min-w-0">
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.permissionNodes.treeTitle', { count: entries.length })}</CardTitle>
+              <CardDescription>{t('tools.permissionNodes.treeDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="relative">
+                <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                <Input
+                  value={filter}
+                  onChange={(event) => setFilter(event.target.value)}
+                  placeholder={t('tools.permissionNodes.filter')}
+                  aria-label={t('tools.permissionNodes.filter')}
+                  className="ps-9"
+                />
+              </div>
+              {visible.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {t(entries.length === 0 ? 'tools.permissionNodes.empty' : 'tools.permissionNodes.noMatches')}
+                </p>
+              ) : (
+                <NodeTree nodes={getNodeTree(visible)} selected={current?.node} onSelect={setSelected} />
+              )}
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.permissionNodes.unrestrictedTitle', { count: unrestricted.length })}</CardTitle>
+              <CardDescription>{t('tools.permissionNodes.unrestrictedDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ul className="space-y-2">
+                {unrestricted.map((command, index) => (
+                  <CommandItem key={index} command={command} />
+                ))}
+              </ul>
+            </CardContent>
+          </Card>
+
+          <PermissionDataCard />
+        </div>
+        {current && (
+          <div className="lg:sticky lg:top-24">
+            <NodeDetails entry={current} />
+          </div>
+        )}
+      </div>
+    </ToolPage>
+  );
+};
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import {
+  AlertTriangle,
+  Ban,
+  CheckCircle2,
+  MinusCircle,
+  RefreshCcw,
+  User,
+  UserPlus,
+  Users,
+  XCircle,
+} from 'lucide-react';
+import { Badge } from '@/components/ui/badge.jsx';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx';
+import { Input } from '@/components/ui/input.jsx';
+import { Label } from '@/components/ui/label.jsx';
+import { PermissionDataCard, PermissionNodeList } from '@/components/permission-data.jsx';
+import { ToolPage } from '@/pages/tools-page.jsx';
+import { useLocale } from '@/hooks/use-locale.js';
+import { usePermissionData } from '@/hooks/use-permission-data.js';
+import { formatUtc, parseEvaluationTime } from '@/lib/permissions/data.js';
+import { resolvePermission } from '@/lib/permissions/resolver.js';
+
+const STEP_ICONS = {
+  allow: { icon: CheckCircle2, color: 'text-green-600' },
+  deny: { icon: XCircle, color: 'text-red-600' },
+  none: { icon: MinusCircle, color: 'text-gray-400' },
+  user: { icon: User, color: 'text-blue-600' },
+  unknownUser: { icon: UserPlus, color: 'text-blue-600' },
+  group: { icon: Users, color: 'text-blue-600' },
+  cycle: { icon: RefreshCcw, color: 'text-amber-600' },
+  missingGroup: { icon: AlertTriangle, color: 'text-amber-600' },
+  groupExhausted: { icon: MinusCircle, color: 'text-gray-400' },
+  blankInput: { icon: Ban, color: 'text-gray-500' },
+  noGrant: { icon: Ban, color: 'text-gray-500' },
+};
+
+// Grant details: value, expiry, who granted it and why
+const PermissionDetails = ({ permission }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500 dark:text-gray-400">
+      <span dir="ltr" className="font-mono">{`${permission.node} = ${permission.value}`}</span>
+      {permission.expiresAt && <span>{t('tools.permissionResolver.expires', { date: formatUtc(permission.expiresAt) })}</span>}
+      {permission.grantedBy && <span>{t('tools.permissionResolver.grantedBy', { name: permission.grantedBy })}</span>}
+      {permission.reason && <span>{t('tools.permissionResolver.reason', { reason: permission.reason })}</span>}
+    </div>
+  );
+};
+
+// Trace Step Component
+const TraceStep = ({ step, index, isDecisive }) => {
+  const { t } = useLocale();
+  const { icon: Icon, color } = STEP_ICONS[step.outcome ?? step.type];
+  const key = step.outcome ? `${step.type}.${step.outcome}` : step.type;
+  const message = t(`tools.permissionResolver.steps.${key}`, {
+    node: step.node,
+    group: step.group?.name,
+    name: step.name,
+    key: step.name?.toLowerCase(),
+    from: step.from?.name,
+    userId: step.user?.userId,
+    username: step.user?.username,
+    groups: step.user?.groups.join(', ') || '-',
+  });
+
+  return (
+    <li
+      className={`flex gap-3 rounded-md px-3 py-2 ${isDecisive ? 'bg-blue-50 ring-1 ring-blue-300 dark:bg-blue-900/20 dark:ring-blue-700' : ''}`}
+      style={{ marginInlineStart: `${step.depth * 1.25}rem` }}
+    >
+      <span className="mt-0.5 w-5 shrink-0 text-xs text-gray-400 tabular-nums">{index + 1}</span>
+      <Icon className={`mt-0.5 w-4 h-4 shrink-0 ${color}`} />
+      <div className="min-w-0 text-sm">
+        <p className="text-gray-900 dark:text-gray-100">{message}</p>
+        {step.permission && <PermissionDetails permission={step.permission} />}
+        {step.expired?.map((permission, expiredIndex) => (
+          <p key={expiredIndex} className="mt-1 text-xs text-amber-700 dark:text-amber-400">
+            {t('tools.permissionResolver.skippedExpired', {
+              entry: `${permission.node} = ${permission.value}`,
+              date: formatUtc(permission.expiresAt),
+            })}
+          </p>
+        ))}
+      </div>
+    </li>
+  );
+};
+
+// Resolution Result Component
+const ResolutionResult = ({ data, userId, node, now }) => {
+  const { t } = useLocale();
+  const { granted, decidedBy, user, trace } = resolvePermission(data, userId, node, { now });
+  const decisiveIndex = trace.indexOf(decidedBy);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle>{t('tools.permissionResolver.result')}</CardTitle>
+          <Badge className={granted ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}>
+            {granted ? t('tools.permissionResolver.granted') : t('tools.permissionResolver.denied')}
+          </Badge>
+        </div>
+        <CardDescription>
+          {decidedBy
+            ? t('tools.permissionResolver.decidedBy', { step: decisiveIndex + 1 })
+            : t('tools.permissionResolver.defaultDeny')}
+          {user && ` ${t('tools.permissionResolver.evaluatedAt', { date: formatUtc(now) })}`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ol className="space-y-1">
+          {trace.map((step, index) => (
+            <TraceStep key={index} step={step} index={index} isDecisive={index === decisiveIndex} />
+          ))}
+        </ol>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Permission Resolver Page Component
+// Explains HasPermissionAsync for one user and node, step by step
+export const PermissionResolverPage = () => {
+  const { t } = useLocale();
+  const { data } = usePermissionData();
+  const [userId, setUserId] = useState(() => data?.users.keys().next().value ?? '');
+  const [node, setNode] = useState('admin.kick');
+  const [time, setTime] = useState('');
+  const { now, error: timeError } = parseEvaluationTime(time);
+
+  return (
+    <ToolPage toolKey="permissionResolver">
+      <div className="grid lg:grid-cols-2 gap-8 items-start">
+        <PermissionDataCard />
+
+        <div className="space-y-8 min-w-0">
+          <Card>
+            <CardHeader>
+              <CardTitle>{t('tools.permissionResolver.query')}</CardTitle>
+              <CardDescription>{t('tools.permissionResolver.queryDescription')}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="resolver-user">{t('tools.permissionResolver.user')}</Label>
+                <Input
+                  id="resolver-user"
+                  list="resolver-users"
+                  value={userId}
+                  onChange={(event) => setUserId(event.target.value)}
+                  dir="ltr"
+                  className="font-mono"
+                />
+                <datalist id="resolver-users">
+                  {data && [...data.users.values()].map((user) => (
+                    <option key={user.userId} value={user.userId}>{user.username}</option>
+                  ))}
+                </datalist>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="resolver-node">{t('tools.permissionResolver.node')}</Label>
+                <Input
+                  id="resolver-node"
+                  list="resolver-nodes"
+                  value={node}
+                  onChange={(event) => setNode(event.target.value)}
+                  dir="ltr"
+                  className="font-mono"
+                />
+                <PermissionNodeList id="resolver-nodes" />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="resolver-time">{t('tools.permissionResolver.time')}</Label>
+                <Input
+                  id="resolver-time"
+                  type="datetime-local"
+                  value={time}
+                  onChange={(event) => setTime(event.target.value)}
+                  dir="ltr"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {timeError ? timeError.message : t('tools.permissionResolver.timeHint')}
+                </p>
+              </div>
+            </CardContent>
+          </Card>
+
+          {data && now && <ResolutionResult data={data} userId={userId} node={node} now={now} />}
+        </div>
+      </div>
+    </ToolPage>
+  );
+};
@@ -1,11 +1,74 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import mdx from '@mdx-js/rollup'
+import remarkFrontmatter from 'remark-frontmatter'
+import remarkMdxFrontmatter from 'remark-mdx-frontmatter'
+import remarkGfm from 'remark-gfm'
+import { VitePWA } from 'vite-plugin-pwa'
 import path from 'path'
+import searchIndex from './plugins/search-index.js'
+import codeHighlight from './plugins/code-highlight.js'
+import headingAnchors from './plugins/heading-anchors.js'
+import csharpApi from './plugins/csharp-api.js'
+import permissionNodes from './plugins/permission-nodes.js'
+import customItems from './plugins/custom-items.js'
+import { apiSource, contentDir, readmeFile, versionsDir } from './plugins/sources.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss()],
+  plugins: [
+    {
+      enforce: 'pre',
+      ...mdx({
+        providerImportSource: '@mdx-js/react',
+        remarkPlugins: [remarkFrontmatter, remarkMdxFrontmatter, remarkGfm],
+        rehypePlugins: [headingAnchors(), codeHighlight()],
+      }),
+    },
+    react({ include: /\.(jsx|js|mdx)$/ }),
+    tailwindcss(),
+    csharpApi({ ...apiSource, versionsDir }),
+    searchIndex({ contentDir, api: apiSource }),
+    permissionNodes({ contentDir, api: apiSource, readme: readmeFile }),
+    customItems({ api: apiSource }),
+    // Installable and offline: the app bundle carries every page, so precaching the build
+    // (api.json and the search index chunk included) covers the whole site. The prerendered
+    // route HTML is written after the service worker is built, so page loads go to the
+    // network first and keep a copy: offline, a page visited before is served as prerendered
+    // and any other one gets the precached app shell.
+    VitePWA({
+      registerType: 'prompt',
+      pwaAssets: { image: 'public/icon.svg' },
+      manifest: {
+        name: 'LabFramework Docs',
+        short_name: 'LabFramework',
+        description: 'Documentation for LabFramework, the plugin framework for SCP: Secret Laboratory servers',
+        theme_color: '#2563eb',
+        background_color: '#ffffff',
+        display: 'standalone',
+        start_url: '/',
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,json,svg,png,ico}'],
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,
+        // vite-plugin-pwa otherwise adds a fallback that answers every navigation with the shell
+        navigateFallback: null,
+        runtimeCaching: [
+          {
+            urlPattern: ({ request, url }) => request.mode === 'navigate' && !/\.(json|xml|txt)$/.test(url.pathname),
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'pages',
+              networkTimeoutSeconds: 3,
+              expiration: { maxEntries: 200 },
+              plugins: [{ handlerDidError: () => caches.match('/index.html', { ignoreSearch: true }) }],
+            },
+          },
+        ],
+      },
+    }),
+  ],
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),